@@ -11,6 +11,7 @@ const changeRequestData = {
   plannedStart: '',
   plannedEnd: '',
   implementationPlan: '',
+  implementationSteps: null,  // Structured implementation plan, null while the plan is free text
   backoutPlan: '',
   validationPlan: '',
   riskAssessment: {
@@ -22,15 +23,48 @@ const changeRequestData = {
     totalScore: 0,
     riskLevel: ''
   },
-  selectedAssets: []
+  selectedAssets: [],
+  attachments: [],
+  conflictAcknowledgement: null,
+  riskConsistencyAcknowledgement: null,
+  affectedUsersEstimate: null,  // Estimate made from the impacted assets, see estimateAffectedUsers
+  clonedFromChangeId: null,
+  editingChangeId: null,  // Set in edit mode to the Freshservice change being edited
+  editBaseline: null      // Editable fields of that change when it was opened
 };
 
-// Data storage keys
+// Data storage keys. DRAFT_ID and DRAFT_INDEX are suffixed with the logged-in
+// agent's ID so every agent has their own drafts (see userStorageKey).
 const STORAGE_KEYS = {
-  CHANGE_DATA: 'change_request_data',
-  DRAFT_ID: 'change_request_draft_id'
+  CHANGE_DATA: 'change_request_data',       // Single shared draft saved by earlier versions
+  DRAFT_ID: 'change_request_draft_id',      // Draft that was last open
+  DRAFT_INDEX: 'change_request_drafts',     // Names and timestamps of all drafts
+  TEMPLATE_INDEX: 'change_request_templates' // Change templates, shared by all agents
 };
 
+// Each draft is stored under its own key with this prefix
+const DRAFT_KEY_PREFIX = 'change_request_draft_';
+
+// Each change template is stored under its own key with this prefix
+const TEMPLATE_KEY_PREFIX = 'change_request_template_';
+
+// Change templates listed in the template index
+let templateIndex = [];
+
+// Agent using the app, from the client's loggedInUser data
+let currentUser = null;
+
+// Drafts saved before drafts were scoped per agent; their owner is unknown
+let unassignedDrafts = [];
+
+// Drafts listed in the draft index, and the one currently open in the form
+let draftIndex = [];
+let currentDraftId = null;
+let lastOpenDraftId = null;
+
+// Name typed for a draft that has not been saved yet
+let pendingDraftName = '';
+
 const changeTypeTooltips = {
   'standard': 'Standard Changes: All changes to critical assets > automate predefined/repeatable changes as much as possible',
   'non-production': 'Non-Production Changes: used for non-prod designated assets, such as a dev server for ceifx, or amptest',
@@ -45,6 +79,332 @@ const leadTimeText = {
   'non-standard': '2 business days'
 };
 
+// Built-in risk questionnaire, used when the risk_questionnaire installation
+// parameter is empty. Each answer scores option score x question weight.
+// Thresholds are the highest weighted total for Low and Medium when every
+// question applies; they are scaled down when some do not. A matching
+// critical rule (or an option marked critical) makes the change High
+// whatever the total.
+const DEFAULT_RISK_QUESTIONNAIRE = {
+  thresholds: {
+    low: 8,
+    medium: 13
+  },
+  explanations: {
+    'Low': 'This change poses minimal risk to business operations and is likely to be implemented successfully.',
+    'Medium': 'This change poses moderate risk to business operations. Consider additional testing or verification steps.',
+    'High': 'This change poses significant risk to business operations. A detailed review is recommended before proceeding.'
+  },
+  questions: [
+    {
+      id: 'business-impact',
+      key: 'businessImpact',
+      mapsTo: 'impact',
+      text: 'What is the potential business impact if the change fails?',
+      options: [
+        { value: 1, score: 1, label: 'Low - Limited impact on business operations' },
+        { value: 2, score: 2, label: 'Medium - Noticeable impact on some business operations' },
+        { value: 3, score: 3, label: 'High - Significant impact on business operations' }
+      ]
+    },
+    {
+      id: 'affected-users',
+      key: 'affectedUsers',
+      text: 'How many users will be affected by this change?',
+      options: [
+        { value: 1, score: 1, label: 'Few (<50 users)' },
+        { value: 2, score: 2, label: 'Some (50-200 users)' },
+        { value: 3, score: 3, label: 'Many (>200 users)' }
+      ]
+    },
+    {
+      id: 'complexity',
+      key: 'complexity',
+      text: 'How complex is this change?',
+      options: [
+        { value: 1, score: 1, label: 'Simple - Routine change with established procedures' },
+        { value: 2, score: 2, label: 'Moderate - Some complexity but well understood' },
+        { value: 3, score: 3, label: 'Complex - Multiple systems or uncommon procedures' }
+      ]
+    },
+    {
+      id: 'testing',
+      key: 'testing',
+      text: 'What level of testing has been performed?',
+      options: [
+        { value: 1, score: 1, label: 'Comprehensive - Thoroughly tested in multiple environments' },
+        { value: 2, score: 2, label: 'Adequate - Primary functions tested in test environment' },
+        { value: 3, score: 3, label: 'Limited - Minimal testing or testing not possible' }
+      ]
+    },
+    {
+      id: 'rollback',
+      key: 'rollback',
+      text: 'Is there a rollback plan available?',
+      weight: 2,
+      options: [
+        { value: 1, score: 1, label: 'Yes - Detailed rollback plan with proven procedures' },
+        { value: 2, score: 2, label: 'Partial - Basic rollback steps identified' },
+        { value: 3, score: 3, label: 'No - No rollback possible or very difficult' }
+      ]
+    }
+  ],
+  criticalRules: [
+    {
+      name: 'No rollback is possible for a change with high business impact',
+      answers: {
+        'rollback': [3],
+        'business-impact': [3]
+      }
+    }
+  ]
+};
+
+// Backout plans shorter than this do not count as a detailed rollback plan
+const DETAILED_BACKOUT_PLAN_LENGTH = 50;
+
+// From this many impacted assets and services a change is not a simple one
+const COMPLEX_CHANGE_ASSET_COUNT = 5;
+
+// Checks of risk answers against the rest of the form. A rule applies when
+// its built-in question is answered with one of the listed values, and its
+// check describes what contradicts the answer, or returns null.
+const RISK_CONSISTENCY_RULES = [
+  {
+    questionId: 'rollback',
+    answers: [1],
+    check: data => {
+      const length = String(data.backoutPlan || '').trim().length;
+      if (length === 0) return 'the backout plan is empty';
+      return length < DETAILED_BACKOUT_PLAN_LENGTH ? `the backout plan is only ${length} characters long` : null;
+    }
+  },
+  {
+    questionId: 'affected-users',
+    answers: [1],
+    check: data => describeCompanyWideServices(data)
+  },
+  {
+    questionId: 'business-impact',
+    answers: [1],
+    check: data => describeCompanyWideServices(data)
+  },
+  {
+    questionId: 'business-impact',
+    answers: [3],
+    check: data => (data.changeType === 'non-production' ? 'this is a Non-Production Change' : null)
+  },
+  {
+    questionId: 'complexity',
+    answers: [1],
+    check: data => {
+      const count = (data.selectedAssets || []).length;
+      return count >= COMPLEX_CHANGE_ASSET_COUNT ? `${count} assets and services are impacted` : null;
+    }
+  }
+];
+
+// Built-in question whose answer is suggested from the impacted assets
+const AFFECTED_USERS_QUESTION_ID = 'affected-users';
+
+// Affected-user estimates mapped to the answer values of the built-in
+// affected-users question: fewer than 50, 50 to 200, and more than 200 users
+const AFFECTED_USER_BANDS = [
+  { max: 49, value: 1 },
+  { max: 200, value: 2 },
+  { max: Infinity, value: 3 }
+];
+
+// Shortest justification accepted for a manual risk level override
+const MIN_OVERRIDE_JUSTIFICATION_LENGTH = 20;
+
+// Plans checked by plan rules, keyed by the name used in the plan_rules setting
+const PLAN_FIELDS = {
+  'implementation': { key: 'implementationPlan', label: 'Implementation plan' },
+  'backout': { key: 'backoutPlan', label: 'Backout plan' },
+  'validation': { key: 'validationPlan', label: 'Validation plan' }
+};
+
+// How change freezes and plan rules treat a change they catch: block stops it,
+// warn lets it through with a warning
+const RULE_ENFORCEMENT = {
+  BLOCK: 'block',
+  WARN: 'warn'
+};
+
+// Plan rules used when the plan_rules setting is empty, in normalizePlanRules form.
+// Keywords match whole words, so the usual forms of each word are listed.
+const DEFAULT_PLAN_RULES = [
+  {
+    name: 'Plans are written out',
+    plans: ['implementation', 'backout', 'validation'],
+    changeTypes: null,
+    minLength: 20,
+    keywords: [],
+    match: 'all',
+    placeholders: [],
+    enforcement: RULE_ENFORCEMENT.BLOCK
+  },
+  {
+    name: 'No placeholder text',
+    plans: ['implementation', 'backout', 'validation'],
+    changeTypes: null,
+    minLength: 0,
+    keywords: [],
+    match: 'all',
+    placeholders: ['TBD', 'TBC', 'TODO', 'N/A'],
+    enforcement: RULE_ENFORCEMENT.BLOCK
+  },
+  {
+    name: 'Backout plan restores service',
+    plans: ['backout'],
+    changeTypes: null,
+    minLength: 0,
+    keywords: ['restore', 'restored', 'restoring', 'roll back', 'rolled back', 'rolling back', 'rollback', 'revert', 'reverted', 'reverting'],
+    match: 'any',
+    placeholders: [],
+    enforcement: RULE_ENFORCEMENT.WARN
+  },
+  {
+    name: 'Validation plan says how success is checked',
+    plans: ['validation'],
+    changeTypes: null,
+    minLength: 0,
+    keywords: [
+      'verify', 'verified', 'verifying', 'check', 'checked', 'checking', 'test', 'tested', 'testing',
+      'confirm', 'confirmed', 'confirming', 'monitor', 'monitored', 'monitoring'
+    ],
+    match: 'any',
+    placeholders: [],
+    enforcement: RULE_ENFORCEMENT.WARN
+  }
+];
+
+// Administrator configuration from installation parameters, see loadAppConfig
+const appConfig = {
+  riskQuestionnaire: DEFAULT_RISK_QUESTIONNAIRE,
+  holidays: {},    // Holiday names keyed by YYYY-MM-DD, skipped in lead time calculations
+  freezeWindows: [],
+  templateAdmins: [], // Lower-case emails of agents who can manage change templates
+  editLockStatus: 4,   // Changes at or past this status cannot be edited (Pending Release)
+  approvalRules: [],   // Approval routing by risk level and change type, first match wins
+  planRules: DEFAULT_PLAN_RULES
+};
+
+// Business days required between now and the planned start, per change type
+const leadTimeDays = {
+  'standard': 2,
+  'non-production': 0,
+  'emergency': 0,
+  'non-standard': 2
+};
+
+const changeTypeLabels = {
+  'standard': 'Standard Change',
+  'non-production': 'Non-Production Change',
+  'emergency': 'Emergency Change',
+  'non-standard': 'Non-standard Change'
+};
+
+// Freshservice change field values used when creating a change
+const freshserviceChangeTypes = {
+  'standard': 2,        // Standard
+  'non-production': 1,  // Minor
+  'emergency': 4,       // Emergency
+  'non-standard': 3     // Major
+};
+
+const freshserviceRiskLevels = {
+  'Low': 1,
+  'Medium': 2,
+  'High': 3
+};
+
+const FRESHSERVICE_CHANGE_STATUS_OPEN = 1;
+
+const freshserviceChangeStatuses = {
+  1: 'Open',
+  2: 'Planning',
+  3: 'Awaiting Approval',
+  4: 'Pending Release',
+  5: 'Pending Review',
+  6: 'Closed'
+};
+
+// Clone or edit, for the change lookup dialog
+let changeLookupMode = 'clone';
+
+// Written into the description of every change the app creates, so the
+// My Change Requests view can tell them apart. Mirrored in server/server.js.
+const APP_CHANGE_MARKER = 'Submitted with the Change Request app';
+
+// Next Freshservice page to scan in the My Change Requests view, or null when all were loaded
+let myChangesNextPage = null;
+
+// Whether the app created each change listed so far, keyed by change ID, so a
+// refresh does not load every change again to read its description
+const myChangesOrigins = {};
+
+// Approvers shown in the summary, requested once the change is created
+let pendingApprovalPlan = null;
+
+// Resolution of pendingApprovalPlan started by the summary, awaited before the
+// approvals are requested so an early confirm does not skip them
+let pendingApprovalSummary = null;
+
+// Version of the exported JSON summary. Bump it when the shape of changeRequestData changes.
+const SUMMARY_SCHEMA_VERSION = 1;
+
+// Most change requests accepted from one import file, and the pause between
+// changes submitted in a batch so a campaign does not exhaust the API rate limit
+const IMPORT_MAX_RECORDS = 100;
+const IMPORT_SUBMIT_DELAY_MS = 1500;
+
+// Rows of the last import file: { number, data, errors, warnings, result }
+let importRows = [];
+// True from the first submission until the whole batch is done, pauses included
+let importSubmitting = false;
+
+// Values of the service_link_mode installation parameter
+const SERVICE_LINK_MODES = {
+  CONFIGURATION_ITEM: 'Link as configuration items',
+  NOTE: 'Record in a change note'
+};
+
+// Result of the most recent submission, kept so failed asset links can be retried
+let lastSubmission = null;
+
+// Scheduling conflicts waiting for the agent to acknowledge them or adjust the window
+let pendingConflicts = null;
+
+// CMDB relationships of selected assets, keyed by display ID: { status, related, truncated, error }
+const assetRelationships = {};
+
+// Whether an affected-user estimate is being made for the impacted assets
+let affectedUsersEstimateLoading = false;
+
+// Department and location headcounts counted this session, keyed as 'department:<id>' or 'location:<id>'
+const headcountCache = new Map();
+
+// Waits for the asset selection to settle before estimating the affected users
+const scheduleAffectedUsersEstimate = debounce(estimateAffectedUsers, 1000);
+
+// Attachment limits applied before files are queued for upload. Each file is
+// sent base64 encoded in one serverless invocation, whose payload is limited to
+// 6 MB: a 4 MB file grows to about 5.4 MB, which leaves room for the rest of the
+// request.
+const ATTACHMENT_LIMITS = {
+  maxFiles: 10,
+  maxFileSize: 4 * 1024 * 1024,
+  maxPayloadSize: 6 * 1024 * 1024,
+  maxTotalSize: 15 * 1024 * 1024,
+  allowedExtensions: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'csv', 'txt', 'log', 'md', 'png', 'jpg', 'jpeg', 'gif']
+};
+
+// Files selected in this session, keyed by attachment ID. File objects cannot be
+// kept in data storage, so drafts only hold the attachment metadata.
+const pendingFiles = {};
+
 // Load FontAwesome if not already loaded
 function loadFontAwesome() {
   try {
@@ -143,9 +503,15 @@ function initializeApp() {
                   return;
                 }
                 
-                loadSavedData().catch(err => {
-                  console.error("Error in loadSavedData promise:", err);
-                });
+                loadAppConfig()
+                  .then(() => {
+                    renderRiskQuestionnaire();
+                    return initializeDrafts();
+                  })
+                  .then(() => loadMyChanges(true))
+                  .catch(err => {
+                    console.error("Error in initializeDrafts promise:", err);
+                  });
               } catch (dataErr) {
                 console.error("Exception during data loading:", dataErr);
               }
@@ -169,7 +535,7 @@ function initializeApp() {
 // Helper function to display initialization errors without relying on the client
 function displayInitError(message) {
   try {
-    document.body.innerHTML += `
+    document.body.innerHTML += html`
       <div style="color: red; padding: 20px; border: 1px solid red; margin: 20px; background: #fff">
         ${message}
       </div>
@@ -241,53 +607,253 @@ function initializeBootstrapTabs() {
 }
 
 /**
- * Load saved change request data from the data storage
+ * Get the logged-in agent from the client
+ * @returns {Promise<Object|null>} - { id, name, email } or null if unavailable
+ */
+async function loadCurrentUser() {
+  try {
+    const data = await window.client.data.get('loggedInUser');
+    const loggedInUser = data && data.loggedInUser;
+    const user = loggedInUser && (loggedInUser.user || loggedInUser);
+    
+    if (!user || !user.id) {
+      console.error('Logged-in user data has no ID:', data);
+      return null;
+    }
+    
+    currentUser = {
+      id: user.id,
+      name: `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.name || '',
+      email: user.email || user.primary_email || ''
+    };
+    return currentUser;
+  } catch (error) {
+    console.error('Error getting logged-in user:', error);
+    return null;
+  }
+}
+
+/**
+ * Scope a data storage key to the logged-in agent
+ * @param {string} baseKey - One of STORAGE_KEYS
+ * @returns {string} - Storage key for the current agent
+ */
+function userStorageKey(baseKey) {
+  return `${baseKey}_${currentUser.id}`;
+}
+
+/**
+ * Get the data storage key of a draft
+ * @param {string} draftId - Draft ID
+ * @returns {string} - Storage key
+ */
+function draftStorageKey(draftId) {
+  return `${DRAFT_KEY_PREFIX}${currentUser.id}_${draftId}`;
+}
+
+/**
+ * Check whether the form holds anything worth saving as a draft
+ * @param {Object} data - Change request data
+ * @returns {boolean} - True when nothing has been entered
+ */
+function isDraftEmpty(data) {
+  const risk = data.riskAssessment || {};
+  return !data.requester &&
+    !data.agent &&
+    !data.plannedStart &&
+    !data.plannedEnd &&
+    !data.implementationPlan &&
+    !data.backoutPlan &&
+    !data.validationPlan &&
+    !Object.keys(risk).some(key => key !== 'riskLevel' && risk[key]) &&
+    (data.selectedAssets || []).length === 0 &&
+    (data.attachments || []).length === 0;
+}
+
+/**
+ * Load the draft index from data storage
+ * @returns {Promise<Array>} - Drafts, most recently modified first
+ */
+async function loadDraftIndex() {
+  try {
+    const result = await window.client.db.get(userStorageKey(STORAGE_KEYS.DRAFT_INDEX));
+    draftIndex = result && Array.isArray(result.drafts) ? result.drafts : [];
+  } catch (error) {
+    // A missing key is normal for first-time users
+    console.log('No draft index found:', error);
+    draftIndex = [];
+  }
+  
+  draftIndex.sort((a, b) => b.updatedAt - a.updatedAt);
+  return draftIndex;
+}
+
+async function saveDraftIndex() {
+  await window.client.db.set(userStorageKey(STORAGE_KEYS.DRAFT_INDEX), { drafts: draftIndex });
+}
+
+/**
+ * Find drafts saved before drafts were scoped per agent. Any agent may have
+ * saved them, so they are only listed for the user to claim or delete.
+ */
+async function loadUnassignedDrafts() {
+  unassignedDrafts = [];
+  
+  try {
+    const legacyIndex = await window.client.db.get(STORAGE_KEYS.DRAFT_INDEX);
+    if (legacyIndex && Array.isArray(legacyIndex.drafts)) {
+      legacyIndex.drafts.forEach(draft => {
+        unassignedDrafts.push({ ...draft, storageKey: `${DRAFT_KEY_PREFIX}${draft.id}` });
+      });
+    }
+  } catch (error) {
+    console.log('No unassigned draft index found:', error);
+  }
+  
+  try {
+    const legacyData = await window.client.db.get(STORAGE_KEYS.CHANGE_DATA);
+    if (legacyData && typeof legacyData === 'object') {
+      unassignedDrafts.push({ id: 'legacy', name: 'Saved draft', storageKey: STORAGE_KEYS.CHANGE_DATA });
+    }
+  } catch (error) {
+    console.log('No legacy draft found:', error);
+  }
+  
+  return unassignedDrafts;
+}
+
+/**
+ * Remove an unassigned draft from storage
+ * @param {Object} entry - Unassigned draft entry
+ */
+async function removeUnassignedDraft(entry) {
+  try {
+    await window.client.db.delete(entry.storageKey);
+  } catch (error) {
+    console.error(`Error deleting unassigned draft ${entry.id}:`, error);
+  }
+  
+  unassignedDrafts = unassignedDrafts.filter(draft => draft !== entry);
+  
+  if (entry.storageKey !== STORAGE_KEYS.CHANGE_DATA) {
+    const remaining = unassignedDrafts
+      .filter(draft => draft.storageKey !== STORAGE_KEYS.CHANGE_DATA)
+      .map(({ storageKey, ...draft }) => draft);
+    
+    if (remaining.length > 0) {
+      await window.client.db.set(STORAGE_KEYS.DRAFT_INDEX, { drafts: remaining });
+    } else {
+      await window.client.db.delete(STORAGE_KEYS.DRAFT_INDEX).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Move an unassigned draft into the logged-in agent's drafts
+ * @param {Object} entry - Unassigned draft entry
+ */
+async function claimUnassignedDraft(entry) {
+  try {
+    const data = await window.client.db.get(entry.storageKey);
+    const now = Date.now();
+    const draftId = now.toString(36);
+    
+    await window.client.db.set(draftStorageKey(draftId), { ...data, ownerId: currentUser.id });
+    draftIndex.unshift({ id: draftId, name: entry.name, createdAt: entry.createdAt || now, updatedAt: now });
+    await saveDraftIndex();
+    await removeUnassignedDraft(entry);
+    
+    showNotification('success', `"${entry.name}" moved to your drafts`);
+  } catch (error) {
+    console.error(`Error claiming unassigned draft ${entry.id}:`, error);
+    showNotification('error', 'Failed to move draft');
+  }
+}
+
+/**
+ * Load the draft index and let the user choose a draft to resume
  */
-async function loadSavedData() {
-  console.log('Attempting to load saved data...');
+async function initializeDrafts() {
+  console.log('Initializing drafts...');
   
   // First check if client is properly initialized
   if (!window.client || !window.client.db || typeof window.client.db.get !== 'function') {
-    console.error('Client DB API not available for loading data');
+    console.error('Client DB API not available for loading drafts');
+    return;
+  }
+  
+  // Drafts are scoped to the agent, so nothing is loaded or saved without one
+  if (!await loadCurrentUser()) {
+    showNotification('error', 'Could not identify the logged-in agent. Drafts will not be saved.');
     return;
   }
   
+  await loadDraftIndex();
+  await loadUnassignedDrafts();
+  
+  try {
+    const lastOpen = await window.client.db.get(userStorageKey(STORAGE_KEYS.DRAFT_ID));
+    lastOpenDraftId = lastOpen && lastOpen.draftId ? lastOpen.draftId : null;
+  } catch (error) {
+    lastOpenDraftId = null;
+  }
+  
+  updateDraftToolbar();
+  
+  if (draftIndex.length > 0 || unassignedDrafts.length > 0) {
+    showDraftPicker();
+  }
+}
+
+/**
+ * Load a saved draft into the form
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<boolean>} - True when the draft was loaded
+ */
+async function loadSavedData(draftId) {
+  console.log(`Loading draft ${draftId}...`);
+  
   try {
-    // Try to get data with proper error handling
-    console.log('Requesting data from storage...');
-    const result = await window.client.db.get(STORAGE_KEYS.CHANGE_DATA);
+    const result = await window.client.db.get(draftStorageKey(draftId));
+    if (!result || typeof result !== 'object') {
+      showNotification('error', 'This draft could not be found');
+      return false;
+    }
     
-    // Check if we have valid data
-    if (result && typeof result === 'object') {
-      console.log('Data retrieved successfully');
-      
-      // Update the global data object with saved values
-      Object.keys(result).forEach(key => {
-        changeRequestData[key] = result[key];
-      });
-      
-      // Update the UI with saved data
-      try {
-        console.log('Populating form fields with saved data');
-        populateFormFields();
-        
-        // Only show notification after successfully populating the form
-        setTimeout(() => {
-          showNotification('info', 'Draft change request data loaded');
-        }, 500);
-        
-        return true; // Indicate success
-      } catch (formError) {
-        console.error('Error populating form with saved data:', formError);
-      }
-    } else {
-      console.log('No saved data found in storage');
+    // Never load another agent's work into the form
+    if (result.ownerId && result.ownerId !== currentUser.id) {
+      console.warn(`Draft ${draftId} belongs to agent ${result.ownerId}, not ${currentUser.id}`);
+      showNotification('warning', 'This draft belongs to another agent and was not loaded');
       return false;
     }
+    delete result.ownerId;
+    
+    // Start from a clean form so fields missing from the draft are cleared
+    currentDraftId = null;
+    resetForm();
+    
+    // Update the global data object with saved values
+    Object.keys(result).forEach(key => {
+      changeRequestData[key] = result[key];
+    });
+    
+    currentDraftId = draftId;
+    lastOpenDraftId = draftId;
+    pendingDraftName = '';
+    populateFormFields();
+    updateDraftToolbar();
+    showView('form');
+    
+    await window.client.db.set(userStorageKey(STORAGE_KEYS.DRAFT_ID), { draftId });
+    
+    setTimeout(() => {
+      showNotification('info', 'Draft change request data loaded');
+    }, 500);
+    
+    return true;
   } catch (error) {
-    // Handle storage error but don't break the app
-    console.log('Error accessing saved data:', error);
-    // Don't show error notification as this is a normal condition for first-time users
+    console.error('Error loading draft:', error);
+    showNotification('error', 'Failed to load draft');
     return false;
   }
 }
@@ -302,9 +868,41 @@ async function saveCurrentData() {
     return false;
   }
   
+  // Without a known agent a draft could end up visible to everyone
+  if (!currentUser) {
+    console.warn('Logged-in user unknown, draft not saved');
+    return false;
+  }
+  
+  // Don't create a draft until something has been entered
+  if (!currentDraftId && isDraftEmpty(changeRequestData) && !pendingDraftName) {
+    return true;
+  }
+  
   try {
     console.log('Saving current form data...');
-    await window.client.db.set(STORAGE_KEYS.CHANGE_DATA, changeRequestData);
+    const now = Date.now();
+    
+    if (!currentDraftId) {
+      currentDraftId = now.toString(36);
+      draftIndex.unshift({
+        id: currentDraftId,
+        name: pendingDraftName || `Change request ${new Date(now).toLocaleDateString()}`,
+        createdAt: now,
+        updatedAt: now
+      });
+      pendingDraftName = '';
+      await window.client.db.set(userStorageKey(STORAGE_KEYS.DRAFT_ID), { draftId: currentDraftId });
+    }
+    
+    await window.client.db.set(draftStorageKey(currentDraftId), { ...changeRequestData, ownerId: currentUser.id });
+    
+    const draft = draftIndex.find(entry => entry.id === currentDraftId);
+    if (draft) {
+      draft.updatedAt = now;
+    }
+    await saveDraftIndex();
+    updateDraftToolbar();
     console.log('Form data saved successfully');
     
     // Only show notification 20% of the time to avoid too many notifications
@@ -334,1514 +932,5963 @@ async function saveCurrentData() {
 }
 
 /**
- * Clear saved data from storage
+ * Delete a draft and remove it from the draft index
+ * @param {string} draftId - Draft ID
  */
-async function clearSavedData() {
+async function deleteDraft(draftId) {
   try {
-    await window.client.db.delete(STORAGE_KEYS.CHANGE_DATA);
-    console.log('Saved data cleared');
+    await window.client.db.delete(draftStorageKey(draftId));
   } catch (error) {
-    console.error('Error clearing saved data', error);
+    console.error(`Error deleting draft ${draftId}:`, error);
+  }
+  
+  draftIndex = draftIndex.filter(entry => entry.id !== draftId);
+  await saveDraftIndex();
+  
+  if (draftId === currentDraftId) {
+    currentDraftId = null;
+    resetForm();
   }
+  updateDraftToolbar();
 }
 
 /**
- * Populate form fields with data from storage
+ * Copy a draft under a new name
+ * @param {string} draftId - Draft ID
  */
-function populateFormFields() {
-  console.log('Populating form fields with saved data');
-  
-  // Safely get a DOM element with null checking
-  function safeGetElement(id) {
-    const element = document.getElementById(id);
-    if (!element) {
-      console.warn(`Element not found: ${id}`);
-      return null;
-    }
-    return element;
+async function duplicateDraft(draftId) {
+  try {
+    const source = draftIndex.find(entry => entry.id === draftId);
+    const data = await window.client.db.get(draftStorageKey(draftId));
+    
+    const now = Date.now();
+    const copyId = now.toString(36);
+    
+    // Attachment files are not stored, so the copy starts without them
+    await window.client.db.set(draftStorageKey(copyId), { ...data, attachments: [] });
+    draftIndex.unshift({
+      id: copyId,
+      name: `Copy of ${source ? source.name : 'draft'}`,
+      createdAt: now,
+      updatedAt: now
+    });
+    await saveDraftIndex();
+    
+    showNotification('success', 'Draft duplicated');
+  } catch (error) {
+    console.error(`Error duplicating draft ${draftId}:`, error);
+    showNotification('error', 'Failed to duplicate draft');
   }
+}
+
+/**
+ * Rename the current draft
+ * @param {string} name - New draft name
+ */
+async function renameCurrentDraft(name) {
+  const trimmedName = name.trim();
   
-  // Safely set element value with null checking
-  function safeSetValue(id, value) {
-    const element = safeGetElement(id);
-    if (element && value !== undefined && value !== null) {
-      element.value = value;
+  if (!currentDraftId) {
+    // The name is used once the draft is first saved
+    pendingDraftName = trimmedName;
+    if (trimmedName) {
+      await saveCurrentData();
     }
+    return;
   }
   
-  // Safely set element text content with null checking
-  function safeSetText(id, text) {
-    const element = safeGetElement(id);
-    if (element && text !== undefined && text !== null) {
-      element.textContent = text;
-    }
+  const draft = draftIndex.find(entry => entry.id === currentDraftId);
+  if (draft && trimmedName) {
+    draft.name = trimmedName;
+    draft.updatedAt = Date.now();
+    await saveDraftIndex();
+    updateDraftToolbar();
   }
+}
+
+/**
+ * Save the current draft and start a new, empty one
+ */
+async function startNewDraft() {
+  await saveCurrentData();
+  
+  currentDraftId = null;
+  pendingDraftName = '';
+  resetForm();
+  updateDraftToolbar();
+  closeDraftPicker();
+  showView('form');
+}
+
+/**
+ * Clear saved data from storage
+ */
+async function clearSavedData() {
+  if (!currentDraftId || !currentUser) return;
   
   try {
-    // Populate requester if exists
-    if (changeRequestData.requester) {
-      const requester = changeRequestData.requester;
-      const selectedContainer = safeGetElement('selected-requester');
-      
-      if (selectedContainer) {
-        // Create detailed requester info display with improved styling
-        let requesterInfo = `
-          <div class="d-flex justify-content-between align-items-center mb-2">
-            <div>
-              <div class="fw-bold">${requester.first_name} ${requester.last_name}</div>
-              <div class="text-secondary small"><i class="fas fa-envelope me-1"></i>${requester.email || requester.primary_email}</div>
-            </div>
-            <div>
-              <span class="badge bg-primary me-2">Requester</span>
-              <button class="btn btn-sm btn-outline-secondary clear-requester" type="button"><i class="fas fa-times"></i></button>
-            </div>
-          </div>
-        `;
-        
-        // Add badges for additional details in a flex container
-        const detailsList = [];
-        
-        if (requester.job_title) {
-          detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-briefcase me-1"></i>${requester.job_title}</span>`);
-        }
-        
-        if (requester.location_name) {
-          detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-map-marker-alt me-1"></i>${requester.location_name}</span>`);
-        }
-        
-        if (requester.manager_name) {
-          detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-user-tie me-1"></i>${requester.manager_name}</span>`);
-        }
-        
-        if (requester.department_names && requester.department_names.length > 0) {
-          detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-building me-1"></i>${requester.department_names[0]}</span>`);
-        }
-        
-        if (detailsList.length > 0) {
-          requesterInfo += `<div class="d-flex flex-wrap gap-2 mt-1">${detailsList.join('')}</div>`;
-        }
-        
-        selectedContainer.innerHTML = requesterInfo;
-        selectedContainer.style.display = 'block';
-        selectedContainer.classList.add('p-2', 'border', 'rounded', 'bg-light');
-        
-        // Add event listener to the clear button
-        document.querySelector('.clear-requester').addEventListener('click', clearRequester);
-      }
-    }
-    
-    // Populate agent if exists
-    if (changeRequestData.agent) {
-      const agent = changeRequestData.agent;
-      const selectedContainer = safeGetElement('selected-agent');
-      
-      if (selectedContainer) {
-        // Create detailed agent info display with improved styling
-        let agentInfo = `
-          <div class="d-flex justify-content-between align-items-center mb-2">
-            <div>
-              <div class="fw-bold">${agent.first_name} ${agent.last_name}</div>
-              <div class="text-secondary small"><i class="fas fa-envelope me-1"></i>${agent.email}</div>
-            </div>
-            <div>
-              <span class="badge bg-info me-2">Agent</span>
-              <button class="btn btn-sm btn-outline-secondary clear-agent" type="button"><i class="fas fa-times"></i></button>
-            </div>
-          </div>
-        `;
-        
-        // Add badges for additional details in a flex container
-        const detailsList = [];
-        
-        if (agent.job_title) {
-          detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-briefcase me-1"></i>${agent.job_title}</span>`);
-        }
-        
-        if (agent.location_name) {
-          detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-map-marker-alt me-1"></i>${agent.location_name}</span>`);
-        }
-        
-        if (agent.manager_name) {
-          detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-user-tie me-1"></i>${agent.manager_name}</span>`);
-        }
-        
-        if (agent.department_names && agent.department_names.length > 0) {
-          detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-building me-1"></i>${agent.department_names[0]}</span>`);
-        }
-        
-        if (detailsList.length > 0) {
-          agentInfo += `<div class="d-flex flex-wrap gap-2 mt-1">${detailsList.join('')}</div>`;
-        }
-        
-        selectedContainer.innerHTML = agentInfo;
-        selectedContainer.style.display = 'block';
-        selectedContainer.classList.add('p-2', 'border', 'rounded', 'bg-light');
-        
-        // Add event listener to the clear button
-        document.querySelector('.clear-agent').addEventListener('click', clearAgent);
-      }
-    }
-    
-    // Populate Change Type
-    const changeTypeSelect = safeGetElement('change-type');
-    if (changeTypeSelect && changeRequestData.changeType) {
-      changeTypeSelect.value = changeRequestData.changeType;
-    }
-    safeSetText('lead-time', changeRequestData.leadTime || '2 business days');
-    
-    // Populate dates
-    safeSetValue('planned-start', changeRequestData.plannedStart || '');
-    safeSetValue('planned-end', changeRequestData.plannedEnd || '');
-    
-    // Populate text areas
-    safeSetValue('implementation-plan', changeRequestData.implementationPlan || '');
-    safeSetValue('backout-plan', changeRequestData.backoutPlan || '');
-    safeSetValue('validation-plan', changeRequestData.validationPlan || '');
-    
-    // Populate risk assessment if it exists
-    const riskAssessment = changeRequestData.riskAssessment;
-    if (riskAssessment) {
-      // Set radio buttons based on saved risk data
-      try {
-        if (riskAssessment.businessImpact > 0) {
-          const radioElement = document.querySelector(`input[name="business-impact"][value="${riskAssessment.businessImpact}"]`);
-          if (radioElement) radioElement.checked = true;
-        }
-        
-        if (riskAssessment.affectedUsers > 0) {
-          const radioElement = document.querySelector(`input[name="affected-users"][value="${riskAssessment.affectedUsers}"]`);
-          if (radioElement) radioElement.checked = true;
-        }
-        
-        if (riskAssessment.complexity > 0) {
-          const radioElement = document.querySelector(`input[name="complexity"][value="${riskAssessment.complexity}"]`);
-          if (radioElement) radioElement.checked = true;
-        }
-        
-        if (riskAssessment.testing > 0) {
-          const radioElement = document.querySelector(`input[name="testing"][value="${riskAssessment.testing}"]`);
-          if (radioElement) radioElement.checked = true;
-        }
-        
-        if (riskAssessment.rollback > 0) {
-          const radioElement = document.querySelector(`input[name="rollback"][value="${riskAssessment.rollback}"]`);
-          if (radioElement) radioElement.checked = true;
-        }
-      } catch (radioErr) {
-        console.error('Error setting risk radio buttons:', radioErr);
-      }
-      
-      // Show risk results if they exist
-      if (riskAssessment.totalScore > 0) {
-        safeSetText('risk-score-value', riskAssessment.totalScore);
-        
-        const riskLevelElement = safeGetElement('risk-level-value');
-        if (riskLevelElement) {
-          riskLevelElement.textContent = riskAssessment.riskLevel;
-          riskLevelElement.className = `badge ${getRiskBadgeClass(riskAssessment.riskLevel)}`;
-        }
-        
-        let riskExplanation = '';
-        if (riskAssessment.riskLevel === 'Low') {
-          riskExplanation = 'This change poses minimal risk to business operations and is likely to be implemented successfully.';
-        } else if (riskAssessment.riskLevel === 'Medium') {
-          riskExplanation = 'This change poses moderate risk to business operations. Consider additional testing or verification steps.';
-        } else {
-          riskExplanation = 'This change poses significant risk to business operations. A detailed review is recommended before proceeding.';
-        }
-        
-        safeSetText('risk-explanation', riskExplanation);
-        
-        const riskResultElement = safeGetElement('risk-result');
-        if (riskResultElement) {
-          riskResultElement.classList.remove('hidden');
-        }
-      }
-    }
-    
-    // Populate selected assets
-    if (changeRequestData.selectedAssets && changeRequestData.selectedAssets.length > 0) {
-      renderSelectedAssets();
-    }
-    
-    console.log('Form populated successfully');
+    await window.client.db.delete(draftStorageKey(currentDraftId));
+    draftIndex = draftIndex.filter(entry => entry.id !== currentDraftId);
+    await saveDraftIndex();
+    await window.client.db.delete(userStorageKey(STORAGE_KEYS.DRAFT_ID));
+    console.log('Saved data cleared');
   } catch (error) {
-    console.error('Error populating form fields:', error);
+    console.error('Error clearing saved data', error);
   }
+  
+  currentDraftId = null;
+  updateDraftToolbar();
 }
 
-function setupEventListeners() {
-  // We don't need to manually handle tab switching since Bootstrap will handle it
-  // Just add listeners for the Next buttons to programmatically switch tabs
-
-  // Enhance search inputs with icons and styling
-  enhanceSearchInputs();
-
-  // Change Details tab
-  document.getElementById('requester-search').addEventListener('input', debounce(searchRequesters, 300));
-  document.getElementById('agent-search').addEventListener('input', debounce(searchAgents, 300));
-  document.getElementById('change-type').addEventListener('change', updateChangeType);
-  document.getElementById('details-next').addEventListener('click', validateDetailsAndNext);
-
-  // Risk Assessment tab
-  const riskRadios = document.querySelectorAll('.risk-options input[type="radio"]');
-  riskRadios.forEach(radio => {
-    radio.addEventListener('change', updateRiskSelection);
-  });
-  document.getElementById('calculate-risk').addEventListener('click', calculateRisk);
-  document.getElementById('risk-next').addEventListener('click', validateRiskAndNext);
-
-  // Impacted Assets tab
-  document.getElementById('asset-search').addEventListener('input', debounce(searchAssets, 300));
-  document.getElementById('submit-change').addEventListener('click', showSummary);
-
-  // Confirmation Modal
-  document.getElementById('edit-request').addEventListener('click', closeModal);
-  document.getElementById('confirm-submit').addEventListener('click', submitChangeRequest);
-  
-  // Form inputs with auto-save
-  document.getElementById('planned-start').addEventListener('change', function() {
-    changeRequestData.plannedStart = this.value;
-    saveCurrentData();
-  });
+/**
+ * Replace the submitted draft with an edit draft of the change that holds only
+ * the attachments that failed to upload, so they can be added again later
+ * @param {number} changeId - Change the attachments belong to
+ * @param {Array} attachments - Attachments that failed to upload
+ * @returns {Promise<Object|null>} - { id, name } of the kept draft, or null when it could not be saved
+ */
+async function keepFailedAttachmentsDraft(changeId, attachments) {
+  // Drafts are stored per agent, so without one there is nowhere to keep them
+  if (!currentUser) return null;
   
-  document.getElementById('planned-end').addEventListener('change', function() {
-    changeRequestData.plannedEnd = this.value;
-    saveCurrentData();
-  });
+  const name = `Edit CHN-${changeId}`;
   
-  document.getElementById('implementation-plan').addEventListener('input', debounce(function() {
-    changeRequestData.implementationPlan = this.value;
-    saveCurrentData();
-  }, 1000));
+  const now = Date.now();
+  const draftId = currentDraftId || now.toString(36);
+  const draftData = {
+    ...changeRequestData,
+    attachments,
+    conflictAcknowledgement: null,
+    riskConsistencyAcknowledgement: null,
+    editingChangeId: changeId,
+    editBaseline: buildEditableFields(changeRequestData, await getServiceLinkMode())
+  };
   
-  document.getElementById('backout-plan').addEventListener('input', debounce(function() {
-    changeRequestData.backoutPlan = this.value;
-    saveCurrentData();
-  }, 1000));
+  let keptDraft = null;
+  try {
+    await window.client.db.set(draftStorageKey(draftId), { ...draftData, ownerId: currentUser.id });
+    draftIndex = draftIndex.filter(entry => entry.id !== draftId);
+    draftIndex.unshift({ id: draftId, name, createdAt: now, updatedAt: now });
+    await saveDraftIndex();
+    keptDraft = { id: draftId, name };
+    await window.client.db.delete(userStorageKey(STORAGE_KEYS.DRAFT_ID));
+  } catch (error) {
+    console.error(`Error keeping the failed attachments of change ${changeId}`, error);
+  }
   
-  document.getElementById('validation-plan').addEventListener('input', debounce(function() {
-    changeRequestData.validationPlan = this.value;
-    saveCurrentData();
-  }, 1000));
+  // The form moves on to a new request, which must not overwrite the kept draft
+  currentDraftId = null;
+  updateDraftToolbar();
+  return keptDraft;
 }
 
 /**
- * Enhance search inputs with icons and better styling
- * Simplified version to fix FDK validation errors
+ * Bring the draft kept for a submission in line with a retry of its uploads:
+ * delete it once every attachment is uploaded, or keep only the ones still failing
+ * @param {Object} submission - The last submission, with its keptDraft and attachmentResults
  */
-function enhanceSearchInputs() {
-  // Fix search input placeholders without DOM manipulation
-  const requesterSearch = document.getElementById('requester-search');
-  const agentSearch = document.getElementById('agent-search');
-  const assetSearch = document.getElementById('asset-search');
+async function updateKeptDraft(submission) {
+  const keptDraft = submission.keptDraft;
+  if (!keptDraft || !draftIndex.some(entry => entry.id === keptDraft.id)) return;
   
-  if (requesterSearch) {
-    requesterSearch.placeholder = 'Search for a requester...';
-    requesterSearch.classList.add('form-control');
+  const failedIds = submission.attachmentResults
+    .filter(result => result.status === 'failed')
+    .map(result => result.attachment.id);
+  if (failedIds.length === 0) {
+    await deleteDraft(keptDraft.id);
+    submission.keptDraft = null;
+    return;
   }
   
-  if (agentSearch) {
-    agentSearch.placeholder = 'Search for an agent...';
-    agentSearch.classList.add('form-control');
+  try {
+    const data = await window.client.db.get(draftStorageKey(keptDraft.id));
+    await window.client.db.set(draftStorageKey(keptDraft.id), {
+      ...data,
+      attachments: (data.attachments || []).filter(attachment => failedIds.includes(attachment.id))
+    });
+  } catch (error) {
+    console.error(`Error updating the kept draft ${keptDraft.id}:`, error);
   }
+}
+
+/**
+ * Show the name and last-modified time of the current draft
+ */
+function updateDraftToolbar() {
+  const nameInput = document.getElementById('draft-name');
+  const savedAt = document.getElementById('draft-saved-at');
+  if (!nameInput || !savedAt) return;
   
-  if (assetSearch) {
-    assetSearch.placeholder = 'Search for assets or services...';
-    assetSearch.classList.add('form-control');
+  const draft = draftIndex.find(entry => entry.id === currentDraftId);
+  
+  // Don't overwrite the name while the user is typing it
+  if (document.activeElement !== nameInput) {
+    nameInput.value = draft ? draft.name : pendingDraftName;
   }
+  savedAt.textContent = draft ? `Saved ${new Date(draft.updatedAt).toLocaleString()}` : 'Not saved yet';
   
-  // Add icon labels next to inputs using existing markup
-  // This avoids complex DOM manipulation that might cause FDK issues
-  addIconLabel('requester-search-label', 'fas fa-user', 'Requester');
-  addIconLabel('agent-search-label', 'fas fa-user-tie', 'Agent');
-  addIconLabel('asset-search-label', 'fas fa-desktop', 'Assets/Services');
+  document.getElementById('open-drafts').textContent = `My Drafts (${draftIndex.length})`;
 }
 
-// Helper to add icon labels
-function addIconLabel(labelId, iconClass, text) {
-  const label = document.getElementById(labelId);
-  if (label) {
-    label.innerHTML = `<i class="${iconClass} me-1"></i> ${text}`;
-    label.classList.add('fw-bold');
+/**
+ * Show the draft picker listing all saved drafts
+ */
+async function showDraftPicker() {
+  if (!currentUser) {
+    showNotification('error', 'Drafts are unavailable because the logged-in agent could not be identified');
+    return;
   }
-}
-
-function setupChangeTypeTooltips() {
-  const changeTypeSelect = document.getElementById('change-type');
-  const changeTypeTooltip = document.getElementById('change-type-tooltip');
-  
-  // Show tooltip for the default selected change type
-  updateTooltipContent(changeTypeSelect.value);
   
-  // Show tooltip on hover or focus
-  changeTypeSelect.addEventListener('mouseenter', function() {
-    changeTypeTooltip.style.display = 'block';
-  });
+  await loadDraftIndex();
+  renderDraftList();
   
-  changeTypeSelect.addEventListener('mouseleave', function() {
-    if (!changeTypeSelect.matches(':focus')) {
-      changeTypeTooltip.style.display = 'none';
-    }
-  });
+  const modalElement = document.getElementById('draft-picker-modal');
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+function closeDraftPicker() {
+  const modal = bootstrap.Modal.getInstance(document.getElementById('draft-picker-modal'));
+  if (modal) {
+    modal.hide();
+  }
+}
+
+function renderDraftList() {
+  const container = document.getElementById('draft-list');
+  container.innerHTML = '';
+  renderUnassignedDrafts();
   
-  changeTypeSelect.addEventListener('focus', function() {
-    changeTypeTooltip.style.display = 'block';
-  });
+  if (draftIndex.length === 0) {
+    container.innerHTML = '<div class="empty-message text-secondary">No saved drafts</div>';
+    return;
+  }
   
-  changeTypeSelect.addEventListener('blur', function() {
-    changeTypeTooltip.style.display = 'none';
-  });
-  
-  function updateTooltipContent(changeType) {
-    changeTypeTooltip.textContent = changeTypeTooltips[changeType] || '';
-    changeTypeTooltip.style.display = 'block';
-  }
-  
-  // Update tooltip when change type changes
-  changeTypeSelect.addEventListener('change', function() {
-    updateTooltipContent(this.value);
-  });
-}
-
-function switchTab(tabId) {
-  console.log(`Switching to tab: ${tabId}`);
-  try {
-    // Get the tab button that corresponds to this tabId
-    const tabSelector = `#changeTabs button[data-bs-target="#${tabId}"]`;
-    const tabElement = document.querySelector(tabSelector);
+  draftIndex.forEach(draft => {
+    const item = document.createElement('div');
+    item.className = 'list-group-item d-flex justify-content-between align-items-center';
     
-    if (tabElement) {
-      // Hide all panels
-      document.querySelectorAll('.tab-pane').forEach(pane => {
-        pane.classList.remove('show', 'active');
-      });
-      
-      // Hide all active tab buttons
-      document.querySelectorAll('#changeTabs button').forEach(btn => {
-        btn.classList.remove('active');
-        btn.setAttribute('aria-selected', 'false');
-      });
-      
-      // Show the target panel
-      const targetPane = document.getElementById(tabId);
-      if (targetPane) {
-        targetPane.classList.add('show', 'active');
-        console.log(`Activated tab pane: ${tabId}`);
+    const isCurrent = draft.id === currentDraftId;
+    const isLastOpen = !currentDraftId && draft.id === lastOpenDraftId;
+    item.innerHTML = html`
+      <div>
+        <div class="fw-bold">
+          ${draft.name}
+          ${isCurrent ? html`<span class="badge bg-primary ms-1">Open</span>` : ''}
+          ${isLastOpen ? html`<span class="badge bg-secondary ms-1">Last opened</span>` : ''}
+        </div>
+        <div class="small text-secondary">Last modified ${new Date(draft.updatedAt).toLocaleString()}</div>
+      </div>
+      <div class="d-flex gap-1">
+        <button type="button" class="btn btn-sm btn-primary draft-resume">Resume</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary draft-duplicate">Duplicate</button>
+        <button type="button" class="btn btn-sm btn-outline-danger draft-delete">Delete</button>
+      </div>
+    `;
+    
+    item.querySelector('.draft-resume').addEventListener('click', async () => {
+      // Keep any unsaved changes to the draft being left
+      if (currentDraftId && currentDraftId !== draft.id) {
+        await saveCurrentData();
       }
-      
-      // Show the active tab button
-      tabElement.classList.add('active');
-      tabElement.setAttribute('aria-selected', 'true');
-      console.log(`Activated tab button for: ${tabId}`);
-      
-      // Save current tab in storage (if client is available)
-      try {
-        if (window.client && typeof window.client.db === 'object' && typeof window.client.db.set === 'function') {
-          saveCurrentData().catch(err => console.error('Error saving tab state:', err));
-        }
-      } catch (saveErr) {
-        console.error('Error saving tab state:', saveErr);
+      closeDraftPicker();
+      await loadSavedData(draft.id);
+    });
+    
+    item.querySelector('.draft-duplicate').addEventListener('click', async () => {
+      if (draft.id === currentDraftId) {
+        await saveCurrentData();
       }
-    } else {
-      console.error(`Tab element not found for: ${tabId}`);
-    }
-  } catch (tabErr) {
-    console.error('Error switching tab:', tabErr);
-  }
+      await duplicateDraft(draft.id);
+      renderDraftList();
+      updateDraftToolbar();
+    });
+    
+    // Deleting takes a second click to confirm
+    const deleteButton = item.querySelector('.draft-delete');
+    deleteButton.addEventListener('click', async () => {
+      if (!deleteButton.classList.contains('confirming')) {
+        deleteButton.classList.add('confirming');
+        deleteButton.textContent = 'Confirm delete';
+        return;
+      }
+      await deleteDraft(draft.id);
+      renderDraftList();
+    });
+    
+    container.appendChild(item);
+  });
 }
 
 /**
- * Search for requesters using Freshservice API
+ * List drafts saved before drafts were per-agent, with a warning that they
+ * may belong to someone else
  */
-function searchRequesters(e) {
-  const searchTerm = e.target.value.trim();
-  if (searchTerm.length < 2) return;
-
-  // Ensure client is available
-  if (!window.client || !window.client.request) {
-    console.error('Client or request object not available for requester search');
-    handleErr('API client not initialized. Please refresh the page.');
-    return;
-  }
-
-  // Try a simpler approach - direct search by name
-  // Format 1: Try direct contains search
-  const encodedQuery = encodeURIComponent(`"${searchTerm}"`);
-  console.log('Requester search with query:', encodedQuery);
-  
-  // Show loading indicator
-  const resultsContainer = document.getElementById('requester-results');
-  resultsContainer.innerHTML = '<div class="text-center p-3"><div class="spinner-border spinner-border-sm" role="status"></div> Loading...</div>';
-  resultsContainer.style.display = 'block';
+function renderUnassignedDrafts() {
+  const section = document.getElementById('unassigned-drafts');
+  const container = document.getElementById('unassigned-draft-list');
+  container.innerHTML = '';
+  section.classList.toggle('hidden', unassignedDrafts.length === 0);
   
-  // Function to load results from a specific page
-  function loadPage(page = 1, allResults = []) {
-    // Use invokeTemplate with path suffix to add query parameter
-    const requestUrl = `?query=${encodedQuery}&page=${page}&per_page=30`;
-    console.log('Requester API URL:', requestUrl);
+  unassignedDrafts.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'list-group-item d-flex justify-content-between align-items-center';
+    item.innerHTML = html`
+      <div>
+        <div class="fw-bold">${entry.name}</div>
+        <div class="small text-secondary">${entry.updatedAt ? `Last modified ${new Date(entry.updatedAt).toLocaleString()}` : 'Saved by an earlier version of the app'}</div>
+      </div>
+      <div class="d-flex gap-1">
+        <button type="button" class="btn btn-sm btn-outline-primary draft-claim">Move to my drafts</button>
+        <button type="button" class="btn btn-sm btn-outline-danger draft-delete">Delete</button>
+      </div>
+    `;
     
-    window.client.request.invokeTemplate("getRequesters", {
-      path_suffix: requestUrl
-    })
-    .then(function(data) {
-      try {
-        if (!data) {
-          console.error('No data returned from requester search');
-          displaySearchResults('requester-results', allResults, selectRequester);
-          return;
-        }
-        
-        console.log('Requester search raw response:', data.response);
-        const response = JSON.parse(data.response || '{"requesters":[]}');
-        const requesters = response && response.requesters ? response.requesters : [];
-        console.log(`Requester search returned ${requesters.length} results`);
-        
-        // Manual filtering if the API filtering isn't working
-        const filteredRequesters = requesters.filter(requester => {
-          const fullName = `${requester.first_name || ''} ${requester.last_name || ''}`.toLowerCase();
-          const email = (requester.primary_email || requester.email || '').toLowerCase();
-          const term = searchTerm.toLowerCase();
-          return fullName.includes(term) || email.includes(term);
-        });
-        
-        console.log(`Manual filtering returned ${filteredRequesters.length} results`);
-        
-        // Combine with previous results
-        const combinedResults = [...allResults, ...filteredRequesters];
-        
-        // If we got a full page of results, there might be more
-        if (requesters.length === 30 && page < 3) { // Limit to 3 pages (90 results) max
-          // Load next page
-          loadPage(page + 1, combinedResults);
-        } else {
-          // Display all results
-          displaySearchResults('requester-results', combinedResults, selectRequester);
-        }
-      } catch (error) {
-        console.error('Error parsing response:', error);
-        displaySearchResults('requester-results', allResults, selectRequester);
+    item.querySelector('.draft-claim').addEventListener('click', async () => {
+      await claimUnassignedDraft(entry);
+      renderDraftList();
+      updateDraftToolbar();
+    });
+    
+    const deleteButton = item.querySelector('.draft-delete');
+    deleteButton.addEventListener('click', async () => {
+      if (!deleteButton.classList.contains('confirming')) {
+        deleteButton.classList.add('confirming');
+        deleteButton.textContent = 'Confirm delete';
+        return;
       }
-    })
-    .catch(function(error) {
-      console.error('API request failed:', error);
-      displaySearchResults('requester-results', allResults, selectRequester);
-      handleErr(error);
+      await removeUnassignedDraft(entry);
+      renderDraftList();
     });
-  }
-  
-  // Start loading from page 1
-  loadPage(1, []);
+    
+    container.appendChild(item);
+  });
 }
 
 /**
- * Search for agents using Freshservice API
+ * Check whether the logged-in agent can create, edit and delete change templates
+ * @returns {boolean} - True for template admins
  */
-function searchAgents(e) {
-  const searchTerm = e.target.value.trim();
-  if (searchTerm.length < 2) return;
-
-  // Ensure client is available
-  if (!window.client || !window.client.request) {
-    console.error('Client or request object not available for agent search');
-    handleErr('API client not initialized. Please refresh the page.');
-    return;
-  }
+function isTemplateAdmin() {
+  return Boolean(currentUser && currentUser.email &&
+    appConfig.templateAdmins.includes(currentUser.email.toLowerCase()));
+}
 
-  // Try a simpler approach - direct search by name
-  const encodedQuery = encodeURIComponent(`"${searchTerm}"`);
-  console.log('Agent search with query:', encodedQuery);
-  
-  // Show loading indicator
-  const resultsContainer = document.getElementById('agent-results');
-  resultsContainer.innerHTML = '<div class="text-center p-3"><div class="spinner-border spinner-border-sm" role="status"></div> Loading...</div>';
-  resultsContainer.style.display = 'block';
-  
-  // Function to load results from a specific page
-  function loadPage(page = 1, allResults = []) {
-    // Use invokeTemplate with path suffix to add query parameter
-    const requestUrl = `?query=${encodedQuery}&page=${page}&per_page=30`;
-    console.log('Agent API URL:', requestUrl);
-    
-    window.client.request.invokeTemplate("getAgents", {
-      path_suffix: requestUrl
-    })
-    .then(function(data) {
-      try {
-        if (!data) {
-          console.error('No data returned from agent search');
-          displaySearchResults('agent-results', allResults, selectAgent);
-          return;
-        }
-        
-        console.log('Agent search raw response:', data.response);
-        const response = JSON.parse(data.response || '{"agents":[]}');
-        const agents = response && response.agents ? response.agents : [];
-        console.log(`Agent search returned ${agents.length} results`);
-        
-        // Manual filtering if the API filtering isn't working
-        const filteredAgents = agents.filter(agent => {
-          const fullName = `${agent.first_name || ''} ${agent.last_name || ''}`.toLowerCase();
-          const email = (agent.email || '').toLowerCase();
-          const term = searchTerm.toLowerCase();
-          return fullName.includes(term) || email.includes(term);
-        });
-        
-        console.log(`Manual filtering returned ${filteredAgents.length} results`);
-        
-        // Combine with previous results
-        const combinedResults = [...allResults, ...filteredAgents];
-        
-        // If we got a full page of results, there might be more
-        if (agents.length === 30 && page < 3) { // Limit to 3 pages (90 results) max
-          // Load next page
-          loadPage(page + 1, combinedResults);
-        } else {
-          // Display all results
-          displaySearchResults('agent-results', combinedResults, selectAgent);
-        }
-      } catch (error) {
-        console.error('Error parsing response:', error);
-        displaySearchResults('agent-results', allResults, selectAgent);
-      }
-    })
-    .catch(function(error) {
-      console.error('API request failed:', error);
-      displaySearchResults('agent-results', allResults, selectAgent);
-      handleErr(error);
-    });
+/**
+ * Load the change template index from data storage
+ * @returns {Promise<Array>} - Templates sorted by name
+ */
+async function loadTemplateIndex() {
+  try {
+    const result = await window.client.db.get(STORAGE_KEYS.TEMPLATE_INDEX);
+    templateIndex = result && Array.isArray(result.templates) ? result.templates : [];
+  } catch (error) {
+    // A missing key just means no templates were saved yet
+    console.log('No template index found:', error);
+    templateIndex = [];
   }
   
-  // Start loading from page 1
-  loadPage(1, []);
+  templateIndex.sort((a, b) => a.name.localeCompare(b.name));
+  return templateIndex;
+}
+
+async function saveTemplateIndex() {
+  await window.client.db.set(STORAGE_KEYS.TEMPLATE_INDEX, { templates: templateIndex });
 }
 
 /**
- * Get location name by ID
- * @param {number} locationId - Location ID 
- * @returns {Promise<string>} - Location name
+ * Take the reusable parts of a change request: everything except the people and the window
+ * @param {Object} data - Change request data
+ * @returns {Object} - Template content
  */
-async function getLocationName(locationId) {
-  if (!locationId) return 'N/A';
+function buildTemplateContent(data) {
+  const riskAnswers = {};
+  appConfig.riskQuestionnaire.questions.forEach(question => {
+    const key = getRiskAnswerKey(question);
+    if (data.riskAssessment[key]) {
+      riskAnswers[key] = data.riskAssessment[key];
+    }
+  });
   
-  // Check for client availability
-  if (!window.client || !window.client.request) {
-    console.error('Client not available for location lookup');
-    return 'Unknown';
+  return {
+    changeType: data.changeType,
+    implementationPlan: data.implementationPlan,
+    implementationSteps: data.implementationSteps,
+    backoutPlan: data.backoutPlan,
+    validationPlan: data.validationPlan,
+    riskAnswers,
+    selectedAssets: data.selectedAssets
+  };
+}
+
+/**
+ * Save the current form as a change template, replacing a template with the same name
+ * @param {string} name - Template name
+ */
+async function saveFormAsTemplate(name) {
+  const trimmedName = name.trim();
+  if (!isTemplateAdmin()) {
+    showNotification('error', 'Only template admins can save change templates');
+    return;
+  }
+  if (!trimmedName) {
+    showNotification('error', 'Please enter a template name');
+    return;
   }
   
   try {
-    const response = await window.client.request.invokeTemplate("getLocation", {
-      context: {
-        location_id: locationId
-      }
-    });
+    await loadTemplateIndex();
+    const existing = templateIndex.find(entry => entry.name.toLowerCase() === trimmedName.toLowerCase());
+    const now = Date.now();
+    const entry = existing || { id: now.toString(36), createdAt: now };
     
-    if (!response || !response.response) {
-      console.error('Invalid location response:', response);
-      return 'Unknown';
-    }
+    entry.name = trimmedName;
+    entry.changeType = changeRequestData.changeType;
+    entry.updatedAt = now;
+    entry.updatedBy = currentUser.name || currentUser.email;
     
-    try {
-      const parsedData = JSON.parse(response.response || '{}');
-      if (parsedData && parsedData.location && parsedData.location.name) {
-        return parsedData.location.name;
-      }
-      return 'Unknown';
-    } catch (parseError) {
-      console.error('Error parsing location response:', parseError);
-      return 'Unknown';
+    await window.client.db.set(`${TEMPLATE_KEY_PREFIX}${entry.id}`, buildTemplateContent(changeRequestData));
+    if (!existing) {
+      templateIndex.push(entry);
     }
+    await saveTemplateIndex();
+    
+    showNotification('success', existing ? `Template "${trimmedName}" updated` : `Template "${trimmedName}" saved`);
+    document.getElementById('template-name').value = '';
+    await loadTemplateIndex();
+    renderTemplateList();
   } catch (error) {
-    console.error('Error fetching location:', error);
-    return 'Unknown';
+    console.error('Error saving template:', error);
+    showNotification('error', 'Failed to save template');
   }
 }
 
 /**
- * Get reporting manager name by ID
- * @param {number} managerId - Manager ID 
- * @returns {Promise<string>} - Manager name
+ * Delete a change template
+ * @param {string} templateId - Template ID
  */
-async function getManagerName(managerId) {
-  if (!managerId) return 'N/A';
+async function deleteTemplate(templateId) {
+  if (!isTemplateAdmin()) return;
   
-  // Check for client availability
-  if (!window.client || !window.client.request) {
-    console.error('Client not available for manager lookup');
-    return 'Unknown';
+  try {
+    await window.client.db.delete(`${TEMPLATE_KEY_PREFIX}${templateId}`);
+  } catch (error) {
+    console.error(`Error deleting template ${templateId}:`, error);
   }
   
+  templateIndex = templateIndex.filter(entry => entry.id !== templateId);
+  await saveTemplateIndex();
+}
+
+/**
+ * Save the current draft and reset the form for a new draft with the given name
+ * @param {string} name - Name of the new draft
+ */
+async function startDraftFrom(name) {
+  await saveCurrentData();
+  currentDraftId = null;
+  pendingDraftName = name;
+  resetForm();
+  showView('form');
+}
+
+/**
+ * Start a new draft pre-filled from a change template. The requester, agent
+ * and planned window are left for the agent applying the template.
+ * @param {Object} entry - Template index entry
+ * @returns {Promise<boolean>} - True when the template was applied
+ */
+async function applyTemplate(entry) {
   try {
-    const response = await window.client.request.invokeTemplate("getRequesterDetails", {
-      context: {
-        requester_id: managerId
+    const template = await window.client.db.get(`${TEMPLATE_KEY_PREFIX}${entry.id}`);
+    
+    // Keep the draft being left, then start a new one named after the template
+    await startDraftFrom(entry.name);
+    
+    changeRequestData.changeType = template.changeType || 'standard';
+    changeRequestData.leadTime = leadTimeText[changeRequestData.changeType];
+    changeRequestData.implementationPlan = template.implementationPlan || '';
+    changeRequestData.implementationSteps = normalizePlanSteps(template.implementationSteps);
+    changeRequestData.backoutPlan = template.backoutPlan || '';
+    changeRequestData.validationPlan = template.validationPlan || '';
+    changeRequestData.selectedAssets = Array.isArray(template.selectedAssets) ? template.selectedAssets : [];
+    
+    // Answers to questions that were removed from the questionnaire are dropped
+    Object.keys(template.riskAnswers || {}).forEach(key => {
+      if (key in changeRequestData.riskAssessment) {
+        changeRequestData.riskAssessment[key] = template.riskAnswers[key];
       }
     });
+    recalculateRiskAssessment(changeRequestData.riskAssessment, changeRequestData.changeType);
     
-    if (!response || !response.response) {
-      console.error('Invalid manager response:', response);
-      return 'Unknown';
-    }
+    populateFormFields();
+    renderSelectedAssets();
+    updateDraftToolbar();
+    await saveCurrentData();
     
-    try {
-      const parsedData = JSON.parse(response.response || '{}');
-      if (parsedData && parsedData.requester) {
-        const manager = parsedData.requester;
-        return `${manager.first_name || ''} ${manager.last_name || ''}`.trim() || 'Unknown';
-      }
-      return 'Unknown';
-    } catch (parseError) {
-      console.error('Error parsing manager response:', parseError);
-      return 'Unknown';
-    }
+    showNotification('success', `Template "${entry.name}" applied. Fill in the requester, agent and planned window.`);
+    return true;
   } catch (error) {
-    console.error('Error fetching manager:', error);
-    return 'Unknown';
+    console.error(`Error applying template ${entry.id}:`, error);
+    showNotification('error', 'Failed to apply template');
+    return false;
   }
 }
 
 /**
- * Display search results with enhanced information
+ * Convert Freshservice rich text back to the plain text the plan fields hold
+ * @param {string} html - HTML content
+ * @returns {string} - Plain text with line breaks
  */
-function displaySearchResults(containerId, results, selectionCallback) {
-  const container = document.getElementById(containerId);
-  container.innerHTML = '';
-  container.style.display = results.length ? 'block' : 'none';
+function htmlToPlainText(html) {
+  if (!html) return '';
   
-  if (results.length === 0) {
-    container.innerHTML = '<div class="list-group-item search-result-item no-results">No results found</div>';
-    container.style.display = 'block';
-    return;
+  const withBreaks = String(html)
+    .replace(/<\/t[dh]>\s*<t[dh][^>]*>/gi, ' | ')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n');
+  const doc = new DOMParser().parseFromString(withBreaks, 'text/html');
+  const text = (doc.body.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+  
+  // formatPlanHtml writes this for empty plans
+  return text === 'Not provided' ? '' : text;
+}
+
+/**
+ * Map a Freshservice change back to change request data. Dates are left
+ * empty and fields with no place in the form are reported as not copied.
+ * @param {Object} change - Freshservice change
+ * @param {Object|null} requester - Requester of the change
+ * @param {Object|null} agent - Agent of the change
+ * @returns {Object} - { data, notCopied }
+ */
+function mapChangeToFormData(change, requester, agent) {
+  const data = {};
+  const notCopied = [];
+  
+  const changeType = Object.keys(freshserviceChangeTypes).find(type => freshserviceChangeTypes[type] === change.change_type);
+  if (changeType) {
+    data.changeType = changeType;
+  } else {
+    notCopied.push(`Change type ${change.change_type} (no matching type in this app, Standard Change is used)`);
   }
   
-  results.forEach(result => {
-    const resultItem = document.createElement('div');
-    resultItem.className = 'list-group-item search-result-item d-flex flex-column';
-    
-    // Basic information
-    const email = result.email || result.primary_email || '';
-    
-    // Create a container for name and badges
-    const headerDiv = document.createElement('div');
-    headerDiv.className = 'd-flex justify-content-between align-items-center w-100';
-    
-    // Name with proper styling
-    const nameDiv = document.createElement('div');
-    nameDiv.className = 'fw-bold';
-    nameDiv.textContent = `${result.first_name} ${result.last_name}`;
-    headerDiv.appendChild(nameDiv);
-    
-    // Role/type badge
-    const roleDiv = document.createElement('div');
-    const type = containerId.includes('agent') ? 'Agent' : 'Requester';
-    roleDiv.innerHTML = `<span class="badge ${type === 'Agent' ? 'bg-info' : 'bg-primary'}">${type}</span>`;
-    headerDiv.appendChild(roleDiv);
-    
-    resultItem.appendChild(headerDiv);
-    
-    // Email
-    const emailDiv = document.createElement('div');
-    emailDiv.className = 'text-secondary small';
-    emailDiv.innerHTML = `<i class="fas fa-envelope me-1"></i>${email}`;
-    resultItem.appendChild(emailDiv);
-    
-    // Details container for additional info
-    const detailsContainer = document.createElement('div');
-    detailsContainer.className = 'mt-2 d-flex flex-wrap gap-2';
-    
-    // Add job title badge if available
-    if (result.job_title) {
-      const jobTitleBadge = document.createElement('span');
-      jobTitleBadge.className = 'badge bg-light text-dark border';
-      jobTitleBadge.innerHTML = `<i class="fas fa-briefcase me-1"></i>${result.job_title}`;
-      detailsContainer.appendChild(jobTitleBadge);
-    }
-    
-    // Add department badge if available
-    if (result.department_names && result.department_names.length > 0) {
-      const deptBadge = document.createElement('span');
-      deptBadge.className = 'badge bg-light text-dark border';
-      deptBadge.innerHTML = `<i class="fas fa-building me-1"></i>${result.department_names[0]}`;
-      detailsContainer.appendChild(deptBadge);
-    }
-    
-    // Add location badge if available
-    if (result.location_name) {
-      const locBadge = document.createElement('span');
-      locBadge.className = 'badge bg-light text-dark border';
-      locBadge.innerHTML = `<i class="fas fa-map-marker-alt me-1"></i>${result.location_name}`;
-      detailsContainer.appendChild(locBadge);
-    }
-    
-    // Only add details container if we have any badges
-    if (detailsContainer.children.length > 0) {
-      resultItem.appendChild(detailsContainer);
-    }
-    
-    // Add hover effect and clickable styling
-    resultItem.classList.add('search-item-hover');
-    
-    // Store the full result object for selection
-    resultItem.addEventListener('click', () => {
-      // Add location and manager info when selected
-      if (result.location_id || result.reporting_manager_id) {
-        enhanceContactInfo(result)
-          .then(enhancedResult => selectionCallback(enhancedResult))
-          .catch(err => {
-            console.error('Error enhancing contact info:', err);
-            selectionCallback(result);
-          });
-      } else {
-        selectionCallback(result);
-      }
-    });
-    
-    container.appendChild(resultItem);
-  });
-}
-
-/**
- * Enhance contact information with location name and manager name
- */
-async function enhanceContactInfo(contact) {
-  try {
-    // Make a copy to avoid modifying the original
-    const enhancedContact = { ...contact };
-    
-    // Add location name if location ID exists
-    if (contact.location_id) {
-      enhancedContact.location_name = await getLocationName(contact.location_id);
-    }
-    
-    // Add manager name if manager ID exists
-    if (contact.reporting_manager_id) {
-      enhancedContact.manager_name = await getManagerName(contact.reporting_manager_id);
-    }
-    
-    return enhancedContact;
-  } catch (error) {
-    console.error('Error enhancing contact info:', error);
-    return contact;
+  if (requester) {
+    data.requester = requester;
+  } else if (change.requester_id) {
+    notCopied.push(`Requester ${change.requester_id} (could not be loaded)`);
+  }
+  if (agent) {
+    data.agent = agent;
+  } else if (change.agent_id) {
+    notCopied.push(`Agent ${change.agent_id} (could not be loaded)`);
   }
-}
-
-function selectRequester(requester) {
-  changeRequestData.requester = requester;
-  const selectedContainer = document.getElementById('selected-requester');
-  
-  // Create detailed requester info display with improved styling
-  let requesterInfo = `
-    <div class="d-flex justify-content-between align-items-center mb-2">
-      <div>
-        <div class="fw-bold">${requester.first_name} ${requester.last_name}</div>
-        <div class="text-secondary small"><i class="fas fa-envelope me-1"></i>${requester.email || requester.primary_email}</div>
-      </div>
-      <div>
-        <span class="badge bg-primary me-2">Requester</span>
-        <button class="btn btn-sm btn-outline-secondary clear-requester" type="button"><i class="fas fa-times"></i></button>
-      </div>
-    </div>
-  `;
   
-  // Add badges for additional details in a flex container
-  const detailsList = [];
+  // The rollout plan holds the implementation plan followed by the validation plan
+  const planning = change.planning_fields || {};
+  const rolloutHtml = (planning.rollout_plan && planning.rollout_plan.description) || '';
+  const [implementationHtml, validationHtml] = rolloutHtml.split(/<p><strong>Validation Plan:<\/strong><\/p>/i);
+  data.implementationPlan = htmlToPlainText(implementationHtml);
+  data.validationPlan = htmlToPlainText(validationHtml);
+  data.backoutPlan = htmlToPlainText(planning.backout_plan && planning.backout_plan.description);
   
-  if (requester.job_title) {
-    detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-briefcase me-1"></i>${requester.job_title}</span>`);
-  }
+  Object.keys(planning)
+    .filter(key => key !== 'rollout_plan' && key !== 'backout_plan' && planning[key] && planning[key].description)
+    .forEach(key => notCopied.push(`Planning field "${key.replace(/_/g, ' ')}"`));
   
-  if (requester.location_name) {
-    detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-map-marker-alt me-1"></i>${requester.location_name}</span>`);
-  }
+  data.selectedAssets = (Array.isArray(change.assets) ? change.assets : []).map(asset => ({ ...asset, type: 'asset' }));
   
-  if (requester.manager_name) {
-    detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-user-tie me-1"></i>${requester.manager_name}</span>`);
+  // Only the answer mapped to impact can be derived from the change; the rest are asked again
+  data.riskAnswers = {};
+  const impactQuestion = getImpactQuestion(data.changeType);
+  if (impactQuestion && findRiskOption(impactQuestion, change.impact)) {
+    data.riskAnswers[getRiskAnswerKey(impactQuestion)] = change.impact;
   }
   
-  if (requester.department_names && requester.department_names.length > 0) {
-    detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-building me-1"></i>${requester.department_names[0]}</span>`);
+  if (change.description_text || change.description) {
+    notCopied.push('Description (rebuilt from the form on submit)');
   }
+  if (change.group_id) notCopied.push('Agent group');
+  if (change.department_id) notCopied.push('Department');
+  if (change.category) notCopied.push('Category');
+  Object.keys(change.custom_fields || {})
+    .filter(key => change.custom_fields[key] !== null && change.custom_fields[key] !== '')
+    .forEach(key => notCopied.push(`Custom field "${key}"`));
   
-  if (detailsList.length > 0) {
-    requesterInfo += `<div class="d-flex flex-wrap gap-2 mt-1">${detailsList.join('')}</div>`;
-  }
+  return { data, notCopied };
+}
+
+/**
+ * Read a change ID typed by the agent
+ * @param {string} input - Change ID, with or without the CHN- prefix
+ * @returns {number|null} - Change ID, or null if the input is not one
+ */
+function parseChangeIdInput(input) {
+  return parseInt(String(input || '').trim().replace(/^CHN-/i, ''), 10) || null;
+}
+
+/**
+ * Copy mapped change fields into the form data
+ * @param {Object} data - Result of mapChangeToFormData
+ */
+function applyMappedChange(data) {
+  changeRequestData.requester = data.requester || null;
+  changeRequestData.agent = data.agent || null;
+  changeRequestData.changeType = data.changeType || 'standard';
+  changeRequestData.leadTime = leadTimeText[changeRequestData.changeType];
+  changeRequestData.implementationPlan = data.implementationPlan;
+  changeRequestData.backoutPlan = data.backoutPlan;
+  changeRequestData.validationPlan = data.validationPlan;
+  changeRequestData.selectedAssets = data.selectedAssets;
+  Object.keys(data.riskAnswers).forEach(key => {
+    if (key in changeRequestData.riskAssessment) {
+      changeRequestData.riskAssessment[key] = data.riskAnswers[key];
+    }
+  });
+}
+
+/**
+ * Load an existing Freshservice change into a new draft
+ * @param {number} changeId - Change ID
+ */
+async function cloneChange(changeId) {
+  const result = await invokeServer('getChange', { change_id: changeId });
+  const { data, notCopied } = mapChangeToFormData(result.change, result.requester, result.agent);
   
-  selectedContainer.innerHTML = requesterInfo;
-  selectedContainer.style.display = 'block';
-  selectedContainer.classList.add('p-2', 'border', 'rounded', 'bg-light');
+  closeChangeLookup();
+  await startDraftFrom(`Clone of CHN-${changeId}`);
   
-  // Add event listener to the clear button
-  document.querySelector('.clear-requester').addEventListener('click', clearRequester);
+  applyMappedChange(data);
+  changeRequestData.clonedFromChangeId = changeId;
+  recalculateRiskAssessment(changeRequestData.riskAssessment, changeRequestData.changeType);
   
-  document.getElementById('requester-results').style.display = 'none';
-  document.getElementById('requester-search').value = '';
+  populateFormFields();
+  renderSelectedAssets();
+  updateDraftToolbar();
+  await saveCurrentData();
   
-  // Save to data storage
-  saveCurrentData();
+  renderChangeReport(
+    html`<strong>Cloned from CHN-${changeId}.</strong> The planned window was cleared and risk questions other than business impact have to be answered again.`,
+    notCopied
+  );
+  showNotification('success', `CHN-${changeId} cloned. Set a new planned window and complete the risk assessment.`);
 }
 
-function selectAgent(agent) {
-  changeRequestData.agent = agent;
-  const selectedContainer = document.getElementById('selected-agent');
+/**
+ * Explain why a change can no longer be edited in the app
+ * @param {Object} change - Freshservice change
+ * @returns {string|null} - Reason, or null when the change can be edited
+ */
+function getEditLockReason(change) {
+  if (change.status < appConfig.editLockStatus) return null;
   
-  // Create detailed agent info display with improved styling
-  let agentInfo = `
-    <div class="d-flex justify-content-between align-items-center mb-2">
-      <div>
-        <div class="fw-bold">${agent.first_name} ${agent.last_name}</div>
-        <div class="text-secondary small"><i class="fas fa-envelope me-1"></i>${agent.email}</div>
-      </div>
-      <div>
-        <span class="badge bg-info me-2">Agent</span>
-        <button class="btn btn-sm btn-outline-secondary clear-agent" type="button"><i class="fas fa-times"></i></button>
-      </div>
-    </div>
-  `;
+  const statusLabel = freshserviceChangeStatuses[change.status] || `status ${change.status}`;
+  return `CHN-${change.id} is ${statusLabel} and can no longer be edited here. Update it in Freshservice instead.`;
+}
+
+/**
+ * Format a date for a datetime-local input
+ * @param {string} value - ISO date
+ * @returns {string} - YYYY-MM-DDTHH:mm in local time, or an empty string
+ */
+function toDateTimeLocalValue(value) {
+  if (!value) return '';
   
-  // Add badges for additional details in a flex container
-  const detailsList = [];
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return `${toDateKey(date)}T${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Open an existing Freshservice change in edit mode, in a draft of its own
+ * @param {number} changeId - Change ID
+ */
+async function editChange(changeId) {
+  const result = await invokeServer('getChange', { change_id: changeId });
+  const change = result.change;
   
-  if (agent.job_title) {
-    detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-briefcase me-1"></i>${agent.job_title}</span>`);
+  const lockReason = getEditLockReason(change);
+  if (lockReason) {
+    showNotification('error', lockReason);
+    return;
   }
   
-  if (agent.location_name) {
-    detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-map-marker-alt me-1"></i>${agent.location_name}</span>`);
-  }
+  const { data, notCopied } = mapChangeToFormData(change, result.requester, result.agent);
   
-  if (agent.manager_name) {
-    detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-user-tie me-1"></i>${agent.manager_name}</span>`);
-  }
+  closeChangeLookup();
+  await startDraftFrom(`Edit CHN-${changeId}`);
   
-  if (agent.department_names && agent.department_names.length > 0) {
-    detailsList.push(`<span class="badge bg-light text-dark border"><i class="fas fa-building me-1"></i>${agent.department_names[0]}</span>`);
-  }
+  applyMappedChange(data);
   
-  if (detailsList.length > 0) {
-    agentInfo += `<div class="d-flex flex-wrap gap-2 mt-1">${detailsList.join('')}</div>`;
+  // People that cannot be looked up keep their ID so they are not cleared by the edit
+  if (!changeRequestData.requester && change.requester_id) {
+    changeRequestData.requester = { id: change.requester_id, first_name: `Requester #${change.requester_id}`, last_name: '' };
   }
+  if (!changeRequestData.agent && change.agent_id) {
+    changeRequestData.agent = { id: change.agent_id, first_name: `Agent #${change.agent_id}`, last_name: '' };
+  }
+  changeRequestData.plannedStart = toDateTimeLocalValue(change.planned_start_date);
+  changeRequestData.plannedEnd = toDateTimeLocalValue(change.planned_end_date);
   
-  selectedContainer.innerHTML = agentInfo;
-  selectedContainer.style.display = 'block';
-  selectedContainer.classList.add('p-2', 'border', 'rounded', 'bg-light');
+  // Keep the change's risk level unless the agent reassesses it
+  const riskLevel = Object.keys(freshserviceRiskLevels).find(level => freshserviceRiskLevels[level] === change.risk);
+  if (!recalculateRiskAssessment(changeRequestData.riskAssessment, changeRequestData.changeType) && riskLevel) {
+    changeRequestData.riskAssessment.riskLevel = riskLevel;
+  }
   
-  // Add event listener to the clear button
-  document.querySelector('.clear-agent').addEventListener('click', clearAgent);
+  changeRequestData.editingChangeId = changeId;
+  changeRequestData.editBaseline = buildEditableFields(changeRequestData, await getServiceLinkMode());
   
-  document.getElementById('agent-results').style.display = 'none';
-  document.getElementById('agent-search').value = '';
+  populateFormFields();
+  renderSelectedAssets();
+  updateDraftToolbar();
+  await saveCurrentData();
   
-  // Save to data storage
-  saveCurrentData();
+  renderChangeReport(
+    html`<strong>Editing CHN-${changeId}.</strong> Only the fields you change are saved to Freshservice.`,
+    notCopied,
+    'Not editable in this app:'
+  );
+  showNotification('success', `CHN-${changeId} opened for editing`);
 }
 
-// Function to clear the selected requester
-function clearRequester() {
-  // Clear the data
-  changeRequestData.requester = null;
-  
-  // Clear the UI
-  const selectedContainer = document.getElementById('selected-requester');
-  selectedContainer.innerHTML = '';
-  selectedContainer.style.display = 'none';
-  selectedContainer.classList.remove('p-2', 'border', 'rounded', 'bg-light');
-  
-  // Save to data storage
-  saveCurrentData();
+/**
+ * Tell the agent what was not carried over from a cloned or edited change
+ * @param {Object} message - Message built with html
+ * @param {Array} fields - Descriptions of fields that were not copied
+ * @param {string} fieldsHeading - Heading of the field list
+ */
+function renderChangeReport(message, fields, fieldsHeading = 'Not copied:') {
+  const report = document.getElementById('clone-report');
+  report.innerHTML = html`
+    <button type="button" class="btn-close float-end" aria-label="Close"></button>
+    <div>${message}</div>
+    ${fields.length > 0 ? html`
+      <div class="mt-1">${fieldsHeading}</div>
+      <ul class="mb-0">${fields.map(field => html`<li>${field}</li>`)}</ul>
+    ` : ''}
+  `;
+  report.querySelector('.btn-close').addEventListener('click', () => report.classList.add('hidden'));
+  report.classList.remove('hidden');
 }
 
-// Function to clear the selected agent
-function clearAgent() {
-  // Clear the data
-  changeRequestData.agent = null;
-  
-  // Clear the UI
-  const selectedContainer = document.getElementById('selected-agent');
-  selectedContainer.innerHTML = '';
-  selectedContainer.style.display = 'none';
-  selectedContainer.classList.remove('p-2', 'border', 'rounded', 'bg-light');
+/**
+ * Show or hide the banner that marks the form as editing an existing change
+ */
+function updateEditModeBanner() {
+  const banner = document.getElementById('edit-mode-banner');
+  if (!banner) return;
   
-  // Save to data storage
-  saveCurrentData();
+  const changeId = changeRequestData.editingChangeId;
+  banner.classList.toggle('hidden', !changeId);
+  document.getElementById('edit-mode-change').textContent = changeId ? `CHN-${changeId}` : '';
+  document.getElementById('submit-change').textContent = changeId ? 'Review Changes' : 'Submit Change Request';
 }
 
-function updateChangeType(e) {
-  const changeType = e.target.value;
-  changeRequestData.changeType = changeType;
-  changeRequestData.leadTime = leadTimeText[changeType];
+/**
+ * Ask for a change ID to clone or edit
+ * @param {string} mode - 'clone' or 'edit'
+ */
+function showChangeLookup(mode) {
+  changeLookupMode = mode;
+  const editing = mode === 'edit';
   
-  document.getElementById('lead-time').textContent = leadTimeText[changeType];
+  document.getElementById('changeLookupLabel').textContent = editing ? 'Edit a Submitted Change' : 'Clone an Existing Change';
+  document.getElementById('lookup-submit').textContent = editing ? 'Open for Editing' : 'Clone';
+  document.getElementById('lookup-hint').textContent = editing
+    ? 'The change opens in a draft of its own. Only the fields you change are saved back to it.'
+    : 'The change is copied into a new draft without its planned window.';
+  document.getElementById('lookup-change-id').value = '';
   
-  // Save to data storage
-  saveCurrentData();
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('change-lookup-modal')).show();
 }
 
-function validateDetailsAndNext() {
-  // Basic validation
-  if (!changeRequestData.requester) {
-    showNotification('error', 'Please select a requester');
-    return;
-  }
-  
-  if (!changeRequestData.agent) {
-    showNotification('error', 'Please select an agent (Technical SME)');
-    return;
-  }
-  
-  if (!changeRequestData.plannedStart) {
-    showNotification('error', 'Please select a planned start date and time');
-    return;
+function closeChangeLookup() {
+  const modal = bootstrap.Modal.getInstance(document.getElementById('change-lookup-modal'));
+  if (modal) {
+    modal.hide();
   }
-  
-  if (!changeRequestData.plannedEnd) {
-    showNotification('error', 'Please select a planned end date and time');
+}
+
+/**
+ * Clone or edit the change entered in the change lookup dialog
+ */
+async function submitChangeLookup() {
+  const changeId = parseChangeIdInput(document.getElementById('lookup-change-id').value);
+  if (!changeId) {
+    showNotification('error', 'Please enter a change ID such as CHN-123');
     return;
   }
   
-  // Validate start and end dates
-  const startDate = new Date(changeRequestData.plannedStart);
-  const endDate = new Date(changeRequestData.plannedEnd);
-  
-  if (endDate <= startDate) {
-    showNotification('error', 'Planned end date must be after the planned start date');
-    return;
+  const lookupButton = document.getElementById('lookup-submit');
+  lookupButton.disabled = true;
+  await openChangeInForm(changeLookupMode, changeId);
+  lookupButton.disabled = false;
+}
+
+/**
+ * Clone or edit a change, reporting failures to the agent
+ * @param {string} mode - 'clone' or 'edit'
+ * @param {number} changeId - Change ID
+ */
+async function openChangeInForm(mode, changeId) {
+  try {
+    if (mode === 'edit') {
+      await editChange(changeId);
+    } else {
+      await cloneChange(changeId);
+    }
+  } catch (error) {
+    console.error(`Error loading change ${changeId}:`, error);
+    showNotification('error', getApiErrorMessage(error, `Could not load CHN-${changeId}`));
   }
-  
-  // Use our robust tab switching function instead of direct Bootstrap access
-  switchTab('risk-assessment');
 }
 
-function updateRiskSelection(e) {
-  const question = e.target.name;
-  const value = parseInt(e.target.value);
-  
-  // Map questions to the risk assessment object properties
-  const questionMapping = {
-    'business-impact': 'businessImpact',
-    'affected-users': 'affectedUsers',
-    'complexity': 'complexity',
-    'testing': 'testing',
-    'rollback': 'rollback'
-  };
+/**
+ * Switch between the My Change Requests list, the change request form and the import view
+ * @param {string} view - 'my-changes', 'form' or 'import'
+ */
+function showView(view) {
+  ['my-changes', 'form', 'import'].forEach(name => {
+    document.getElementById(`${name}-view`).classList.toggle('hidden', name !== view);
+    document.getElementById(`nav-${name}`).classList.toggle('active', name === view);
+  });
+}
+
+/**
+ * Read the status and date filters of the My Change Requests view
+ * @returns {Object} - { statuses, from, to } for listMyChanges
+ */
+function getMyChangesFilters() {
+  const status = document.getElementById('my-changes-status').value;
+  const from = document.getElementById('my-changes-from').value;
+  const to = document.getElementById('my-changes-to').value;
   
-  changeRequestData.riskAssessment[questionMapping[question]] = value;
+  let statuses = [];
+  if (status === 'active') {
+    statuses = Object.keys(freshserviceChangeStatuses).map(Number).filter(value => value !== 6);
+  } else if (status) {
+    statuses = [parseInt(status, 10)];
+  }
   
-  // Save to data storage
-  saveCurrentData();
+  return {
+    statuses,
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+    to: to ? new Date(`${to}T23:59:59`).toISOString() : null
+  };
 }
 
-function calculateRisk() {
-  // Check if all questions are answered
-  const riskKeys = ['businessImpact', 'affectedUsers', 'complexity', 'testing', 'rollback'];
-  const unansweredQuestions = riskKeys.filter(key => changeRequestData.riskAssessment[key] === 0);
-  
-  if (unansweredQuestions.length > 0) {
-    showNotification('error', 'Please answer all risk assessment questions');
+/**
+ * Load the changes the logged-in agent requested or owns
+ * @param {boolean} reset - Start from the first page instead of loading more
+ */
+async function loadMyChanges(reset) {
+  const list = document.getElementById('my-changes-list');
+  const moreButton = document.getElementById('my-changes-more');
+  if (!currentUser) {
+    list.innerHTML = '<div class="empty-message text-secondary">Your changes cannot be listed because the logged-in agent could not be identified</div>';
     return;
   }
   
-  // Calculate total risk score
-  const totalScore = riskKeys.reduce((sum, key) => sum + changeRequestData.riskAssessment[key], 0);
-  changeRequestData.riskAssessment.totalScore = totalScore;
-  
-  // Determine risk level and badge color
-  let riskLevel, riskExplanation;
-  if (totalScore <= 7) {
-    riskLevel = 'Low';
-    riskExplanation = 'This change poses minimal risk to business operations and is likely to be implemented successfully.';
-  } else if (totalScore <= 11) {
-    riskLevel = 'Medium';
-    riskExplanation = 'This change poses moderate risk to business operations. Consider additional testing or verification steps.';
-  } else {
-    riskLevel = 'High';
-    riskExplanation = 'This change poses significant risk to business operations. A detailed review is recommended before proceeding.';
+  if (reset) {
+    myChangesNextPage = 1;
+    list.innerHTML = '';
   }
-  changeRequestData.riskAssessment.riskLevel = riskLevel;
+  if (!myChangesNextPage) return;
   
-  // Display results
-  document.getElementById('risk-score-value').textContent = totalScore;
+  moreButton.disabled = true;
+  const loading = document.createElement('div');
+  loading.className = 'text-center text-secondary my-3';
+  loading.innerHTML = '<span class="spinner-border spinner-border-sm me-1" role="status"></span> Loading changes...';
+  list.appendChild(loading);
   
-  const riskLevelElement = document.getElementById('risk-level-value');
-  riskLevelElement.textContent = riskLevel;
-  riskLevelElement.className = `badge ${getRiskBadgeClass(riskLevel)}`;
-  
-  document.getElementById('risk-explanation').textContent = riskExplanation;
-  document.getElementById('risk-result').classList.remove('hidden');
-  
-  // Save to data storage
-  saveCurrentData();
+  try {
+    const result = await invokeServer('listMyChanges', {
+      user_id: currentUser.id,
+      page: myChangesNextPage,
+      known_origins: myChangesOrigins,
+      ...getMyChangesFilters()
+    });
+    Object.assign(myChangesOrigins, result.origins || {});
+    myChangesNextPage = result.next_page || null;
+    await renderMyChanges(result.changes || []);
+  } catch (error) {
+    console.error('Error loading my changes:', error);
+    showNotification('error', getApiErrorMessage(error, 'Could not load your change requests'));
+  } finally {
+    loading.remove();
+    moreButton.disabled = false;
+    moreButton.classList.toggle('hidden', !myChangesNextPage);
+    if (!list.querySelector('tbody tr') && !myChangesNextPage) {
+      list.innerHTML = '<div class="empty-message text-secondary">No change requests match these filters</div>';
+    }
+  }
 }
 
-function validateRiskAndNext() {
-  if (changeRequestData.riskAssessment.totalScore === 0) {
-    showNotification('error', 'Please calculate the risk score before proceeding');
-    return;
+/**
+ * Append changes to the My Change Requests table
+ * @param {Array} changes - Changes returned by listMyChanges
+ */
+async function renderMyChanges(changes) {
+  const list = document.getElementById('my-changes-list');
+  let tbody = list.querySelector('tbody');
+  if (!tbody && changes.length === 0) return;
+  if (!tbody) {
+    list.innerHTML = `
+      <table class="table table-sm align-middle">
+        <thead>
+          <tr><th>Change</th><th>Status</th><th>Risk</th><th>Planned Window</th><th>Your Role</th><th></th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    `;
+    tbody = list.querySelector('tbody');
   }
   
-  // Use our robust tab switching function instead of direct Bootstrap access
-  switchTab('impacted-assets');
+  for (const change of changes) {
+    const riskLevel = Object.keys(freshserviceRiskLevels).find(level => freshserviceRiskLevels[level] === change.risk);
+    const editable = !getEditLockReason(change);
+    const row = document.createElement('tr');
+    row.innerHTML = html`
+      <td><a href="${await getChangeUrl(change.id)}" target="_blank" rel="noopener">CHN-${change.id}</a><div class="small text-secondary">${change.subject || ''}</div></td>
+      <td>${freshserviceChangeStatuses[change.status] || change.status}</td>
+      <td>${riskLevel ? html`<span class="badge ${getRiskBadgeClass(riskLevel)}">${riskLevel}</span>` : ''}</td>
+      <td class="small">${change.planned_start_date ? `${formatDateTime(change.planned_start_date)} - ${formatDateTime(change.planned_end_date)}` : 'Not scheduled'}</td>
+      <td>${change.role === 'owner' ? 'Owner' : 'Requester'}</td>
+      <td class="text-end text-nowrap">
+        ${editable ? html`<button type="button" class="btn btn-sm btn-outline-primary my-change-edit">Edit</button>` : ''}
+        <button type="button" class="btn btn-sm btn-outline-secondary my-change-clone">Clone</button>
+      </td>
+    `;
+    
+    if (editable) {
+      row.querySelector('.my-change-edit').addEventListener('click', () => openChangeInForm('edit', change.id));
+    }
+    row.querySelector('.my-change-clone').addEventListener('click', () => openChangeInForm('clone', change.id));
+    tbody.appendChild(row);
+  }
 }
 
 /**
- * Search for assets using Freshservice API
+ * Parse CSV text into rows of cells, with quoted cells as in RFC 4180
+ * @param {string} text - CSV text
+ * @returns {Array} - Rows that are not blank, each an array of cell strings
  */
-function searchAssets(e) {
-  const searchTerm = e.target.value.trim();
-  if (searchTerm.length < 2) return;
-
-  // Ensure client is available
-  if (!window.client || !window.client.request) {
-    console.error('Client or request object not available for asset search');
-    handleErr('API client not initialized. Please refresh the page.');
-    return;
-  }
-
-  // Correctly encode the entire query string including quotes for Freshservice API
-  const assetQueryStr = `~[name|display_name]:'${searchTerm}'`;
-  const serviceQueryStr = `~[name|display_name]:'${searchTerm}'`;
-  const encodedAssetQuery = encodeURIComponent(`"${assetQueryStr}"`);
-  const encodedServiceQuery = encodeURIComponent(`"${serviceQueryStr}"`);
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
   
-  // Show loading indicator
-  const resultsContainer = document.getElementById('asset-results');
-  resultsContainer.innerHTML = '<div class="text-center p-3"><div class="spinner-border spinner-border-sm" role="status"></div> Loading...</div>';
-  resultsContainer.style.display = 'block';
-  
-  // Arrays to store all results from pagination
-  let allAssets = [];
-  let allServices = [];
-  
-  // Function to load assets from a specific page
-  function loadAssetsPage(page = 1) {
-    return window.client.request.invokeTemplate("getAssets", {
-      path_suffix: `?query=${encodedAssetQuery}&page=${page}&per_page=30`
-    })
-    .then(function(data) {
-      if (!data || !data.response) {
-        return { assets: [] };
-      }
-      
-      try {
-        const response = JSON.parse(data.response);
-        const assets = response && response.assets ? response.assets : [];
-        
-        // Combine with previous results
-        allAssets = [...allAssets, ...assets];
-        
-        // If we got a full page of results, there might be more
-        if (assets.length === 30 && page < 2) { // Limit to 2 pages (60 results) max
-          // Load next page
-          return loadAssetsPage(page + 1);
-        }
-        
-        return { assets: allAssets };
-      } catch (error) {
-        console.error('Error parsing assets response:', error);
-        return { assets: allAssets };
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
       }
-    })
-    .catch(error => {
-      console.error('Asset search failed:', error);
-      return { assets: allAssets };
-    });
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
   }
   
-  // Function to load services from a specific page
-  function loadServicesPage(page = 1) {
-    return window.client.request.invokeTemplate("getServices", {
-      path_suffix: `?query=${encodedServiceQuery}&page=${page}&per_page=30`
-    })
-    .then(function(data) {
-      if (!data || !data.response) {
-        return { services: [] };
-      }
-      
-      try {
-        const response = JSON.parse(data.response);
-        const services = response && response.services ? response.services : [];
-        
-        // Combine with previous results
-        allServices = [...allServices, ...services];
-        
-        // If we got a full page of results, there might be more
-        if (services.length === 30 && page < 2) { // Limit to 2 pages (60 results) max
-          // Load next page
-          return loadServicesPage(page + 1);
-        }
-        
-        return { services: allServices };
-      } catch (error) {
-        console.error('Error parsing services response:', error);
-        return { services: allServices };
-      }
-    })
-    .catch(error => {
-      console.error('Service search failed:', error);
-      return { services: allServices };
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read change requests from an import CSV with one change per row
+ * @param {string} text - CSV text with a header row
+ * @returns {Array} - Records in the shape of changeRequestData, with names still to be resolved
+ */
+function csvToImportRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  
+  // Headers are matched ignoring case, spaces and hyphens
+  const normalizeColumn = name => String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const columns = header.map(normalizeColumn);
+  const riskColumns = appConfig.riskQuestionnaire.questions.map(question => ({
+    key: getRiskAnswerKey(question),
+    index: columns.findIndex(column => column === normalizeColumn(question.id) || column === normalizeColumn(getRiskAnswerKey(question)))
+  })).filter(column => column.index >= 0);
+  
+  return rows.map(cells => {
+    const cellAt = index => (index >= 0 && cells[index] ? cells[index].trim() : '');
+    const value = name => cellAt(columns.indexOf(name));
+    const riskAssessment = {
+      overrideLevel: value('risk_override_level'),
+      overrideJustification: value('risk_override_justification')
+    };
+    riskColumns.forEach(column => {
+      riskAssessment[column.key] = cellAt(column.index);
     });
-  }
+    
+    return {
+      requester: value('requester'),
+      agent: value('agent'),
+      changeType: value('change_type'),
+      plannedStart: value('planned_start'),
+      plannedEnd: value('planned_end'),
+      implementationPlan: value('implementation_plan'),
+      backoutPlan: value('backout_plan'),
+      validationPlan: value('validation_plan'),
+      selectedAssets: value('assets').split(';').map(name => name.trim()).filter(Boolean),
+      riskAssessment
+    };
+  });
+}
+
+/**
+ * Read change requests from an import JSON file
+ * @param {string} text - A change request, a summary export, or an array of either
+ * @returns {Array} - Records in the shape of changeRequestData
+ */
+function jsonToImportRecords(text) {
+  const parsed = JSON.parse(text);
+  const records = Array.isArray(parsed) ? parsed : [parsed];
   
-  // Start loading both assets and services from page 1
-  Promise.all([
-    loadAssetsPage(1),
-    loadServicesPage(1)
-  ])
-  .then(function([assetsResponse, servicesResponse]) {
-    try {
-      // Get assets and services from the responses
-      const assets = assetsResponse.assets || [];
-      const services = servicesResponse.services || [];
-      
-      // Combine both results with type information
-      const combinedResults = [
-        ...assets.map(item => ({ ...item, type: 'asset' })),
-        ...services.map(item => ({ ...item, type: 'service' }))
-      ];
-      
-      displayAssetResults('asset-results', combinedResults, selectAsset);
-    } catch (error) {
-      console.error('Error processing search results:', error);
-      displayAssetResults('asset-results', [], selectAsset);
+  // Summary exports wrap the change request in a versioned envelope
+  return records.map(record => {
+    if (!record || typeof record !== 'object' || !('schemaVersion' in record)) return record;
+    if (record.schemaVersion > SUMMARY_SCHEMA_VERSION) {
+      throw new Error(`Schema version ${record.schemaVersion} was exported by a newer version of this app`);
     }
-  })
-  .catch(function(error) {
-    console.error('Combined asset/service search failed:', error);
-    displayAssetResults('asset-results', [], selectAsset);
-    handleErr(error);
+    return record.changeRequest;
   });
 }
 
-function displayAssetResults(containerId, results, selectionCallback) {
-  const container = document.getElementById(containerId);
-  container.innerHTML = '';
-  container.style.display = results.length ? 'block' : 'none';
+/**
+ * Find the option an imported risk answer refers to, by value or label
+ * @param {Object} question - Questionnaire question
+ * @param {*} answer - Answer from the import file
+ * @returns {Object|undefined} - Matching option
+ */
+function findImportRiskOption(question, answer) {
+  const text = String(answer).trim().toLowerCase();
   
-  if (results.length === 0) {
-    container.innerHTML = '<div class="list-group-item search-result-item no-results">No results found</div>';
-    container.style.display = 'block';
-    return;
+  // "Low" matches "Low - Limited impact on business operations", "Few" matches "Few (<50 users)"
+  return findRiskOption(question, answer) || question.options.find(option => {
+    const label = String(option.label).toLowerCase();
+    return label === text || label.split(/\s+[-(]/)[0] === text;
+  });
+}
+
+/**
+ * Copy an imported record into fresh change request data. Requesters, agents
+ * and assets given by name are kept as strings for resolveImportNames.
+ * @param {Object} record - Record from csvToImportRecords or jsonToImportRecords
+ * @returns {Object} - { data, errors, warnings }
+ */
+function normalizeImportRecord(record) {
+  const data = createEmptyChangeRequestData();
+  const errors = [];
+  const warnings = [];
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { data, errors: ['Not a change request'], warnings };
   }
   
-  results.forEach(result => {
-    const resultItem = document.createElement('div');
-    resultItem.className = 'list-group-item search-result-item d-flex flex-column search-item-hover';
-    
-    // Create a container for name and type badge
-    const headerDiv = document.createElement('div');
-    headerDiv.className = 'd-flex justify-content-between align-items-center w-100';
-    
-    // Name with proper styling
-    const nameDiv = document.createElement('div');
-    nameDiv.className = 'fw-bold';
-    nameDiv.textContent = result.name || result.display_name || 'Unnamed';
-    headerDiv.appendChild(nameDiv);
-    
-    // Type badge - different colors for asset vs service
-    const typeDiv = document.createElement('div');
-    const isAsset = result.type === 'asset';
-    typeDiv.innerHTML = `<span class="badge ${isAsset ? 'bg-success' : 'bg-warning text-dark'}">${isAsset ? 'Asset' : 'Service'}</span>`;
-    headerDiv.appendChild(typeDiv);
-    
-    resultItem.appendChild(headerDiv);
-    
-    // Additional information based on asset type
-    const detailsContainer = document.createElement('div');
-    detailsContainer.className = 'mt-2 d-flex flex-wrap gap-2';
-    
-    // Different badges for different properties
-    if (result.asset_type_name) {
-      const typeBadge = document.createElement('span');
-      typeBadge.className = 'badge bg-light text-dark border';
-      typeBadge.innerHTML = `<i class="fas fa-tag me-1"></i>${result.asset_type_name}`;
-      detailsContainer.appendChild(typeBadge);
-    }
-    
-    if (result.product_name) {
-      const productBadge = document.createElement('span');
-      productBadge.className = 'badge bg-light text-dark border';
-      productBadge.innerHTML = `<i class="fas fa-box me-1"></i>${result.product_name}`;
-      detailsContainer.appendChild(productBadge);
-    }
+  const typeInput = String(record.changeType || 'standard').trim().toLowerCase();
+  const changeType = Object.keys(changeTypeLabels).find(type =>
+    type === typeInput || changeTypeLabels[type].toLowerCase() === typeInput);
+  if (changeType) {
+    data.changeType = changeType;
+  } else {
+    errors.push(`Unknown change type "${record.changeType}"`);
+  }
+  data.leadTime = leadTimeText[data.changeType];
+  
+  ['plannedStart', 'plannedEnd'].forEach(field => {
+    if (!record[field]) return;
+    data[field] = toDateTimeLocalValue(record[field]);
+    if (!data[field]) errors.push(`"${record[field]}" is not a valid date and time`);
+  });
+  
+  data.implementationPlan = String(record.implementationPlan || '');
+  data.implementationSteps = normalizePlanSteps(record.implementationSteps);
+  if (data.implementationSteps) {
+    data.implementationPlan = formatPlanStepsText(data.implementationSteps);
+  }
+  data.backoutPlan = String(record.backoutPlan || '');
+  data.validationPlan = String(record.validationPlan || '');
+  
+  data.requester = record.requester || null;
+  data.agent = record.agent || null;
+  data.selectedAssets = Array.isArray(record.selectedAssets) ? record.selectedAssets.filter(Boolean) : [];
+  
+  const riskInput = record.riskAssessment || {};
+  appConfig.riskQuestionnaire.questions.forEach(question => {
+    const key = getRiskAnswerKey(question);
+    const answer = riskInput[key] !== undefined ? riskInput[key] : riskInput[question.id];
+    if (answer === undefined || answer === null || answer === '' || answer === 0) return;
     
-    if (result.department_name) {
-      const deptBadge = document.createElement('span');
-      deptBadge.className = 'badge bg-light text-dark border';
-      deptBadge.innerHTML = `<i class="fas fa-building me-1"></i>${result.department_name}`;
-      detailsContainer.appendChild(deptBadge);
+    const option = findImportRiskOption(question, answer);
+    if (option) {
+      data.riskAssessment[key] = option.value;
+    } else {
+      errors.push(`"${answer}" is not an answer to "${question.text}"`);
     }
-    
-    if (result.location_name) {
-      const locBadge = document.createElement('span');
-      locBadge.className = 'badge bg-light text-dark border';
-      locBadge.innerHTML = `<i class="fas fa-map-marker-alt me-1"></i>${result.location_name}`;
-      detailsContainer.appendChild(locBadge);
+  });
+  
+  const overrideInput = String(riskInput.overrideLevel || '').trim().toLowerCase();
+  if (overrideInput) {
+    const overrideLevel = Object.keys(freshserviceRiskLevels).find(level => level.toLowerCase() === overrideInput);
+    if (overrideLevel) {
+      data.riskAssessment.overrideLevel = overrideLevel;
+      data.riskAssessment.overrideJustification = String(riskInput.overrideJustification || '');
+    } else {
+      errors.push(`Unknown risk override level "${riskInput.overrideLevel}"`);
     }
-    
-    // Service-specific badges
-    if (!isAsset && result.category_name) {
-      const categoryBadge = document.createElement('span');
-      categoryBadge.className = 'badge bg-light text-dark border';
-      categoryBadge.innerHTML = `<i class="fas fa-folder me-1"></i>${result.category_name}`;
-      detailsContainer.appendChild(categoryBadge);
+  }
+  
+  if (Array.isArray(record.attachments) && record.attachments.length > 0) {
+    warnings.push('Attachments are not imported');
+  }
+  
+  return { data, errors, warnings };
+}
+
+/**
+ * Look up the requester or agent an import file names by email or full name
+ * @param {string} type - 'requester' or 'agent'
+ * @param {string} name - Email or full name
+ * @param {Map} cache - Lookups already made for this import
+ * @returns {Promise<Object>} - { person } or { error }
+ */
+function resolveImportPerson(type, name, cache) {
+  const cacheKey = `${type}:${name.toLowerCase()}`;
+  if (!cache.has(cacheKey)) {
+    const lookup = invokeServer('searchPeople', { type, term: name })
+      .then(result => {
+        const lowerName = name.toLowerCase();
+        const matches = (result.results || []).filter(person =>
+          (person.primary_email || person.email || '').toLowerCase() === lowerName ||
+          `${person.first_name || ''} ${person.last_name || ''}`.trim().toLowerCase() === lowerName);
+        if (matches.length === 1) return { person: matches[0] };
+        return {
+          error: matches.length === 0
+            ? `No ${type} found with the name or email "${name}"`
+            : `"${name}" matches ${matches.length} ${type}s, use an email instead`
+        };
+      })
+      .catch(error => ({ error: getApiErrorMessage(error, `Looking up ${type} "${name}" failed`) }));
+    cache.set(cacheKey, lookup);
+  }
+  return cache.get(cacheKey);
+}
+
+/**
+ * Look up an asset or service an import file names
+ * @param {string} name - Asset or service name
+ * @param {Map} cache - Lookups already made for this import
+ * @returns {Promise<Object>} - { item } or { error }
+ */
+function resolveImportAsset(name, cache) {
+  const cacheKey = `asset:${name.toLowerCase()}`;
+  if (!cache.has(cacheKey)) {
+    const lookup = invokeServer('searchCatalog', { term: name })
+      .then(result => {
+        const lowerName = name.toLowerCase();
+        const matches = (result.results || []).filter(item =>
+          (item.name || item.display_name || '').toLowerCase() === lowerName);
+        if (matches.length === 1) return { item: matches[0] };
+        return {
+          error: matches.length === 0
+            ? `No asset or service named "${name}"`
+            : `"${name}" matches ${matches.length} assets and services`
+        };
+      })
+      .catch(error => ({ error: getApiErrorMessage(error, `Looking up asset "${name}" failed`) }));
+    cache.set(cacheKey, lookup);
+  }
+  return cache.get(cacheKey);
+}
+
+/**
+ * Replace the requester, agent and asset names of an imported record with
+ * the Freshservice records they refer to. Entries that already carry an ID,
+ * as in a summary export, are kept as they are.
+ * @param {Object} data - Change request data from normalizeImportRecord
+ * @param {Map} cache - Lookups already made for this import
+ * @returns {Promise<Array>} - Names that could not be resolved, as { field, message }
+ */
+async function resolveImportNames(data, cache) {
+  const errors = [];
+  
+  for (const type of ['requester', 'agent']) {
+    if (typeof data[type] === 'string') {
+      const result = await resolveImportPerson(type, data[type].trim(), cache);
+      data[type] = result.person || null;
+      if (result.error) errors.push({ field: type, message: result.error });
+    } else if (data[type] && !data[type].id) {
+      data[type] = null;
     }
-    
-    // Status badge with appropriate color
-    if (result.status) {
-      const statusBadge = document.createElement('span');
-      let statusClass = 'bg-secondary';
-      
-      if (result.status.toLowerCase().includes('active') || 
-          result.status.toLowerCase().includes('in use')) {
-        statusClass = 'bg-success';
-      } else if (result.status.toLowerCase().includes('retired') || 
-                result.status.toLowerCase().includes('end')) {
-        statusClass = 'bg-danger';
-      } else if (result.status.toLowerCase().includes('pending')) {
-        statusClass = 'bg-warning text-dark';
-      }
-      
-      statusBadge.className = `badge ${statusClass}`;
-      statusBadge.innerHTML = `<i class="fas fa-circle me-1"></i>${result.status}`;
-      detailsContainer.appendChild(statusBadge);
+  }
+  
+  const assets = [];
+  for (const entry of data.selectedAssets) {
+    if (typeof entry !== 'string') {
+      if (entry.id) assets.push(entry);
+      continue;
     }
-    
-    // Only add details container if we have any badges
-    if (detailsContainer.children.length > 0) {
-      resultItem.appendChild(detailsContainer);
+    const result = await resolveImportAsset(entry.trim(), cache);
+    if (result.item && !assets.some(item => item.id === result.item.id && item.type === result.item.type)) {
+      assets.push(result.item);
     }
-    
-    resultItem.addEventListener('click', () => selectionCallback(result));
-    container.appendChild(resultItem);
-  });
+    if (result.error) errors.push({ field: 'selectedAssets', message: result.error });
+  }
+  data.selectedAssets = assets;
+  
+  return errors;
 }
 
-function selectAsset(asset) {
-  // Check if asset already exists in the selected list
-  if (changeRequestData.selectedAssets.some(item => item.id === asset.id && item.type === asset.type)) {
-    showNotification('error', 'This asset has already been added');
-    return;
+/**
+ * Check an imported record with the same rules as the form
+ * @param {Object} data - Resolved change request data; its risk assessment is scored
+ * @param {Array} nameErrors - Errors from resolveImportNames
+ * @returns {Array} - Error messages
+ */
+function validateImportRecord(data, nameErrors) {
+  // A name that could not be resolved already explains the missing requester or agent
+  const unresolvedFields = nameErrors.map(error => error.field);
+  const errors = validateChangeDetails(data).errors
+    .filter(error => !unresolvedFields.includes(error.field))
+    .map(error => error.message);
+  
+  const risk = computeRiskAssessment(data.riskAssessment, data.changeType);
+  if (risk.unanswered.length > 0) {
+    errors.push(`Unanswered risk questions: ${risk.unanswered.map(question => question.id).join(', ')}`);
+  } else {
+    recalculateRiskAssessment(data.riskAssessment, data.changeType);
+    const overrideError = getRiskOverrideError(data.riskAssessment);
+    if (overrideError) errors.push(overrideError);
   }
   
-  // Add to the selected assets list
-  changeRequestData.selectedAssets.push(asset);
-  renderSelectedAssets();
+  return [...nameErrors.map(error => error.message), ...errors];
+}
+
+/**
+ * Normalize, resolve and validate the records of an import file
+ * @param {Array} records - Records from csvToImportRecords or jsonToImportRecords
+ * @returns {Promise<Array>} - Import rows
+ */
+async function prepareImportRows(records) {
+  const cache = new Map();
+  const rows = [];
   
-  // Clear the search
-  document.getElementById('asset-results').style.display = 'none';
-  document.getElementById('asset-search').value = '';
+  // One record at a time so the name lookups stay within the API rate limit
+  for (const [index, record] of records.entries()) {
+    const { data, errors, warnings } = normalizeImportRecord(record);
+    const nameErrors = await resolveImportNames(data, cache);
+    rows.push({
+      number: index + 1,
+      data,
+      errors: [...errors, ...validateImportRecord(data, nameErrors)],
+      warnings: [
+        ...warnings,
+        ...validateChangeDetails(data).warnings,
+        ...checkRiskConsistency(data).map(contradiction => contradiction.message)
+      ],
+      result: null
+    });
+  }
   
-  // Save to data storage
-  saveCurrentData();
+  return rows;
 }
 
-function renderSelectedAssets() {
+/**
+ * Read an import file and preview its change requests
+ * @param {File} file - JSON or CSV file chosen by the agent
+ */
+async function loadImportFile(file) {
+  if (!file || importSubmitting) return;
+  
+  const status = document.getElementById('import-status');
+  importRows = [];
+  renderImportRows();
+  status.innerHTML = '<span class="spinner-border spinner-border-sm me-1" role="status"></span> Checking change requests...';
+  
   try {
-    const container = document.getElementById('selected-assets');
-    if (!container) {
-      console.warn('Selected assets container not found');
-      return;
-    }
-    
-    container.innerHTML = '';
+    const text = await file.text();
+    const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+    const records = isJson ? jsonToImportRecords(text) : csvToImportRecords(text);
     
-    // Check if we have valid asset data
-    if (!Array.isArray(changeRequestData.selectedAssets) || changeRequestData.selectedAssets.length === 0) {
-      container.innerHTML = '<div class="empty-message text-secondary">No assets selected</div>';
-      return;
+    if (records.length === 0) {
+      throw new Error('The file has no change requests');
+    }
+    if (records.length > IMPORT_MAX_RECORDS) {
+      throw new Error(`The file has ${records.length} change requests, at most ${IMPORT_MAX_RECORDS} can be imported at once`);
     }
     
-    // Create elements for each asset
-    changeRequestData.selectedAssets.forEach((asset, index) => {
-      if (!asset || typeof asset !== 'object') {
-        console.warn(`Invalid asset data at index ${index}`);
-        return; // Skip invalid asset
-      }
-      
-      // Safely get asset properties
-      const assetName = asset.name || 'Unnamed Asset';
-      const assetType = asset.type || 'unknown';
-      const isAsset = assetType === 'asset';
-      
-      const assetItem = document.createElement('div');
-      assetItem.className = 'asset-item mb-2 p-2 border rounded bg-light';
-      
-      const headerDiv = document.createElement('div');
-      headerDiv.className = 'd-flex justify-content-between align-items-center';
-      
-      const nameSpan = document.createElement('span');
-      nameSpan.className = 'fw-bold';
-      nameSpan.textContent = assetName;
-      
-      const badgeSpan = document.createElement('span');
-      badgeSpan.className = `badge ${isAsset ? 'bg-success' : 'bg-warning text-dark'} me-2`;
-      badgeSpan.textContent = isAsset ? 'Asset' : 'Service';
-      
-      const removeBtn = document.createElement('button');
-      removeBtn.className = 'btn btn-sm btn-outline-danger remove-asset';
-      removeBtn.innerHTML = '✕';
-      removeBtn.dataset.index = index;
-      
-      headerDiv.appendChild(nameSpan);
-      
-      const badgesDiv = document.createElement('div');
-      badgesDiv.className = 'd-flex align-items-center';
-      badgesDiv.appendChild(badgeSpan);
-      badgesDiv.appendChild(removeBtn);
-      
-      headerDiv.appendChild(badgesDiv);
-      assetItem.appendChild(headerDiv);
-      
-      // Add details if available
-      const detailsContainer = document.createElement('div');
-      detailsContainer.className = 'd-flex flex-wrap gap-2 mt-2';
-      let hasDetails = false;
-      
-      if (asset.asset_type_name) {
-        hasDetails = true;
-        const badge = document.createElement('span');
-        badge.className = 'badge bg-light text-dark border';
-        badge.innerHTML = `<i class="fas fa-tag me-1"></i>${asset.asset_type_name}`;
-        detailsContainer.appendChild(badge);
+    importRows = await prepareImportRows(records);
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    showNotification('error', `Could not import ${file.name}: ${error.message}`);
+  } finally {
+    renderImportRows();
+  }
+}
+
+/**
+ * Get the import rows that can be submitted: valid and not created yet
+ * @returns {Array} - Import rows
+ */
+function getSubmittableImportRows() {
+  return importRows.filter(row => row.errors.length === 0 && (!row.result || row.result.status === 'failed'));
+}
+
+/**
+ * Render the import preview with the per-row submission report
+ */
+function renderImportRows() {
+  const container = document.getElementById('import-rows');
+  const status = document.getElementById('import-status');
+  const submitButton = document.getElementById('import-submit');
+  const submittable = getSubmittableImportRows();
+  
+  submitButton.disabled = importSubmitting || submittable.length === 0;
+  submitButton.textContent = `Submit ${submittable.length} Change${submittable.length === 1 ? '' : 's'}`;
+  
+  if (importRows.length === 0) {
+    container.innerHTML = '';
+    status.textContent = '';
+    return;
+  }
+  
+  const invalidCount = importRows.filter(row => row.errors.length > 0).length;
+  const createdCount = importRows.filter(row => row.result && row.result.status === 'created').length;
+  status.textContent = `${importRows.length} change request${importRows.length === 1 ? '' : 's'}: ` +
+    `${importRows.length - invalidCount} valid, ${invalidCount} with errors, ${createdCount} created`;
+  
+  const personName = person => (person ? `${person.first_name || ''} ${person.last_name || ''}`.trim() : '');
+  const statusCell = row => {
+    if (row.errors.length > 0) {
+      return html`<span class="badge bg-danger">Invalid</span><ul class="small text-danger mb-0 ps-3">${row.errors.map(error => html`<li>${error}</li>`)}</ul>`;
+    }
+    const result = row.result;
+    let badge = html`<span class="badge bg-secondary">Ready</span>`;
+    if (result && result.status === 'queued') {
+      badge = html`<span class="badge bg-secondary">Queued</span>`;
+    } else if (result && result.status === 'submitting') {
+      badge = html`<span class="spinner-border spinner-border-sm" role="status"></span> Submitting`;
+    } else if (result && result.status === 'created') {
+      badge = html`<span class="badge bg-success">Created</span> <a href="${result.url}" target="_blank" rel="noopener noreferrer">CHN-${result.change.id}</a>
+        ${result.problems.length > 0 ? html`<div class="small text-warning">${result.problems.join('; ')}</div>` : ''}`;
+    } else if (result && result.status === 'failed') {
+      badge = html`<span class="badge bg-danger">Failed</span><div class="small text-danger">${result.error}</div>`;
+    }
+    return html`${badge}${row.warnings.length > 0 ? html`<div class="small text-warning">${row.warnings.join('; ')}</div>` : ''}`;
+  };
+  
+  container.innerHTML = html`
+    <table class="table table-sm align-middle">
+      <thead>
+        <tr><th>#</th><th>Change</th><th>Requester</th><th>Agent</th><th>Planned Window</th><th>Risk</th><th>Status</th></tr>
+      </thead>
+      <tbody>
+        ${importRows.map(row => html`
+          <tr>
+            <td>${row.number}</td>
+            <td>${buildChangeSubject(row.data)}</td>
+            <td>${personName(row.data.requester)}</td>
+            <td>${personName(row.data.agent)}</td>
+            <td class="small">${row.data.plannedStart ? `${formatDateTime(row.data.plannedStart)} - ${formatDateTime(row.data.plannedEnd)}` : ''}</td>
+            <td>${row.data.riskAssessment.riskLevel ? html`<span class="badge ${getRiskBadgeClass(row.data.riskAssessment.riskLevel)}">${row.data.riskAssessment.riskLevel}</span>` : ''}</td>
+            <td>${statusCell(row)}</td>
+          </tr>
+        `)}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Create one imported change with its asset links, risk note and approvals
+ * @param {Object} data - Validated change request data
+ * @returns {Promise<Object>} - { change, url, problems } where problems lists follow-up steps that failed
+ */
+async function submitImportedChange(data) {
+  const change = await createChange(data);
+  const problems = [];
+  
+  const linkResults = await linkChangeItems(change.id, data.selectedAssets);
+  const failedLinks = linkResults.filter(result => result.status === 'failed').length;
+  if (failedLinks > 0) {
+    problems.push(`${failedLinks} asset link${failedLinks === 1 ? '' : 's'} failed`);
+  }
+  
+  const riskNoteResult = await postRiskAssessmentNote(change.id, buildRiskNoteHtml(data));
+  if (riskNoteResult.status === 'failed') {
+    problems.push('Risk assessment note not posted');
+  }
+  
+  try {
+    const approvalResults = await requestChangeApprovals(change.id, await resolveApprovalPlan(data));
+    const failedApprovals = approvalResults.filter(result => result.status === 'failed').length;
+    if (failedApprovals > 0) {
+      problems.push(`${failedApprovals} approval request${failedApprovals === 1 ? '' : 's'} failed`);
+    }
+  } catch (error) {
+    console.error(`Error requesting approvals on change ${change.id}:`, error);
+    problems.push(getApiErrorMessage(error, 'Approvers could not be resolved'));
+  }
+  
+  return { change, url: await getChangeUrl(change.id), problems };
+}
+
+/**
+ * Submit the valid import rows one after another, pausing between changes
+ */
+async function submitImportBatch() {
+  if (importSubmitting) return;
+  
+  const rows = getSubmittableImportRows();
+  if (rows.length === 0) return;
+  
+  // Queue every row up front so a row still waiting its turn is never picked up twice
+  importSubmitting = true;
+  rows.forEach(row => { row.result = { status: 'queued' }; });
+  renderImportRows();
+  
+  try {
+    for (const [index, row] of rows.entries()) {
+      if (index > 0) {
+        await new Promise(resolve => setTimeout(resolve, IMPORT_SUBMIT_DELAY_MS));
       }
       
-      if (asset.product_name) {
-        hasDetails = true;
-        const badge = document.createElement('span');
-        badge.className = 'badge bg-light text-dark border';
-        badge.innerHTML = `<i class="fas fa-box me-1"></i>${asset.product_name}`;
-        detailsContainer.appendChild(badge);
+      row.result = { status: 'submitting' };
+      renderImportRows();
+      try {
+        row.result = { status: 'created', ...(await submitImportedChange(row.data)) };
+      } catch (error) {
+        console.error(`Error submitting imported change request ${row.number}:`, error);
+        row.result = { status: 'failed', error: error.message || 'Failed to create change' };
       }
+      renderImportRows();
+    }
+  } finally {
+    importSubmitting = false;
+    renderImportRows();
+  }
+  
+  const failedCount = rows.filter(row => row.result.status === 'failed').length;
+  if (failedCount > 0) {
+    showNotification('warning', `${rows.length - failedCount} of ${rows.length} changes created, ${failedCount} failed`);
+  } else {
+    showNotification('success', `${rows.length} change${rows.length === 1 ? '' : 's'} created`);
+  }
+  loadMyChanges(true);
+}
+
+/**
+ * Show the template picker listing all change templates
+ */
+async function showTemplatePicker() {
+  if (!currentUser) {
+    showNotification('error', 'Templates are unavailable because the logged-in agent could not be identified');
+    return;
+  }
+  
+  await loadTemplateIndex();
+  renderTemplateList();
+  document.getElementById('template-admin').classList.toggle('hidden', !isTemplateAdmin());
+  
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('template-picker-modal')).show();
+}
+
+function closeTemplatePicker() {
+  const modal = bootstrap.Modal.getInstance(document.getElementById('template-picker-modal'));
+  if (modal) {
+    modal.hide();
+  }
+}
+
+function renderTemplateList() {
+  const container = document.getElementById('template-list');
+  container.innerHTML = '';
+  
+  if (templateIndex.length === 0) {
+    container.innerHTML = '<div class="empty-message text-secondary">No change templates</div>';
+    return;
+  }
+  
+  const admin = isTemplateAdmin();
+  templateIndex.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'list-group-item d-flex justify-content-between align-items-center';
+    item.innerHTML = html`
+      <div>
+        <div class="fw-bold">${entry.name}</div>
+        <div class="small text-secondary">
+          ${changeTypeLabels[entry.changeType] || entry.changeType} - updated ${new Date(entry.updatedAt).toLocaleString()}${entry.updatedBy ? ` by ${entry.updatedBy}` : ''}
+        </div>
+      </div>
+      <div class="d-flex gap-1">
+        <button type="button" class="btn btn-sm btn-primary template-apply">Apply</button>
+        ${admin ? html`<button type="button" class="btn btn-sm btn-outline-secondary template-edit">Edit</button>` : ''}
+        ${admin ? html`<button type="button" class="btn btn-sm btn-outline-danger template-delete">Delete</button>` : ''}
+      </div>
+    `;
+    
+    item.querySelector('.template-apply').addEventListener('click', async () => {
+      closeTemplatePicker();
+      await applyTemplate(entry);
+    });
+    
+    if (admin) {
+      // Editing loads the template into the form; saving under the same name updates it
+      item.querySelector('.template-edit').addEventListener('click', async () => {
+        closeTemplatePicker();
+        if (await applyTemplate(entry)) {
+          document.getElementById('template-name').value = entry.name;
+          showNotification('info', `Change the form, then open Templates and save it as "${entry.name}" to update the template`);
+        }
+      });
       
-      if (asset.location_name) {
-        hasDetails = true;
-        const badge = document.createElement('span');
-        badge.className = 'badge bg-light text-dark border';
-        badge.innerHTML = `<i class="fas fa-map-marker-alt me-1"></i>${asset.location_name}`;
-        detailsContainer.appendChild(badge);
-      }
+      // Deleting takes a second click to confirm
+      const deleteButton = item.querySelector('.template-delete');
+      deleteButton.addEventListener('click', async () => {
+        if (!deleteButton.classList.contains('confirming')) {
+          deleteButton.classList.add('confirming');
+          deleteButton.textContent = 'Confirm delete';
+          return;
+        }
+        await deleteTemplate(entry.id);
+        renderTemplateList();
+      });
+    }
+    
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Populate form fields with data from storage
+ */
+function populateFormFields() {
+  console.log('Populating form fields with saved data');
+  
+  // Safely get a DOM element with null checking
+  function safeGetElement(id) {
+    const element = document.getElementById(id);
+    if (!element) {
+      console.warn(`Element not found: ${id}`);
+      return null;
+    }
+    return element;
+  }
+  
+  // Safely set element value with null checking
+  function safeSetValue(id, value) {
+    const element = safeGetElement(id);
+    if (element && value !== undefined && value !== null) {
+      element.value = value;
+    }
+  }
+  
+  // Safely set element text content with null checking
+  function safeSetText(id, text) {
+    const element = safeGetElement(id);
+    if (element && text !== undefined && text !== null) {
+      element.textContent = text;
+    }
+  }
+  
+  try {
+    // Populate requester if exists
+    if (changeRequestData.requester) {
+      const requester = changeRequestData.requester;
+      const selectedContainer = safeGetElement('selected-requester');
       
-      if (hasDetails) {
-        assetItem.appendChild(detailsContainer);
+      if (selectedContainer) {
+        // Create detailed requester info display with improved styling
+        let requesterInfo = html`
+          <div class="d-flex justify-content-between align-items-center mb-2">
+            <div>
+              <div class="fw-bold">${requester.first_name} ${requester.last_name}</div>
+              <div class="text-secondary small"><i class="fas fa-envelope me-1"></i>${requester.email || requester.primary_email}</div>
+            </div>
+            <div>
+              <span class="badge bg-primary me-2">Requester</span>
+              <button class="btn btn-sm btn-outline-secondary clear-requester" type="button"><i class="fas fa-times"></i></button>
+            </div>
+          </div>
+        `;
+        
+        // Add badges for additional details in a flex container
+        const detailsList = [];
+        
+        if (requester.job_title) {
+          detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-briefcase me-1"></i>${requester.job_title}</span>`);
+        }
+        
+        if (requester.location_name) {
+          detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-map-marker-alt me-1"></i>${requester.location_name}</span>`);
+        }
+        
+        if (requester.manager_name) {
+          detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-user-tie me-1"></i>${requester.manager_name}</span>`);
+        }
+        
+        if (requester.department_names && requester.department_names.length > 0) {
+          detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-building me-1"></i>${requester.department_names[0]}</span>`);
+        }
+        
+        if (detailsList.length > 0) {
+          requesterInfo = html`${requesterInfo}<div class="d-flex flex-wrap gap-2 mt-1">${detailsList}</div>`;
+        }
+        
+        selectedContainer.innerHTML = requesterInfo;
+        selectedContainer.style.display = 'block';
+        selectedContainer.classList.add('p-2', 'border', 'rounded', 'bg-light');
+        
+        // Add event listener to the clear button
+        document.querySelector('.clear-requester').addEventListener('click', clearRequester);
       }
-      
-      container.appendChild(assetItem);
-    });
+    }
     
-    // Add event listeners to remove buttons
-    document.querySelectorAll('.remove-asset').forEach(button => {
-      button.addEventListener('click', function() {
-        try {
-          const index = parseInt(this.dataset.index, 10);
-          if (!isNaN(index) && index >= 0 && index < changeRequestData.selectedAssets.length) {
-            changeRequestData.selectedAssets.splice(index, 1);
-            renderSelectedAssets();
-            saveCurrentData().catch(err => console.error('Error saving after asset removal:', err));
-          }
-        } catch (e) {
-          console.error('Error removing asset:', e);
-        }
+    // Populate agent if exists
+    if (changeRequestData.agent) {
+      const agent = changeRequestData.agent;
+      const selectedContainer = safeGetElement('selected-agent');
+      
+      if (selectedContainer) {
+        // Create detailed agent info display with improved styling
+        let agentInfo = html`
+          <div class="d-flex justify-content-between align-items-center mb-2">
+            <div>
+              <div class="fw-bold">${agent.first_name} ${agent.last_name}</div>
+              <div class="text-secondary small"><i class="fas fa-envelope me-1"></i>${agent.email}</div>
+            </div>
+            <div>
+              <span class="badge bg-info me-2">Agent</span>
+              <button class="btn btn-sm btn-outline-secondary clear-agent" type="button"><i class="fas fa-times"></i></button>
+            </div>
+          </div>
+        `;
+        
+        // Add badges for additional details in a flex container
+        const detailsList = [];
+        
+        if (agent.job_title) {
+          detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-briefcase me-1"></i>${agent.job_title}</span>`);
+        }
+        
+        if (agent.location_name) {
+          detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-map-marker-alt me-1"></i>${agent.location_name}</span>`);
+        }
+        
+        if (agent.manager_name) {
+          detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-user-tie me-1"></i>${agent.manager_name}</span>`);
+        }
+        
+        if (agent.department_names && agent.department_names.length > 0) {
+          detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-building me-1"></i>${agent.department_names[0]}</span>`);
+        }
+        
+        if (detailsList.length > 0) {
+          agentInfo = html`${agentInfo}<div class="d-flex flex-wrap gap-2 mt-1">${detailsList}</div>`;
+        }
+        
+        selectedContainer.innerHTML = agentInfo;
+        selectedContainer.style.display = 'block';
+        selectedContainer.classList.add('p-2', 'border', 'rounded', 'bg-light');
+        
+        // Add event listener to the clear button
+        document.querySelector('.clear-agent').addEventListener('click', clearAgent);
+      }
+    }
+    
+    // Populate Change Type
+    const changeTypeSelect = safeGetElement('change-type');
+    if (changeTypeSelect && changeRequestData.changeType) {
+      changeTypeSelect.value = changeRequestData.changeType;
+    }
+    safeSetText('lead-time', changeRequestData.leadTime || '2 business days');
+    
+    // Populate dates
+    safeSetValue('planned-start', changeRequestData.plannedStart || '');
+    safeSetValue('planned-end', changeRequestData.plannedEnd || '');
+    updateLeadTimeFeedback();
+    updateFreezeFeedback();
+    
+    // Populate text areas
+    safeSetValue('implementation-plan', changeRequestData.implementationPlan || '');
+    renderPlanSteps();
+    safeSetValue('backout-plan', changeRequestData.backoutPlan || '');
+    safeSetValue('validation-plan', changeRequestData.validationPlan || '');
+    updatePlanLintFeedback();
+    
+    // Populate risk assessment if it exists. Rendering the questionnaire
+    // checks the saved answers for the current change type.
+    const riskAssessment = changeRequestData.riskAssessment;
+    if (riskAssessment) {
+      try {
+        renderRiskQuestionnaire();
+      } catch (radioErr) {
+        console.error('Error setting risk radio buttons:', radioErr);
+      }
+      
+      // Show risk results if they exist
+      if (riskAssessment.totalScore > 0) {
+        showRiskResult(riskAssessment);
+      }
+    }
+    
+    // Populate selected assets
+    if (changeRequestData.selectedAssets && changeRequestData.selectedAssets.length > 0) {
+      renderSelectedAssets();
+    }
+    
+    // Populate pending attachments
+    if (!Array.isArray(changeRequestData.attachments)) {
+      changeRequestData.attachments = [];
+    }
+    renderAttachments();
+    updateEditModeBanner();
+    
+    console.log('Form populated successfully');
+  } catch (error) {
+    console.error('Error populating form fields:', error);
+  }
+}
+
+function setupEventListeners() {
+  // We don't need to manually handle tab switching since Bootstrap will handle it
+  // Just add listeners for the Next buttons to programmatically switch tabs
+
+  // Enhance search inputs with icons and styling
+  enhanceSearchInputs();
+
+  // Change Details tab
+  document.getElementById('requester-search').addEventListener('input', debounce(searchRequesters, 300));
+  document.getElementById('agent-search').addEventListener('input', debounce(searchAgents, 300));
+  document.getElementById('change-type').addEventListener('change', updateChangeType);
+  document.getElementById('details-next').addEventListener('click', validateDetailsAndNext);
+
+  // Risk Assessment tab, questions are rendered from the questionnaire definition
+  renderRiskQuestionnaire();
+  document.getElementById('risk-questions').addEventListener('change', function(e) {
+    if (e.target.matches('input[type="radio"]')) {
+      updateRiskSelection(e);
+    }
+  });
+  document.getElementById('risk-questions').addEventListener('click', function(e) {
+    if (e.target.closest('[data-action="use-affected-users-estimate"]')) {
+      useAffectedUsersSuggestion();
+    }
+  });
+  document.getElementById('calculate-risk').addEventListener('click', calculateRisk);
+  document.getElementById('risk-override-level').addEventListener('change', updateRiskOverride);
+  document.getElementById('risk-override-justification').addEventListener('input', debounce(updateRiskOverride, 1000));
+  document.getElementById('risk-next').addEventListener('click', validateRiskAndNext);
+
+  // Impacted Assets tab
+  document.getElementById('asset-search').addEventListener('input', debounce(searchAssets, 300));
+  document.getElementById('submit-change').addEventListener('click', reviewChangeRequest);
+  document.getElementById('asset-dependencies').addEventListener('click', handleDependencyClick);
+
+  // Drafts
+  document.getElementById('draft-name').addEventListener('input', debounce(function() {
+    renameCurrentDraft(this.value);
+  }, 1000));
+  document.getElementById('new-draft').addEventListener('click', startNewDraft);
+  document.getElementById('open-drafts').addEventListener('click', showDraftPicker);
+  document.getElementById('draft-picker-new').addEventListener('click', startNewDraft);
+  
+  // My Change Requests view
+  document.getElementById('nav-my-changes').addEventListener('click', () => showView('my-changes'));
+  document.getElementById('nav-form').addEventListener('click', () => showView('form'));
+  document.getElementById('my-changes-new').addEventListener('click', startNewDraft);
+  document.getElementById('my-changes-apply').addEventListener('click', () => loadMyChanges(true));
+  document.getElementById('my-changes-more').addEventListener('click', () => loadMyChanges(false));
+  
+  // Import view
+  document.getElementById('nav-import').addEventListener('click', () => showView('import'));
+  document.getElementById('import-file').addEventListener('change', function() {
+    loadImportFile(this.files[0]);
+    
+    // Let the same file be chosen again after it has been fixed
+    this.value = '';
+  });
+  document.getElementById('import-submit').addEventListener('click', submitImportBatch);
+  
+  // Clone or edit an existing change
+  document.getElementById('open-clone').addEventListener('click', () => showChangeLookup('clone'));
+  document.getElementById('open-edit').addEventListener('click', () => showChangeLookup('edit'));
+  document.getElementById('lookup-submit').addEventListener('click', submitChangeLookup);
+  document.getElementById('lookup-change-id').addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') {
+      submitChangeLookup();
+    }
+  });
+  document.getElementById('stop-editing').addEventListener('click', startNewDraft);
+  
+  // Change templates
+  document.getElementById('open-templates').addEventListener('click', showTemplatePicker);
+  document.getElementById('template-save').addEventListener('click', function() {
+    saveFormAsTemplate(document.getElementById('template-name').value);
+  });
+
+  // Scheduling Conflict Modal
+  document.getElementById('conflict-acknowledge').addEventListener('click', acknowledgeConflicts);
+  document.getElementById('conflict-adjust').addEventListener('click', adjustWindowForConflicts);
+  
+  // Confirmation Modal
+  document.querySelectorAll('[data-export]').forEach(item => {
+    item.addEventListener('click', () => exportSummary(item.dataset.export));
+  });
+  document.getElementById('edit-request').addEventListener('click', closeModal);
+  document.getElementById('confirm-submit').addEventListener('click', submitChangeRequest);
+  document.getElementById('confirmation-modal').addEventListener('hidden.bs.modal', handleModalHidden);
+  
+  // Form inputs with auto-save
+  document.getElementById('planned-start').addEventListener('change', function() {
+    changeRequestData.plannedStart = this.value;
+    updateLeadTimeFeedback();
+    updateFreezeFeedback();
+    updatePlanStepsTotal();
+    saveCurrentData();
+  });
+  
+  document.getElementById('planned-end').addEventListener('change', function() {
+    changeRequestData.plannedEnd = this.value;
+    updateFreezeFeedback();
+    updatePlanStepsTotal();
+    saveCurrentData();
+  });
+  
+  document.getElementById('implementation-plan').addEventListener('input', debounce(function() {
+    changeRequestData.implementationPlan = this.value;
+    updatePlanLintFeedback();
+    saveCurrentData();
+  }, 1000));
+  
+  // Implementation plan step editor
+  const savePlanStepsLater = debounce(saveCurrentData, 1000);
+  document.getElementById('toggle-plan-steps').addEventListener('click', () => setPlanStepMode(!changeRequestData.implementationSteps));
+  document.getElementById('add-plan-step').addEventListener('click', function() {
+    changeRequestData.implementationSteps.push({ description: '', owner: '', durationMinutes: 0, checkpoint: false });
+    renderPlanSteps();
+    updatePlanLintFeedback();
+    saveCurrentData();
+  });
+  ['input', 'change', 'click'].forEach(type => {
+    document.getElementById('plan-steps').addEventListener(type, function(e) {
+      if (handlePlanStepEvent(e)) {
+        updatePlanLintFeedback();
+        savePlanStepsLater();
+      }
+    });
+  });
+  
+  document.getElementById('backout-plan').addEventListener('input', debounce(function() {
+    changeRequestData.backoutPlan = this.value;
+    updatePlanLintFeedback();
+    saveCurrentData();
+  }, 1000));
+  
+  document.getElementById('validation-plan').addEventListener('input', debounce(function() {
+    changeRequestData.validationPlan = this.value;
+    updatePlanLintFeedback();
+    saveCurrentData();
+  }, 1000));
+  
+  setupAttachmentArea();
+}
+
+/**
+ * Enhance search inputs with icons and better styling
+ * Simplified version to fix FDK validation errors
+ */
+function enhanceSearchInputs() {
+  // Fix search input placeholders without DOM manipulation
+  const requesterSearch = document.getElementById('requester-search');
+  const agentSearch = document.getElementById('agent-search');
+  const assetSearch = document.getElementById('asset-search');
+  
+  if (requesterSearch) {
+    requesterSearch.placeholder = 'Search for a requester...';
+    requesterSearch.classList.add('form-control');
+  }
+  
+  if (agentSearch) {
+    agentSearch.placeholder = 'Search for an agent...';
+    agentSearch.classList.add('form-control');
+  }
+  
+  if (assetSearch) {
+    assetSearch.placeholder = 'Search for assets or services...';
+    assetSearch.classList.add('form-control');
+  }
+  
+  // Add icon labels next to inputs using existing markup
+  // This avoids complex DOM manipulation that might cause FDK issues
+  addIconLabel('requester-search-label', 'fas fa-user', 'Requester');
+  addIconLabel('agent-search-label', 'fas fa-user-tie', 'Agent');
+  addIconLabel('asset-search-label', 'fas fa-desktop', 'Assets/Services');
+}
+
+// Helper to add icon labels
+function addIconLabel(labelId, iconClass, text) {
+  const label = document.getElementById(labelId);
+  if (label) {
+    label.innerHTML = html`<i class="${iconClass} me-1"></i> ${text}`;
+    label.classList.add('fw-bold');
+  }
+}
+
+function setupChangeTypeTooltips() {
+  const changeTypeSelect = document.getElementById('change-type');
+  const changeTypeTooltip = document.getElementById('change-type-tooltip');
+  
+  // Show tooltip for the default selected change type
+  updateTooltipContent(changeTypeSelect.value);
+  
+  // Show tooltip on hover or focus
+  changeTypeSelect.addEventListener('mouseenter', function() {
+    changeTypeTooltip.style.display = 'block';
+  });
+  
+  changeTypeSelect.addEventListener('mouseleave', function() {
+    if (!changeTypeSelect.matches(':focus')) {
+      changeTypeTooltip.style.display = 'none';
+    }
+  });
+  
+  changeTypeSelect.addEventListener('focus', function() {
+    changeTypeTooltip.style.display = 'block';
+  });
+  
+  changeTypeSelect.addEventListener('blur', function() {
+    changeTypeTooltip.style.display = 'none';
+  });
+  
+  function updateTooltipContent(changeType) {
+    changeTypeTooltip.textContent = changeTypeTooltips[changeType] || '';
+    changeTypeTooltip.style.display = 'block';
+  }
+  
+  // Update tooltip when change type changes
+  changeTypeSelect.addEventListener('change', function() {
+    updateTooltipContent(this.value);
+  });
+}
+
+/**
+ * Parse a JSON installation parameter
+ * @param {Object} iparams - Installation parameters
+ * @param {string} name - Parameter name
+ * @returns {*} - Parsed value, or null when the parameter is empty or invalid
+ */
+function parseJsonParam(iparams, name) {
+  const rawValue = iparams && iparams[name];
+  if (!rawValue || !String(rawValue).trim()) return null;
+  
+  try {
+    return JSON.parse(rawValue);
+  } catch (error) {
+    console.error(`Installation parameter ${name} is not valid JSON:`, error);
+    showNotification('error', `The ${name} app setting is not valid JSON. Built-in defaults are used instead.`);
+    return null;
+  }
+}
+
+/**
+ * Check a risk questionnaire definition, dropping questions that cannot be rendered
+ * @param {Object} definition - Questionnaire from the risk_questionnaire parameter
+ * @returns {Object|null} - Usable questionnaire, or null if nothing is usable
+ */
+function normalizeRiskQuestionnaire(definition) {
+  if (!definition || !Array.isArray(definition.questions)) {
+    console.error('Risk questionnaire has no questions array');
+    return null;
+  }
+  
+  const questions = definition.questions.filter(question => {
+    const valid = question && question.id && question.text &&
+      Array.isArray(question.options) && question.options.length > 0 &&
+      question.options.every(option => option.value !== undefined && option.label && typeof option.score === 'number');
+    if (!valid) {
+      console.warn('Skipping invalid risk question:', question);
+    }
+    return valid;
+  });
+  
+  if (questions.length === 0) return null;
+  
+  const criticalRules = (Array.isArray(definition.criticalRules) ? definition.criticalRules : []).filter(rule => {
+    const valid = rule && rule.name && rule.answers && typeof rule.answers === 'object' &&
+      Object.keys(rule.answers).every(questionId => questions.some(question => question.id === questionId));
+    if (!valid) {
+      console.warn('Skipping invalid critical risk rule:', rule);
+    }
+    return valid;
+  });
+  
+  return {
+    thresholds: { ...DEFAULT_RISK_QUESTIONNAIRE.thresholds, ...(definition.thresholds || {}) },
+    explanations: { ...DEFAULT_RISK_QUESTIONNAIRE.explanations, ...(definition.explanations || {}) },
+    questions,
+    criticalRules
+  };
+}
+
+/**
+ * Parse the holiday list setting, one "YYYY-MM-DD Optional name" entry per line
+ * @param {string} rawValue - Value of the holidays installation parameter
+ * @returns {Object} - Holiday names keyed by date
+ */
+function parseHolidayList(rawValue) {
+  const holidays = {};
+  
+  String(rawValue || '').split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(/^(\d{4}-\d{2}-\d{2})\s*(.*)$/);
+    if (match) {
+      holidays[match[1]] = match[2] || 'Holiday';
+    } else if (line.trim()) {
+      console.warn('Skipping invalid holiday entry:', line);
+    }
+  });
+  
+  return holidays;
+}
+
+/**
+ * Parse a freeze window boundary. Date-only values cover the whole local day.
+ * @param {string} value - YYYY-MM-DD or YYYY-MM-DDTHH:mm
+ * @param {boolean} endOfDay - Use the end of the day for date-only values
+ * @returns {Date|null} - Parsed date, or null if invalid
+ */
+function parseFreezeDate(value, endOfDay) {
+  const text = String(value || '').trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const date = new Date(dateOnly ? `${text}T${endOfDay ? '23:59:59' : '00:00:00'}` : text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check the freeze window list, dropping entries without a name or a valid date range
+ * @param {Array} windows - Freeze windows from the freeze_windows parameter
+ * @returns {Array} - Usable freeze windows with parsed start and end dates
+ */
+function normalizeFreezeWindows(windows) {
+  if (!windows) return [];
+  if (!Array.isArray(windows)) {
+    console.error('Freeze windows setting is not a list');
+    return [];
+  }
+  
+  return windows.reduce((result, freeze) => {
+    const start = parseFreezeDate(freeze && freeze.start, false);
+    const end = parseFreezeDate(freeze && freeze.end, true);
+    if (!freeze || !freeze.name || !start || !end || end < start) {
+      console.warn('Skipping invalid freeze window:', freeze);
+      return result;
+    }
+    
+    result.push({
+      name: freeze.name,
+      start,
+      end,
+      appliesTo: Array.isArray(freeze.appliesTo) ? freeze.appliesTo : null,
+      exempt: Array.isArray(freeze.exempt) ? freeze.exempt : [],
+      enforcement: freeze.enforcement === RULE_ENFORCEMENT.WARN ? RULE_ENFORCEMENT.WARN : RULE_ENFORCEMENT.BLOCK
+    });
+    return result;
+  }, []);
+}
+
+/**
+ * Check the approval rules, dropping rules that route to nobody
+ * @param {Array} rules - Rules from the approval_rules parameter
+ * @returns {Array} - Usable approval rules
+ */
+function normalizeApprovalRules(rules) {
+  if (!rules) return [];
+  if (!Array.isArray(rules)) {
+    console.error('Approval rules setting is not a list');
+    return [];
+  }
+  
+  const toIds = list => (Array.isArray(list) ? list : []).map(id => parseInt(id, 10)).filter(Boolean);
+  return rules.reduce((result, rule) => {
+    const normalized = rule && {
+      name: rule.name || 'Approval rule',
+      riskLevels: Array.isArray(rule.riskLevels) ? rule.riskLevels : null,
+      changeTypes: Array.isArray(rule.changeTypes) ? rule.changeTypes : null,
+      groups: toIds(rule.groups),
+      agents: toIds(rule.agents),
+      serviceOwners: rule.serviceOwners === true,
+      autoApprove: rule.autoApprove === true
+    };
+    
+    if (!normalized || (!normalized.autoApprove && !normalized.serviceOwners &&
+        normalized.groups.length === 0 && normalized.agents.length === 0)) {
+      console.warn('Skipping approval rule without approvers:', rule);
+      return result;
+    }
+    
+    result.push(normalized);
+    return result;
+  }, []);
+}
+
+/**
+ * Check the plan rules, dropping rules that check nothing
+ * @param {Array} rules - Rules from the plan_rules parameter
+ * @returns {Array} - Usable plan rules
+ */
+function normalizePlanRules(rules) {
+  if (!Array.isArray(rules)) {
+    console.error('Plan rules setting is not a list');
+    return DEFAULT_PLAN_RULES;
+  }
+  
+  const toStrings = list => (Array.isArray(list) ? list : []).map(item => String(item).trim()).filter(Boolean);
+  return rules.reduce((result, rule) => {
+    const normalized = rule && {
+      name: rule.name || 'Plan rule',
+      plans: toStrings(rule.plans).filter(plan => PLAN_FIELDS[plan]),
+      changeTypes: Array.isArray(rule.changeTypes) ? rule.changeTypes : null,
+      minLength: Math.max(parseInt(rule.minLength, 10) || 0, 0),
+      keywords: toStrings(rule.keywords),
+      match: rule.match === 'any' ? 'any' : 'all',
+      placeholders: toStrings(rule.placeholders),
+      enforcement: rule.enforcement === RULE_ENFORCEMENT.WARN ? RULE_ENFORCEMENT.WARN : RULE_ENFORCEMENT.BLOCK
+    };
+    
+    if (!normalized || normalized.plans.length === 0 ||
+        (!normalized.minLength && normalized.keywords.length === 0 && normalized.placeholders.length === 0)) {
+      console.warn('Skipping plan rule without plans or checks:', rule);
+      return result;
+    }
+    
+    result.push(normalized);
+    return result;
+  }, []);
+}
+
+/**
+ * Load administrator configuration from the installation parameters
+ */
+async function loadAppConfig() {
+  try {
+    const iparams = await window.client.iparams.get();
+    
+    const questionnaire = normalizeRiskQuestionnaire(parseJsonParam(iparams, 'risk_questionnaire'));
+    if (questionnaire) {
+      appConfig.riskQuestionnaire = questionnaire;
+    }
+    
+    appConfig.holidays = parseHolidayList(iparams.holidays);
+    appConfig.freezeWindows = normalizeFreezeWindows(parseJsonParam(iparams, 'freeze_windows'));
+    const editLockStatus = Object.keys(freshserviceChangeStatuses)
+      .find(status => freshserviceChangeStatuses[status] === iparams.edit_lock_status);
+    if (editLockStatus) {
+      appConfig.editLockStatus = parseInt(editLockStatus, 10);
+    }
+    
+    appConfig.approvalRules = normalizeApprovalRules(parseJsonParam(iparams, 'approval_rules'));
+    
+    // An empty setting keeps the built-in rules; [] turns plan checks off
+    const planRules = parseJsonParam(iparams, 'plan_rules');
+    if (planRules) {
+      appConfig.planRules = normalizePlanRules(planRules);
+    }
+    
+    appConfig.templateAdmins = String(iparams.template_admins || '')
+      .split(/[,;\s]+/)
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+    
+    console.log('App configuration loaded');
+  } catch (error) {
+    console.error('Error loading app configuration, using defaults:', error);
+  }
+}
+
+/**
+ * Get the property of riskAssessment that holds a question's answer
+ * @param {Object} question - Questionnaire question
+ * @returns {string} - Property name
+ */
+function getRiskAnswerKey(question) {
+  return question.key || question.id;
+}
+
+/**
+ * Get the questions that apply to a change type
+ * @param {string} changeType - Change type
+ * @returns {Array} - Applicable questions
+ */
+function getApplicableRiskQuestions(changeType) {
+  return appConfig.riskQuestionnaire.questions.filter(question =>
+    !Array.isArray(question.appliesTo) || question.appliesTo.length === 0 || question.appliesTo.includes(changeType));
+}
+
+/**
+ * Find the option a stored answer refers to
+ * @param {Object} question - Questionnaire question
+ * @param {*} value - Stored answer value
+ * @returns {Object|undefined} - Matching option
+ */
+function findRiskOption(question, value) {
+  if (value === undefined || value === null || value === 0 || value === '') return undefined;
+  return question.options.find(option => String(option.value) === String(value));
+}
+
+/**
+ * Create an empty risk assessment for the configured questionnaire
+ * @returns {Object} - Risk assessment with every answer unset
+ */
+function createEmptyRiskAssessment() {
+  const riskAssessment = {};
+  appConfig.riskQuestionnaire.questions.forEach(question => {
+    riskAssessment[getRiskAnswerKey(question)] = 0;
+  });
+  riskAssessment.totalScore = 0;
+  riskAssessment.computedLevel = '';
+  riskAssessment.criticalReasons = [];
+  riskAssessment.overrideLevel = '';
+  riskAssessment.overrideJustification = '';
+  riskAssessment.riskLevel = '';
+  return riskAssessment;
+}
+
+/**
+ * Get the weight of a question, defaulting to 1
+ * @param {Object} question - Questionnaire question
+ * @returns {number} - Question weight
+ */
+function getRiskQuestionWeight(question) {
+  return typeof question.weight === 'number' && question.weight >= 0 ? question.weight : 1;
+}
+
+/**
+ * Score risk answers with the configured questionnaire
+ * @param {Object} riskAssessment - Risk assessment holding the answers
+ * @param {string} changeType - Change type
+ * @returns {Object} - { unanswered, totalScore, computedLevel, criticalReasons }
+ */
+function computeRiskAssessment(riskAssessment, changeType) {
+  const questionnaire = appConfig.riskQuestionnaire;
+  const questions = getApplicableRiskQuestions(changeType);
+  const answerOf = question => findRiskOption(question, riskAssessment[getRiskAnswerKey(question)]);
+  
+  const unanswered = questions.filter(question => !answerOf(question));
+  if (unanswered.length > 0) {
+    return { unanswered, totalScore: 0, computedLevel: '', criticalReasons: [] };
+  }
+  
+  // Calculate the weighted risk score
+  const rawTotal = questions.reduce((sum, question) =>
+    sum + answerOf(question).score * getRiskQuestionWeight(question), 0);
+  const totalScore = Math.round(rawTotal * 10) / 10;
+  
+  // Thresholds are set for the full questionnaire, so scale them to the
+  // highest score reachable with the questions that apply to this change type
+  const maxScore = question => Math.max(...question.options.map(option => option.score)) * getRiskQuestionWeight(question);
+  const fullMaxScore = questionnaire.questions.reduce((sum, question) => sum + maxScore(question), 0);
+  const applicableMaxScore = questions.reduce((sum, question) => sum + maxScore(question), 0);
+  const scale = fullMaxScore > 0 ? applicableMaxScore / fullMaxScore : 1;
+  
+  let computedLevel;
+  if (totalScore <= questionnaire.thresholds.low * scale) {
+    computedLevel = 'Low';
+  } else if (totalScore <= questionnaire.thresholds.medium * scale) {
+    computedLevel = 'Medium';
+  } else {
+    computedLevel = 'High';
+  }
+  
+  // Critical answers force High regardless of the total
+  const criticalReasons = [];
+  questions.forEach(question => {
+    const option = answerOf(question);
+    if (option.critical) {
+      criticalReasons.push(`${question.text} ${option.label}`);
+    }
+  });
+  questionnaire.criticalRules.forEach(rule => {
+    const matches = Object.keys(rule.answers).every(questionId => {
+      const question = questions.find(item => item.id === questionId);
+      const option = question && answerOf(question);
+      return option && rule.answers[questionId].map(String).includes(String(option.value));
+    });
+    if (matches) {
+      criticalReasons.push(rule.name);
+    }
+  });
+  if (criticalReasons.length > 0) {
+    computedLevel = 'High';
+  }
+  
+  return { unanswered: [], totalScore, computedLevel, criticalReasons };
+}
+
+/**
+ * Render the Risk Assessment tab questions for the current change type
+ */
+function renderRiskQuestionnaire() {
+  const container = document.getElementById('risk-questions');
+  if (!container) return;
+  
+  const riskAssessment = changeRequestData.riskAssessment || {};
+  container.innerHTML = '';
+  
+  getApplicableRiskQuestions(changeRequestData.changeType).forEach(question => {
+    const answer = riskAssessment[getRiskAnswerKey(question)];
+    
+    const questionCard = document.createElement('div');
+    questionCard.className = 'risk-question card mb-4 p-3';
+    questionCard.innerHTML = html`
+      <label class="fw-bold mb-2">${question.text}</label>
+      ${question.help ? html`<div class="small text-secondary mb-2">${question.help}</div>` : ''}
+      <div class="risk-options">
+        ${question.options.map((option, index) => html`
+          <div class="form-check">
+            <input class="form-check-input" type="radio" name="${question.id}" id="${question.id}-${index}" value="${option.value}"${findRiskOption(question, answer) === option ? ' checked' : ''}>
+            <label class="form-check-label" for="${question.id}-${index}">
+              ${option.label}
+            </label>
+            ${option.help ? html`<div class="small text-secondary">${option.help}</div>` : ''}
+          </div>
+        `)}
+      </div>
+      ${question.id === AFFECTED_USERS_QUESTION_ID ? html`<div id="affected-users-estimate"></div>` : ''}
+    `;
+    container.appendChild(questionCard);
+  });
+  
+  renderAffectedUsersEstimate();
+}
+
+/**
+ * Describe one source of an affected-user estimate
+ * @param {Object} source - { kind, name, count, atLeast }
+ * @returns {string} - Reason shown with the estimate
+ */
+function describeAffectedUserSource(source) {
+  const count = `${source.atLeast ? 'at least ' : ''}${source.count}`;
+  switch (source.kind) {
+    case 'users':
+      return `${count} ${source.count === 1 ? 'person uses' : 'people use'} the impacted assets`;
+    case 'department':
+      return `${source.name} department: ${count} people`;
+    case 'location':
+      return `${source.name} location: ${count} people`;
+    default:
+      return `${source.name} service: ${count} subscribers`;
+  }
+}
+
+/**
+ * Build a key for the impacted items an affected-user estimate was made for
+ * @param {Array} items - Selected assets and services
+ * @returns {string} - Estimate signature
+ */
+function getAffectedUsersSignature(items) {
+  return items.map(item => `${item.type}:${getItemDisplayId(item)}`).sort().join(',');
+}
+
+/**
+ * Turn estimate sources into one number. Departments, locations, assigned
+ * users and service subscribers are each added up, and the largest total is
+ * used because the same people are usually counted by more than one of them.
+ * @param {Array} sources - Sources as { kind, name, count, atLeast }
+ * @returns {Object} - { users, atLeast }
+ */
+function combineAffectedUserSources(sources) {
+  const totals = {};
+  sources.forEach(source => {
+    const total = totals[source.kind] || (totals[source.kind] = { users: 0, atLeast: false });
+    total.users += source.count;
+    total.atLeast = total.atLeast || source.atLeast;
+  });
+  
+  return Object.values(totals).reduce((largest, total) => (total.users > largest.users ? total : largest), { users: 0, atLeast: false });
+}
+
+/**
+ * Estimate the affected users from the impacted assets and services, and
+ * pre-select the matching answer when the question is still unanswered
+ */
+async function estimateAffectedUsers() {
+  const items = changeRequestData.selectedAssets;
+  const signature = getAffectedUsersSignature(items);
+  const current = changeRequestData.affectedUsersEstimate;
+  
+  if (items.length === 0) {
+    if (current) {
+      changeRequestData.affectedUsersEstimate = null;
+      renderAffectedUsersEstimate();
+      saveCurrentData();
+    }
+    return;
+  }
+  if (current && current.signature === signature) return;
+  
+  affectedUsersEstimateLoading = true;
+  renderAffectedUsersEstimate();
+  
+  try {
+    const idsOf = key => [...new Set(items.map(item => item[key]).filter(Boolean))];
+    const uncounted = kind => idsOf(`${kind}_id`).filter(id => !headcountCache.has(`${kind}:${id}`));
+    const departmentIds = uncounted('department');
+    const locationIds = uncounted('location');
+    
+    let skipped = 0;
+    if (departmentIds.length > 0 || locationIds.length > 0) {
+      const result = await invokeServer('estimateAffectedUsers', { department_ids: departmentIds, location_ids: locationIds });
+      (result.sources || []).forEach(source => headcountCache.set(`${source.kind}:${source.id}`, source));
+      skipped = result.skipped || 0;
+    }
+    
+    // The selection changed while this estimate was made; the next one replaces it
+    if (getAffectedUsersSignature(changeRequestData.selectedAssets) !== signature) return;
+    
+    const userIds = idsOf('user_id');
+    const userSources = userIds.length > 0
+      ? [{ kind: 'users', name: 'Assigned users', count: userIds.length, atLeast: false }]
+      : [];
+    const headcountSources = [
+      ...idsOf('department_id').map(id => headcountCache.get(`department:${id}`)),
+      ...idsOf('location_id').map(id => headcountCache.get(`location:${id}`))
+    ].filter(Boolean);
+    
+    // Subscriber counts come with the service itself where Freshservice has them
+    const subscriberSources = items
+      .filter(item => item.type === 'service' && (Array.isArray(item.subscribers) || item.subscriber_count > 0))
+      .map(item => ({
+        kind: 'subscribers',
+        name: item.name || 'Unnamed',
+        count: Array.isArray(item.subscribers) ? item.subscribers.length : item.subscriber_count,
+        atLeast: false
+      }));
+    const sources = [...userSources, ...headcountSources, ...subscriberSources];
+    const combined = combineAffectedUserSources(sources);
+    const users = combined.users;
+    // Departments and locations left uncounted can only add people
+    const atLeast = combined.atLeast || skipped > 0;
+    const band = AFFECTED_USER_BANDS.find(candidate => users <= candidate.max);
+    
+    changeRequestData.affectedUsersEstimate = {
+      signature,
+      users,
+      atLeast,
+      sources,
+      suggestedValue: sources.length > 0 ? band.value : null,
+      estimatedAt: new Date().toISOString()
+    };
+    
+    const question = getApplicableRiskQuestions(changeRequestData.changeType)
+      .find(item => item.id === AFFECTED_USERS_QUESTION_ID);
+    const answerKey = question && getRiskAnswerKey(question);
+    if (question && !findRiskOption(question, changeRequestData.riskAssessment[answerKey]) &&
+        findRiskOption(question, changeRequestData.affectedUsersEstimate.suggestedValue)) {
+      changeRequestData.riskAssessment[answerKey] = changeRequestData.affectedUsersEstimate.suggestedValue;
+      renderRiskQuestionnaire();
+    }
+    
+    saveCurrentData();
+  } catch (error) {
+    console.error('Error estimating the affected users:', error);
+    showNotification('warning', getApiErrorMessage(error, 'The affected users could not be estimated'));
+  } finally {
+    affectedUsersEstimateLoading = false;
+    renderAffectedUsersEstimate();
+  }
+}
+
+/**
+ * Compare the affected-users answer with the estimate
+ * @param {Object} data - Change request data
+ * @returns {Object|null} - { estimate, suggested, answered }, or null when there is no suggestion
+ */
+function getAffectedUsersSuggestion(data) {
+  const estimate = data.affectedUsersEstimate;
+  const question = getApplicableRiskQuestions(data.changeType).find(item => item.id === AFFECTED_USERS_QUESTION_ID);
+  const suggested = estimate && question && findRiskOption(question, estimate.suggestedValue);
+  if (!suggested) return null;
+  
+  return { estimate, suggested, answered: findRiskOption(question, (data.riskAssessment || {})[getRiskAnswerKey(question)]) || null };
+}
+
+/**
+ * Describe the affected-user estimate and any answer that overrides it
+ * @param {Object} data - Change request data
+ * @returns {string} - Description, or an empty string when there is no suggestion
+ */
+function describeAffectedUsersSuggestion(data) {
+  const suggestion = getAffectedUsersSuggestion(data);
+  if (!suggestion) return '';
+  
+  const { estimate, suggested, answered } = suggestion;
+  const text = `${estimate.atLeast ? 'At least' : 'About'} ${estimate.users} users from the impacted assets, suggesting "${suggested.label}".`;
+  return answered && answered !== suggested ? `${text} Overridden with "${answered.label}".` : text;
+}
+
+/**
+ * Show the affected-user estimate and its reasoning below the affected-users question
+ */
+function renderAffectedUsersEstimate() {
+  const container = document.getElementById('affected-users-estimate');
+  if (!container) return;
+  
+  const estimate = changeRequestData.affectedUsersEstimate;
+  const suggestion = getAffectedUsersSuggestion(changeRequestData);
+  
+  if (affectedUsersEstimateLoading) {
+    container.innerHTML = '<div class="small text-secondary mt-2"><span class="spinner-border spinner-border-sm me-1" role="status"></span> Estimating the affected users from the impacted assets...</div>';
+  } else if (!estimate) {
+    container.innerHTML = '<div class="small text-secondary mt-2">Add impacted assets to get an estimate of the affected users from Freshservice.</div>';
+  } else if (!suggestion) {
+    container.innerHTML = '<div class="small text-secondary mt-2">Freshservice has no users, departments, locations or subscribers for the impacted assets, so the affected users cannot be estimated.</div>';
+  } else {
+    const overridden = suggestion.answered && suggestion.answered !== suggestion.suggested;
+    container.innerHTML = html`
+      <div class="alert alert-info small mt-2 mb-0">
+        <strong>Estimated affected users: ${estimate.atLeast ? 'at least' : 'about'} ${estimate.users}</strong>, suggesting "${suggestion.suggested.label}"
+        <ul class="mb-1">${estimate.sources.map(source => html`<li>${describeAffectedUserSource(source)}</li>`)}</ul>
+        <div class="text-secondary">Each kind of source is added up and the largest total is used.</div>
+        ${overridden ? html`
+        <div class="d-flex justify-content-between align-items-center mt-2">
+          <span>Your answer differs from the estimate and is recorded as an override.</span>
+          <button type="button" class="btn btn-sm btn-outline-primary" data-action="use-affected-users-estimate">Use Suggestion</button>
+        </div>
+        ` : ''}
+      </div>
+    `;
+  }
+}
+
+/**
+ * Answer the affected-users question with the suggested option
+ */
+function useAffectedUsersSuggestion() {
+  const suggestion = getAffectedUsersSuggestion(changeRequestData);
+  if (!suggestion) return;
+  
+  const question = getApplicableRiskQuestions(changeRequestData.changeType).find(item => item.id === AFFECTED_USERS_QUESTION_ID);
+  changeRequestData.riskAssessment[getRiskAnswerKey(question)] = suggestion.suggested.value;
+  renderRiskQuestionnaire();
+  
+  // Keep a calculated result in step with the new answer
+  if (changeRequestData.riskAssessment.totalScore) {
+    calculateRisk();
+  } else {
+    saveCurrentData();
+  }
+}
+
+/**
+ * Show a calculated risk result in the Risk Assessment tab
+ * @param {Object} riskAssessment - Risk assessment with the computed and effective levels
+ */
+function showRiskResult(riskAssessment) {
+  const computedLevel = riskAssessment.computedLevel || riskAssessment.riskLevel;
+  
+  document.getElementById('risk-score-value').textContent = riskAssessment.totalScore;
+  
+  const computedLevelElement = document.getElementById('risk-computed-value');
+  computedLevelElement.textContent = computedLevel;
+  computedLevelElement.className = `badge ${getRiskBadgeClass(computedLevel)}`;
+  
+  const criticalReasons = riskAssessment.criticalReasons || [];
+  const criticalElement = document.getElementById('risk-critical-reasons');
+  criticalElement.classList.toggle('hidden', criticalReasons.length === 0);
+  criticalElement.innerHTML = criticalReasons.length > 0
+    ? html`<strong>Rated High because:</strong><ul class="mb-0">${criticalReasons.map(reason => html`<li>${reason}</li>`)}</ul>`
+    : '';
+  
+  const riskLevelElement = document.getElementById('risk-level-value');
+  riskLevelElement.textContent = riskAssessment.riskLevel;
+  riskLevelElement.className = `badge ${getRiskBadgeClass(riskAssessment.riskLevel)}`;
+  document.getElementById('risk-overridden-label').classList.toggle('hidden', !riskAssessment.overrideLevel);
+  
+  document.getElementById('risk-override-level').value = riskAssessment.overrideLevel || '';
+  
+  // Don't reset the justification while the agent is still typing it
+  const justificationInput = document.getElementById('risk-override-justification');
+  if (document.activeElement !== justificationInput) {
+    justificationInput.value = riskAssessment.overrideJustification || '';
+  }
+  document.getElementById('risk-override-justification-group').classList.toggle('hidden', !riskAssessment.overrideLevel);
+  
+  document.getElementById('risk-explanation').textContent = appConfig.riskQuestionnaire.explanations[riskAssessment.riskLevel] || '';
+  renderRiskConsistency('risk-consistency');
+  document.getElementById('risk-result').classList.remove('hidden');
+}
+
+/**
+ * Apply an agent's override of the computed risk level
+ */
+function updateRiskOverride() {
+  const riskAssessment = changeRequestData.riskAssessment;
+  riskAssessment.overrideLevel = document.getElementById('risk-override-level').value;
+  riskAssessment.overrideJustification = document.getElementById('risk-override-justification').value;
+  
+  // An override matching the computed level is no override at all
+  if (riskAssessment.overrideLevel === riskAssessment.computedLevel) {
+    riskAssessment.overrideLevel = '';
+  }
+  if (!riskAssessment.overrideLevel) {
+    riskAssessment.overrideJustification = '';
+  }
+  
+  riskAssessment.riskLevel = riskAssessment.overrideLevel || riskAssessment.computedLevel;
+  showRiskResult(riskAssessment);
+  
+  // Save to data storage
+  saveCurrentData();
+}
+
+function switchTab(tabId) {
+  console.log(`Switching to tab: ${tabId}`);
+  try {
+    // Get the tab button that corresponds to this tabId
+    const tabSelector = `#changeTabs button[data-bs-target="#${tabId}"]`;
+    const tabElement = document.querySelector(tabSelector);
+    
+    if (tabElement) {
+      // Hide all panels
+      document.querySelectorAll('.tab-pane').forEach(pane => {
+        pane.classList.remove('show', 'active');
+      });
+      
+      // Hide all active tab buttons
+      document.querySelectorAll('#changeTabs button').forEach(btn => {
+        btn.classList.remove('active');
+        btn.setAttribute('aria-selected', 'false');
+      });
+      
+      // Show the target panel
+      const targetPane = document.getElementById(tabId);
+      if (targetPane) {
+        targetPane.classList.add('show', 'active');
+        console.log(`Activated tab pane: ${tabId}`);
+      }
+      
+      // Show the active tab button
+      tabElement.classList.add('active');
+      tabElement.setAttribute('aria-selected', 'true');
+      console.log(`Activated tab button for: ${tabId}`);
+      
+      // Save current tab in storage (if client is available)
+      try {
+        if (window.client && typeof window.client.db === 'object' && typeof window.client.db.set === 'function') {
+          saveCurrentData().catch(err => console.error('Error saving tab state:', err));
+        }
+      } catch (saveErr) {
+        console.error('Error saving tab state:', saveErr);
+      }
+    } else {
+      console.error(`Tab element not found for: ${tabId}`);
+    }
+  } catch (tabErr) {
+    console.error('Error switching tab:', tabErr);
+  }
+}
+
+/**
+ * Call a server method and return its response data
+ * @param {string} method - Name of the server method in server/server.js
+ * @param {Object} args - Arguments for the server method
+ * @returns {Promise<Object>} - Normalized response data
+ */
+async function invokeServer(method, args = {}) {
+  if (!window.client || !window.client.request) {
+    throw new Error('API client not initialized. Please refresh the page.');
+  }
+
+  const data = await window.client.request.invoke(method, args);
+  return (data && data.response) || {};
+}
+
+/**
+ * Search for requesters using Freshservice API
+ */
+function searchRequesters(e) {
+  const searchTerm = e.target.value.trim();
+  if (searchTerm.length < 2) return;
+
+  // Show loading indicator
+  const resultsContainer = document.getElementById('requester-results');
+  resultsContainer.innerHTML = '<div class="text-center p-3"><div class="spinner-border spinner-border-sm" role="status"></div> Loading...</div>';
+  resultsContainer.style.display = 'block';
+  
+  invokeServer('searchPeople', { type: 'requester', term: searchTerm })
+    .then(function(data) {
+      const requesters = data.results || [];
+      console.log(`Requester search returned ${requesters.length} results`);
+      displaySearchResults('requester-results', requesters, selectRequester);
+    })
+    .catch(function(error) {
+      console.error('Requester search failed:', error);
+      displaySearchResults('requester-results', [], selectRequester);
+      handleErr(getApiErrorMessage(error, 'Requester search failed'));
+    });
+}
+
+/**
+ * Search for agents using Freshservice API
+ */
+function searchAgents(e) {
+  const searchTerm = e.target.value.trim();
+  if (searchTerm.length < 2) return;
+
+  // Show loading indicator
+  const resultsContainer = document.getElementById('agent-results');
+  resultsContainer.innerHTML = '<div class="text-center p-3"><div class="spinner-border spinner-border-sm" role="status"></div> Loading...</div>';
+  resultsContainer.style.display = 'block';
+  
+  invokeServer('searchPeople', { type: 'agent', term: searchTerm })
+    .then(function(data) {
+      const agents = data.results || [];
+      console.log(`Agent search returned ${agents.length} results`);
+      displaySearchResults('agent-results', agents, selectAgent);
+    })
+    .catch(function(error) {
+      console.error('Agent search failed:', error);
+      displaySearchResults('agent-results', [], selectAgent);
+      handleErr(getApiErrorMessage(error, 'Agent search failed'));
+    });
+}
+
+/**
+ * Get location name by ID
+ * @param {number} locationId - Location ID 
+ * @returns {Promise<string>} - Location name
+ */
+async function getLocationName(locationId) {
+  if (!locationId) return 'N/A';
+  
+  try {
+    const data = await invokeServer('getLocation', { location_id: locationId });
+    return (data.location && data.location.name) || 'Unknown';
+  } catch (error) {
+    console.error('Error fetching location:', error);
+    return 'Unknown';
+  }
+}
+
+/**
+ * Get reporting manager name by ID
+ * @param {number} managerId - Manager ID 
+ * @returns {Promise<string>} - Manager name
+ */
+async function getManagerName(managerId) {
+  if (!managerId) return 'N/A';
+  
+  try {
+    const data = await invokeServer('getRequester', { requester_id: managerId });
+    const manager = data.requester;
+    if (!manager) return 'Unknown';
+    return `${manager.first_name || ''} ${manager.last_name || ''}`.trim() || 'Unknown';
+  } catch (error) {
+    console.error('Error fetching manager:', error);
+    return 'Unknown';
+  }
+}
+
+/**
+ * Display search results with enhanced information
+ */
+function displaySearchResults(containerId, results, selectionCallback) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+  container.style.display = results.length ? 'block' : 'none';
+  
+  if (results.length === 0) {
+    container.innerHTML = '<div class="list-group-item search-result-item no-results">No results found</div>';
+    container.style.display = 'block';
+    return;
+  }
+  
+  results.forEach(result => {
+    const resultItem = document.createElement('div');
+    resultItem.className = 'list-group-item search-result-item d-flex flex-column';
+    
+    // Basic information
+    const email = result.email || result.primary_email || '';
+    
+    // Create a container for name and badges
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'd-flex justify-content-between align-items-center w-100';
+    
+    // Name with proper styling
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'fw-bold';
+    nameDiv.textContent = `${result.first_name} ${result.last_name}`;
+    headerDiv.appendChild(nameDiv);
+    
+    // Role/type badge
+    const roleDiv = document.createElement('div');
+    const type = containerId.includes('agent') ? 'Agent' : 'Requester';
+    roleDiv.innerHTML = html`<span class="badge ${type === 'Agent' ? 'bg-info' : 'bg-primary'}">${type}</span>`;
+    headerDiv.appendChild(roleDiv);
+    
+    resultItem.appendChild(headerDiv);
+    
+    // Email
+    const emailDiv = document.createElement('div');
+    emailDiv.className = 'text-secondary small';
+    emailDiv.innerHTML = html`<i class="fas fa-envelope me-1"></i>${email}`;
+    resultItem.appendChild(emailDiv);
+    
+    // Details container for additional info
+    const detailsContainer = document.createElement('div');
+    detailsContainer.className = 'mt-2 d-flex flex-wrap gap-2';
+    
+    // Add job title badge if available
+    if (result.job_title) {
+      const jobTitleBadge = document.createElement('span');
+      jobTitleBadge.className = 'badge bg-light text-dark border';
+      jobTitleBadge.innerHTML = html`<i class="fas fa-briefcase me-1"></i>${result.job_title}`;
+      detailsContainer.appendChild(jobTitleBadge);
+    }
+    
+    // Add department badge if available
+    if (result.department_names && result.department_names.length > 0) {
+      const deptBadge = document.createElement('span');
+      deptBadge.className = 'badge bg-light text-dark border';
+      deptBadge.innerHTML = html`<i class="fas fa-building me-1"></i>${result.department_names[0]}`;
+      detailsContainer.appendChild(deptBadge);
+    }
+    
+    // Add location badge if available
+    if (result.location_name) {
+      const locBadge = document.createElement('span');
+      locBadge.className = 'badge bg-light text-dark border';
+      locBadge.innerHTML = html`<i class="fas fa-map-marker-alt me-1"></i>${result.location_name}`;
+      detailsContainer.appendChild(locBadge);
+    }
+    
+    // Only add details container if we have any badges
+    if (detailsContainer.children.length > 0) {
+      resultItem.appendChild(detailsContainer);
+    }
+    
+    // Add hover effect and clickable styling
+    resultItem.classList.add('search-item-hover');
+    
+    // Store the full result object for selection
+    resultItem.addEventListener('click', () => {
+      // Add location and manager info when selected
+      if (result.location_id || result.reporting_manager_id) {
+        enhanceContactInfo(result)
+          .then(enhancedResult => selectionCallback(enhancedResult))
+          .catch(err => {
+            console.error('Error enhancing contact info:', err);
+            selectionCallback(result);
+          });
+      } else {
+        selectionCallback(result);
+      }
+    });
+    
+    container.appendChild(resultItem);
+  });
+}
+
+/**
+ * Enhance contact information with location name and manager name
+ */
+async function enhanceContactInfo(contact) {
+  try {
+    // Make a copy to avoid modifying the original
+    const enhancedContact = { ...contact };
+    
+    // Add location name if location ID exists
+    if (contact.location_id) {
+      enhancedContact.location_name = await getLocationName(contact.location_id);
+    }
+    
+    // Add manager name if manager ID exists
+    if (contact.reporting_manager_id) {
+      enhancedContact.manager_name = await getManagerName(contact.reporting_manager_id);
+    }
+    
+    return enhancedContact;
+  } catch (error) {
+    console.error('Error enhancing contact info:', error);
+    return contact;
+  }
+}
+
+function selectRequester(requester) {
+  changeRequestData.requester = requester;
+  const selectedContainer = document.getElementById('selected-requester');
+  
+  // Create detailed requester info display with improved styling
+  let requesterInfo = html`
+    <div class="d-flex justify-content-between align-items-center mb-2">
+      <div>
+        <div class="fw-bold">${requester.first_name} ${requester.last_name}</div>
+        <div class="text-secondary small"><i class="fas fa-envelope me-1"></i>${requester.email || requester.primary_email}</div>
+      </div>
+      <div>
+        <span class="badge bg-primary me-2">Requester</span>
+        <button class="btn btn-sm btn-outline-secondary clear-requester" type="button"><i class="fas fa-times"></i></button>
+      </div>
+    </div>
+  `;
+  
+  // Add badges for additional details in a flex container
+  const detailsList = [];
+  
+  if (requester.job_title) {
+    detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-briefcase me-1"></i>${requester.job_title}</span>`);
+  }
+  
+  if (requester.location_name) {
+    detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-map-marker-alt me-1"></i>${requester.location_name}</span>`);
+  }
+  
+  if (requester.manager_name) {
+    detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-user-tie me-1"></i>${requester.manager_name}</span>`);
+  }
+  
+  if (requester.department_names && requester.department_names.length > 0) {
+    detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-building me-1"></i>${requester.department_names[0]}</span>`);
+  }
+  
+  if (detailsList.length > 0) {
+    requesterInfo = html`${requesterInfo}<div class="d-flex flex-wrap gap-2 mt-1">${detailsList}</div>`;
+  }
+  
+  selectedContainer.innerHTML = requesterInfo;
+  selectedContainer.style.display = 'block';
+  selectedContainer.classList.add('p-2', 'border', 'rounded', 'bg-light');
+  
+  // Add event listener to the clear button
+  document.querySelector('.clear-requester').addEventListener('click', clearRequester);
+  
+  document.getElementById('requester-results').style.display = 'none';
+  document.getElementById('requester-search').value = '';
+  
+  // Save to data storage
+  saveCurrentData();
+}
+
+function selectAgent(agent) {
+  changeRequestData.agent = agent;
+  const selectedContainer = document.getElementById('selected-agent');
+  
+  // Create detailed agent info display with improved styling
+  let agentInfo = html`
+    <div class="d-flex justify-content-between align-items-center mb-2">
+      <div>
+        <div class="fw-bold">${agent.first_name} ${agent.last_name}</div>
+        <div class="text-secondary small"><i class="fas fa-envelope me-1"></i>${agent.email}</div>
+      </div>
+      <div>
+        <span class="badge bg-info me-2">Agent</span>
+        <button class="btn btn-sm btn-outline-secondary clear-agent" type="button"><i class="fas fa-times"></i></button>
+      </div>
+    </div>
+  `;
+  
+  // Add badges for additional details in a flex container
+  const detailsList = [];
+  
+  if (agent.job_title) {
+    detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-briefcase me-1"></i>${agent.job_title}</span>`);
+  }
+  
+  if (agent.location_name) {
+    detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-map-marker-alt me-1"></i>${agent.location_name}</span>`);
+  }
+  
+  if (agent.manager_name) {
+    detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-user-tie me-1"></i>${agent.manager_name}</span>`);
+  }
+  
+  if (agent.department_names && agent.department_names.length > 0) {
+    detailsList.push(html`<span class="badge bg-light text-dark border"><i class="fas fa-building me-1"></i>${agent.department_names[0]}</span>`);
+  }
+  
+  if (detailsList.length > 0) {
+    agentInfo = html`${agentInfo}<div class="d-flex flex-wrap gap-2 mt-1">${detailsList}</div>`;
+  }
+  
+  selectedContainer.innerHTML = agentInfo;
+  selectedContainer.style.display = 'block';
+  selectedContainer.classList.add('p-2', 'border', 'rounded', 'bg-light');
+  
+  // Add event listener to the clear button
+  document.querySelector('.clear-agent').addEventListener('click', clearAgent);
+  
+  document.getElementById('agent-results').style.display = 'none';
+  document.getElementById('agent-search').value = '';
+  
+  // Save to data storage
+  saveCurrentData();
+}
+
+// Function to clear the selected requester
+function clearRequester() {
+  // Clear the data
+  changeRequestData.requester = null;
+  
+  // Clear the UI
+  const selectedContainer = document.getElementById('selected-requester');
+  selectedContainer.innerHTML = '';
+  selectedContainer.style.display = 'none';
+  selectedContainer.classList.remove('p-2', 'border', 'rounded', 'bg-light');
+  
+  // Save to data storage
+  saveCurrentData();
+}
+
+// Function to clear the selected agent
+function clearAgent() {
+  // Clear the data
+  changeRequestData.agent = null;
+  
+  // Clear the UI
+  const selectedContainer = document.getElementById('selected-agent');
+  selectedContainer.innerHTML = '';
+  selectedContainer.style.display = 'none';
+  selectedContainer.classList.remove('p-2', 'border', 'rounded', 'bg-light');
+  
+  // Save to data storage
+  saveCurrentData();
+}
+
+function updateChangeType(e) {
+  const changeType = e.target.value;
+  const previousQuestions = getApplicableRiskQuestions(changeRequestData.changeType);
+  changeRequestData.changeType = changeType;
+  changeRequestData.leadTime = leadTimeText[changeType];
+  
+  document.getElementById('lead-time').textContent = leadTimeText[changeType];
+  updateLeadTimeFeedback();
+  updateFreezeFeedback();
+  updatePlanLintFeedback();
+  
+  // A different set of risk questions makes the calculated risk stale
+  const currentQuestions = getApplicableRiskQuestions(changeType);
+  const questionsChanged = previousQuestions.length !== currentQuestions.length ||
+    previousQuestions.some(question => !currentQuestions.includes(question));
+  if (questionsChanged) {
+    changeRequestData.riskAssessment.totalScore = 0;
+    changeRequestData.riskAssessment.computedLevel = '';
+    changeRequestData.riskAssessment.criticalReasons = [];
+    changeRequestData.riskAssessment.riskLevel = '';
+    document.getElementById('risk-result').classList.add('hidden');
+  }
+  renderRiskQuestionnaire();
+  
+  // Save to data storage
+  saveCurrentData();
+}
+
+/**
+ * Get the local YYYY-MM-DD date of a Date
+ * @param {Date} date - Date
+ * @returns {string} - Date key used in the holiday list
+ */
+function toDateKey(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isBusinessDay(date) {
+  const day = date.getDay();
+  return day !== 0 && day !== 6 && !appConfig.holidays[toDateKey(date)];
+}
+
+/**
+ * Add business days to a date, skipping weekends and configured holidays
+ * @param {Date} from - Start date
+ * @param {number} days - Business days to add
+ * @returns {Date} - Date the given number of business days later, same time of day
+ */
+function addBusinessDays(from, days) {
+  const result = new Date(from.getTime());
+  let added = 0;
+  
+  while (added < days) {
+    result.setDate(result.getDate() + 1);
+    if (isBusinessDay(result)) {
+      added++;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Count the business days between two dates
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} - Whole business days after from up to and including to
+ */
+function countBusinessDays(from, to) {
+  const current = new Date(from.getTime());
+  let count = 0;
+  
+  // Each counted day has to be reached by the same time of day as from
+  current.setDate(current.getDate() + 1);
+  while (current <= to) {
+    if (isBusinessDay(current)) {
+      count++;
+    }
+    current.setDate(current.getDate() + 1);
+  }
+  
+  return count;
+}
+
+/**
+ * Check the planned start against the lead time of the change type
+ * @param {Object} data - Change request data
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { message, earliestStart } when the start is too early
+ */
+function checkLeadTime(data, now = new Date()) {
+  const requiredDays = leadTimeDays[data.changeType] || 0;
+  if (requiredDays === 0 || !data.plannedStart) return null;
+  
+  const plannedStart = new Date(data.plannedStart);
+  if (countBusinessDays(now, plannedStart) >= requiredDays) return null;
+  
+  const earliestStart = addBusinessDays(now, requiredDays);
+  const typeLabel = changeTypeLabels[data.changeType] || data.changeType;
+  return {
+    earliestStart,
+    message: `${typeLabel}s need ${requiredDays} business days of lead time. ` +
+      `The earliest allowed start is ${earliestStart.toLocaleString()}. ` +
+      'If this change cannot wait and meets the emergency criteria, switch the change type to Emergency Change.'
+  };
+}
+
+/**
+ * Find the freeze windows that overlap the planned window and apply to the change type
+ * @param {Object} data - Change request data
+ * @returns {Array} - Conflicting freeze windows
+ */
+function findFreezeConflicts(data) {
+  if (!data.plannedStart || !data.plannedEnd) return [];
+  
+  const plannedStart = new Date(data.plannedStart);
+  const plannedEnd = new Date(data.plannedEnd);
+  
+  return appConfig.freezeWindows.filter(freeze => {
+    if (freeze.appliesTo && !freeze.appliesTo.includes(data.changeType)) return false;
+    if (freeze.exempt.includes(data.changeType)) return false;
+    return plannedStart <= freeze.end && plannedEnd >= freeze.start;
+  });
+}
+
+/**
+ * Describe a freeze window conflict for messages
+ * @param {Object} freeze - Freeze window
+ * @returns {string} - Name and date range of the freeze
+ */
+function describeFreezeWindow(freeze) {
+  return `${freeze.name} (${freeze.start.toLocaleString()} - ${freeze.end.toLocaleString()})`;
+}
+
+/**
+ * Show the freeze windows the planned window falls into on the Change Details tab
+ */
+function updateFreezeFeedback() {
+  const container = document.getElementById('freeze-conflicts');
+  if (!container) return;
+  
+  const conflicts = findFreezeConflicts(changeRequestData);
+  if (conflicts.length === 0) {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    return;
+  }
+  
+  container.innerHTML = html`${conflicts.map(freeze => {
+    const blocking = freeze.enforcement === RULE_ENFORCEMENT.BLOCK;
+    return html`
+      <div class="alert ${blocking ? 'alert-danger' : 'alert-warning'} small mb-2">
+        <strong>${blocking ? 'Change freeze' : 'Freeze warning'}:</strong> The planned window overlaps ${describeFreezeWindow(freeze)}.
+        ${blocking ? 'Move the window outside the freeze.' : 'Changes are discouraged during this period.'}
+      </div>
+    `;
+  })}`;
+  container.classList.remove('hidden');
+}
+
+/**
+ * Show the earliest allowed start and any lead time violation below the dates
+ */
+function updateLeadTimeFeedback() {
+  const earliestElement = document.getElementById('lead-time-earliest');
+  const feedbackElement = document.getElementById('lead-time-feedback');
+  const startInput = document.getElementById('planned-start');
+  if (!earliestElement || !feedbackElement) return;
+  
+  const requiredDays = leadTimeDays[changeRequestData.changeType] || 0;
+  earliestElement.textContent = requiredDays > 0
+    ? `Earliest allowed start: ${addBusinessDays(new Date(), requiredDays).toLocaleString()}`
+    : '';
+  
+  const violation = checkLeadTime(changeRequestData);
+  feedbackElement.textContent = violation ? violation.message : '';
+  feedbackElement.classList.toggle('hidden', !violation);
+  startInput.classList.toggle('is-invalid', Boolean(violation));
+}
+
+/**
+ * Find a word or phrase in text, ignoring case, where it is not part of a longer word
+ * @param {string} text - Text to search
+ * @param {string} phrase - Word or phrase
+ * @returns {boolean} - True when the phrase appears on its own
+ */
+function containsPhrase(text, phrase) {
+  const haystack = text.toLowerCase();
+  const needle = phrase.toLowerCase();
+  const isWordChar = char => Boolean(char) && /[a-z0-9]/i.test(char);
+  
+  for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + 1)) {
+    if (!isWordChar(haystack[index - 1]) && !isWordChar(haystack[index + needle.length])) return true;
+  }
+  return false;
+}
+
+/**
+ * Check the implementation, backout and validation plans against the plan rules
+ * @param {Object} data - Change request data
+ * @returns {Array} - Findings as { plan, rule, message, blocking }
+ */
+function checkPlanRules(data) {
+  const findings = [];
+  
+  appConfig.planRules.forEach(rule => {
+    if (rule.changeTypes && !rule.changeTypes.includes(data.changeType)) return;
+    
+    rule.plans.forEach(plan => {
+      const { key, label } = PLAN_FIELDS[plan];
+      const text = String(data[key] || '').trim();
+      const messages = [];
+      
+      if (rule.minLength && text.length < rule.minLength) {
+        messages.push(`${label} is shorter than ${rule.minLength} characters`);
+      }
+      
+      const missing = rule.keywords.filter(keyword => !containsPhrase(text, keyword));
+      const quote = list => list.map(keyword => `"${keyword}"`).join(', ');
+      if (rule.match === 'any' && missing.length === rule.keywords.length && missing.length > 0) {
+        messages.push(missing.length === 1
+          ? `${label} does not mention ${quote(missing)}`
+          : `${label} does not mention any of ${quote(missing)}`);
+      } else if (rule.match === 'all' && missing.length > 0) {
+        messages.push(`${label} does not mention ${quote(missing)}`);
+      }
+      
+      const placeholder = rule.placeholders.find(phrase => containsPhrase(text, phrase));
+      if (placeholder) {
+        messages.push(`${label} contains the placeholder "${placeholder}"`);
+      }
+      
+      messages.forEach(message => findings.push({
+        plan,
+        rule: rule.name,
+        message,
+        blocking: rule.enforcement === RULE_ENFORCEMENT.BLOCK
+      }));
+    });
+  });
+  
+  return findings;
+}
+
+/**
+ * Show plan rule findings below each plan on the Change Details tab
+ * @param {boolean} includeEmpty - Also report plans that have not been written yet
+ */
+function updatePlanLintFeedback(includeEmpty = false) {
+  const findings = checkPlanRules(changeRequestData);
+  
+  Object.keys(PLAN_FIELDS).forEach(plan => {
+    const container = document.getElementById(`${plan}-plan-lint`);
+    const textarea = document.getElementById(`${plan}-plan`);
+    if (!container || !textarea) return;
+    
+    // Don't flag a plan before the agent has started on it
+    const started = Boolean(String(changeRequestData[PLAN_FIELDS[plan].key] || '').trim());
+    const planFindings = started || includeEmpty ? findings.filter(finding => finding.plan === plan) : [];
+    
+    container.innerHTML = html`${planFindings.map(finding => html`
+      <div class="${finding.blocking ? 'text-danger' : 'text-warning'}">
+        <i class="fas ${finding.blocking ? 'fa-times-circle' : 'fa-exclamation-triangle'} me-1"></i>${finding.message}
+      </div>
+    `)}`;
+    container.classList.toggle('hidden', planFindings.length === 0);
+    textarea.classList.toggle('is-invalid', planFindings.some(finding => finding.blocking));
+  });
+}
+
+/**
+ * Clean up plan steps loaded from a draft, template or import file
+ * @param {*} steps - Stored steps
+ * @returns {Array|null} - Steps, or null when the plan is free text
+ */
+function normalizePlanSteps(steps) {
+  if (!Array.isArray(steps)) return null;
+  
+  return steps.filter(step => step && typeof step === 'object').map(step => ({
+    description: String(step.description || ''),
+    owner: String(step.owner || ''),
+    durationMinutes: Math.max(parseInt(step.durationMinutes, 10) || 0, 0),
+    checkpoint: Boolean(step.checkpoint)
+  }));
+}
+
+/**
+ * Format a number of minutes for display
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} - Duration such as "1 h 30 min"
+ */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest} min`;
+  return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+}
+
+/**
+ * Get the total expected duration of plan steps
+ * @param {Array} steps - Plan steps
+ * @returns {number} - Total duration in minutes
+ */
+function getPlanStepsDuration(steps) {
+  return steps.reduce((sum, step) => sum + (step.durationMinutes || 0), 0);
+}
+
+/**
+ * Write plan steps as a numbered plain text plan, used wherever the plan is handled as text
+ * @param {Array} steps - Plan steps
+ * @returns {string} - Numbered plan
+ */
+function formatPlanStepsText(steps) {
+  return steps.map((step, index) => {
+    const details = [
+      step.owner ? `Owner: ${step.owner}` : '',
+      step.durationMinutes ? formatDuration(step.durationMinutes) : '',
+      step.checkpoint ? 'Go/no-go checkpoint' : ''
+    ].filter(Boolean);
+    return `${index + 1}. ${step.description}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+  }).join('\n');
+}
+
+/**
+ * Check the implementation plan steps and their total duration against the planned window
+ * @param {Object} data - Change request data
+ * @returns {Array} - Error messages
+ */
+function checkPlanSteps(data) {
+  const steps = data.implementationSteps;
+  if (!steps) return [];
+  if (steps.length === 0) return ['Please add at least one implementation step or switch back to free text'];
+  
+  const errors = [];
+  steps.forEach((step, index) => {
+    if (!step.description.trim()) errors.push(`Implementation step ${index + 1} has no description`);
+    if (!step.durationMinutes) errors.push(`Implementation step ${index + 1} has no expected duration`);
+  });
+  
+  if (data.plannedStart && data.plannedEnd) {
+    const windowMinutes = Math.round((new Date(data.plannedEnd) - new Date(data.plannedStart)) / 60000);
+    const totalMinutes = getPlanStepsDuration(steps);
+    if (windowMinutes > 0 && totalMinutes > windowMinutes) {
+      errors.push(`The implementation steps take ${formatDuration(totalMinutes)}, longer than the ${formatDuration(windowMinutes)} planned window`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Switch the implementation plan between free text and the step editor
+ * @param {boolean} useSteps - Whether to use the step editor
+ */
+function setPlanStepMode(useSteps) {
+  if (useSteps) {
+    // Each line of an existing free text plan becomes a step
+    const lines = changeRequestData.implementationPlan
+      .split(/\r?\n/)
+      .map(line => line.replace(/^\s*(\d+[.)]|[-*])\s*/, '').trim())
+      .filter(Boolean);
+    changeRequestData.implementationSteps = (lines.length > 0 ? lines : ['']).map(description => ({
+      description,
+      owner: '',
+      durationMinutes: 0,
+      checkpoint: false
+    }));
+    changeRequestData.implementationPlan = formatPlanStepsText(changeRequestData.implementationSteps);
+  } else {
+    changeRequestData.implementationSteps = null;
+    document.getElementById('implementation-plan').value = changeRequestData.implementationPlan;
+  }
+  
+  renderPlanSteps();
+  updatePlanLintFeedback();
+  saveCurrentData();
+}
+
+/**
+ * Render the implementation plan step editor, or the free text plan when steps are off
+ */
+function renderPlanSteps() {
+  const steps = changeRequestData.implementationSteps;
+  const editor = document.getElementById('plan-steps-editor');
+  const tbody = document.getElementById('plan-steps');
+  if (!editor || !tbody) return;
+  
+  editor.classList.toggle('hidden', !steps);
+  document.getElementById('implementation-plan').classList.toggle('hidden', Boolean(steps));
+  document.getElementById('toggle-plan-steps').textContent = steps ? 'Use Free Text' : 'Use Step Editor';
+  tbody.innerHTML = '';
+  if (!steps) return;
+  
+  steps.forEach((step, index) => {
+    const row = document.createElement('tr');
+    row.dataset.index = index;
+    row.innerHTML = html`
+      <td>${index + 1}</td>
+      <td><input type="text" class="form-control form-control-sm" data-field="description" placeholder="What is done"></td>
+      <td><input type="text" class="form-control form-control-sm" data-field="owner" placeholder="Who does it"></td>
+      <td><input type="number" min="0" step="5" class="form-control form-control-sm" data-field="durationMinutes"></td>
+      <td class="text-center"><input type="checkbox" class="form-check-input" data-field="checkpoint" title="Go/no-go checkpoint"></td>
+      <td class="text-end text-nowrap">
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="down" title="Move down" ${index === steps.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+        <button type="button" class="btn btn-sm btn-outline-danger" data-action="remove" title="Remove step"><i class="fas fa-times"></i></button>
+      </td>
+    `;
+    
+    // Set typed values as properties so they are never parsed as markup
+    row.querySelector('[data-field="description"]').value = step.description;
+    row.querySelector('[data-field="owner"]').value = step.owner;
+    row.querySelector('[data-field="durationMinutes"]').value = step.durationMinutes || '';
+    row.querySelector('[data-field="checkpoint"]').checked = step.checkpoint;
+    tbody.appendChild(row);
+  });
+  
+  updatePlanStepsTotal();
+}
+
+/**
+ * Show the total duration of the implementation steps against the planned window
+ */
+function updatePlanStepsTotal() {
+  const totalElement = document.getElementById('plan-steps-total');
+  const steps = changeRequestData.implementationSteps;
+  if (!totalElement || !steps) return;
+  
+  const totalMinutes = getPlanStepsDuration(steps);
+  const start = new Date(changeRequestData.plannedStart);
+  const end = new Date(changeRequestData.plannedEnd);
+  const windowMinutes = changeRequestData.plannedStart && changeRequestData.plannedEnd ? Math.round((end - start) / 60000) : 0;
+  
+  totalElement.textContent = windowMinutes > 0
+    ? `Total: ${formatDuration(totalMinutes)} of a ${formatDuration(windowMinutes)} window`
+    : `Total: ${formatDuration(totalMinutes)}`;
+  totalElement.classList.toggle('text-danger', windowMinutes > 0 && totalMinutes > windowMinutes);
+  totalElement.classList.toggle('text-secondary', !(windowMinutes > 0 && totalMinutes > windowMinutes));
+}
+
+/**
+ * Apply an edit made in the step editor
+ * @param {Event} e - Input, change or click event from the step table
+ * @returns {boolean} - True when the steps changed and should be saved
+ */
+function handlePlanStepEvent(e) {
+  const steps = changeRequestData.implementationSteps;
+  const row = e.target.closest('tr[data-index]');
+  if (!steps || !row) return false;
+  
+  const index = parseInt(row.dataset.index, 10);
+  const field = e.target.dataset.field;
+  const button = e.target.closest('[data-action]');
+  
+  if (field && e.type !== 'click') {
+    if (field === 'checkpoint') {
+      steps[index].checkpoint = e.target.checked;
+    } else if (field === 'durationMinutes') {
+      steps[index].durationMinutes = Math.max(parseInt(e.target.value, 10) || 0, 0);
+    } else {
+      steps[index][field] = e.target.value;
+    }
+    updatePlanStepsTotal();
+  } else if (button && e.type === 'click') {
+    const action = button.dataset.action;
+    if (action === 'remove') {
+      steps.splice(index, 1);
+    } else {
+      const target = action === 'up' ? index - 1 : index + 1;
+      if (target < 0 || target >= steps.length) return false;
+      [steps[index], steps[target]] = [steps[target], steps[index]];
+    }
+    renderPlanSteps();
+  } else {
+    return false;
+  }
+  
+  changeRequestData.implementationPlan = formatPlanStepsText(steps);
+  return true;
+}
+
+/**
+ * Check whether an edit keeps the planned window of the change being edited
+ * @param {Object} data - Change request data
+ * @returns {boolean} - True in edit mode when the window is unchanged
+ */
+function isEditKeepingWindow(data) {
+  if (!data.editingChangeId || !data.editBaseline) return false;
+  return toIsoDate(data.plannedStart) === data.editBaseline.planned_start_date &&
+    toIsoDate(data.plannedEnd) === data.editBaseline.planned_end_date;
+}
+
+/**
+ * Check change details against the rules of the Change Details tab
+ * @param {Object} data - Change request data
+ * @returns {Object} - { errors, warnings }, errors as { field, message } in the order they are reported
+ */
+function validateChangeDetails(data) {
+  const errors = [];
+  const warnings = [];
+  
+  if (!data.requester) {
+    errors.push({ field: 'requester', message: 'Please select a requester' });
+  }
+  if (!data.agent) {
+    errors.push({ field: 'agent', message: 'Please select an agent (Technical SME)' });
+  }
+  if (!data.plannedStart) {
+    errors.push({ field: 'plannedStart', message: 'Please select a planned start date and time' });
+  }
+  if (!data.plannedEnd) {
+    errors.push({ field: 'plannedEnd', message: 'Please select a planned end date and time' });
+  }
+  if (errors.some(error => error.field === 'plannedStart' || error.field === 'plannedEnd')) {
+    return { errors, warnings };
+  }
+  
+  // Validate start and end dates
+  if (new Date(data.plannedEnd) <= new Date(data.plannedStart)) {
+    errors.push({ field: 'plannedEnd', message: 'Planned end date must be after the planned start date' });
+    return { errors, warnings };
+  }
+  
+  // Enforce the lead time of the change type. An edit that keeps the
+  // window of the existing change is not held to it again.
+  const leadTimeViolation = isEditKeepingWindow(data) ? null : checkLeadTime(data);
+  if (leadTimeViolation) {
+    errors.push({ field: 'plannedStart', message: leadTimeViolation.message });
+  }
+  
+  // Blocking freezes stop the change, advisory ones only warn
+  const freezeConflicts = isEditKeepingWindow(data) ? [] : findFreezeConflicts(data);
+  const blockingFreeze = freezeConflicts.find(freeze => freeze.enforcement === RULE_ENFORCEMENT.BLOCK);
+  if (blockingFreeze) {
+    errors.push({ field: 'plannedStart', message: `The planned window overlaps the ${describeFreezeWindow(blockingFreeze)} change freeze` });
+  } else if (freezeConflicts.length > 0) {
+    warnings.push(`The planned window overlaps ${freezeConflicts.map(describeFreezeWindow).join(', ')}`);
+  }
+  
+  checkPlanSteps(data).forEach(message => errors.push({ field: 'implementationPlan', message }));
+  
+  // Blocking plan rules stop the change, advisory ones only warn
+  checkPlanRules(data).forEach(finding => {
+    if (finding.blocking) {
+      errors.push({ field: PLAN_FIELDS[finding.plan].key, message: finding.message });
+    } else {
+      warnings.push(finding.message);
+    }
+  });
+  
+  return { errors, warnings };
+}
+
+function validateDetailsAndNext() {
+  const { errors, warnings } = validateChangeDetails(changeRequestData);
+  updateLeadTimeFeedback();
+  updateFreezeFeedback();
+  updatePlanLintFeedback(true);
+  
+  if (errors.length > 0) {
+    showNotification('error', errors[0].message);
+    return;
+  }
+  if (warnings.length > 0) {
+    showNotification('warning', warnings[0]);
+  }
+  
+  // Use our robust tab switching function instead of direct Bootstrap access
+  switchTab('risk-assessment');
+}
+
+function updateRiskSelection(e) {
+  const question = appConfig.riskQuestionnaire.questions.find(item => item.id === e.target.name);
+  if (!question) return;
+  
+  const option = findRiskOption(question, e.target.value);
+  changeRequestData.riskAssessment[getRiskAnswerKey(question)] = option ? option.value : 0;
+  if (question.id === AFFECTED_USERS_QUESTION_ID) {
+    renderAffectedUsersEstimate();
+  }
+  
+  // Save to data storage
+  saveCurrentData();
+}
+
+/**
+ * Store the computed score and level in a risk assessment
+ * @param {Object} riskAssessment - Risk assessment with answers
+ * @param {string} changeType - Change type
+ * @returns {boolean} - False when questions are unanswered and nothing was stored
+ */
+function recalculateRiskAssessment(riskAssessment, changeType) {
+  const result = computeRiskAssessment(riskAssessment, changeType);
+  if (result.unanswered.length > 0) return false;
+  
+  riskAssessment.totalScore = result.totalScore;
+  riskAssessment.computedLevel = result.computedLevel;
+  riskAssessment.criticalReasons = result.criticalReasons;
+  
+  // Keep an existing override unless it now matches the computed level
+  if (riskAssessment.overrideLevel === result.computedLevel) {
+    riskAssessment.overrideLevel = '';
+    riskAssessment.overrideJustification = '';
+  }
+  riskAssessment.riskLevel = riskAssessment.overrideLevel || result.computedLevel;
+  return true;
+}
+
+function calculateRisk() {
+  const riskAssessment = changeRequestData.riskAssessment;
+  
+  // Check if all questions are answered
+  if (!recalculateRiskAssessment(riskAssessment, changeRequestData.changeType)) {
+    showNotification('error', 'Please answer all risk assessment questions');
+    return;
+  }
+  
+  // Display results
+  showRiskResult(riskAssessment);
+  
+  // Save to data storage
+  saveCurrentData();
+}
+
+/**
+ * Describe the selected services that are not limited to a department or location
+ * @param {Object} data - Change request data
+ * @returns {string|null} - Contradiction for RISK_CONSISTENCY_RULES, or null when there are none
+ */
+function describeCompanyWideServices(data) {
+  const services = (data.selectedAssets || []).filter(item => item.type === 'service' &&
+    !item.department_id && !item.department_name && !item.location_id && !item.location_name);
+  if (services.length === 0) return null;
+  
+  const names = services.map(service => service.name || service.display_name || 'Unnamed').join(', ');
+  return `company-wide ${services.length === 1 ? 'service' : 'services'} ${names} ${services.length === 1 ? 'is' : 'are'} impacted`;
+}
+
+/**
+ * Compare the risk answers with the plans, change type and impacted assets
+ * @param {Object} data - Change request data
+ * @returns {Array} - Contradictions as { questionId, message }
+ */
+function checkRiskConsistency(data) {
+  const risk = data.riskAssessment || {};
+  const questions = getApplicableRiskQuestions(data.changeType);
+  
+  return RISK_CONSISTENCY_RULES.reduce((result, rule) => {
+    const question = questions.find(item => item.id === rule.questionId);
+    const option = question && findRiskOption(question, risk[getRiskAnswerKey(question)]);
+    if (!option || !rule.answers.includes(option.value)) return result;
+    
+    const reason = rule.check(data);
+    if (reason) {
+      result.push({ questionId: question.id, message: `You answered "${option.label}" to "${question.text}", but ${reason}` });
+    }
+    return result;
+  }, []);
+}
+
+/**
+ * Check whether the agent has acknowledged the current contradictions. An
+ * acknowledgement only covers the contradictions the agent reviewed.
+ * @param {Object} data - Change request data
+ * @returns {boolean} - True when there is nothing left to acknowledge
+ */
+function isRiskConsistencyAcknowledged(data) {
+  const contradictions = checkRiskConsistency(data);
+  if (contradictions.length === 0) return true;
+  
+  const acknowledgement = data.riskConsistencyAcknowledgement;
+  return Boolean(acknowledgement) &&
+    acknowledgement.signature === contradictions.map(contradiction => contradiction.message).join('\n');
+}
+
+/**
+ * Record or withdraw the acknowledgement of the current contradictions
+ * @param {boolean} acknowledged - Whether the agent confirmed the answers
+ */
+function acknowledgeRiskConsistency(acknowledged) {
+  changeRequestData.riskConsistencyAcknowledgement = acknowledged ? {
+    signature: checkRiskConsistency(changeRequestData).map(contradiction => contradiction.message).join('\n'),
+    acknowledgedAt: new Date().toISOString()
+  } : null;
+  saveCurrentData();
+  
+  renderRiskConsistency('risk-consistency');
+  renderRiskConsistency('summary-consistency');
+}
+
+/**
+ * List contradicting risk answers with a checkbox to acknowledge them
+ * @param {string} containerId - Element in the risk result panel or the summary
+ */
+function renderRiskConsistency(containerId) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  
+  const contradictions = checkRiskConsistency(changeRequestData);
+  container.classList.toggle('hidden', contradictions.length === 0);
+  if (contradictions.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const checkboxId = `${containerId}-acknowledge`;
+  container.innerHTML = html`
+    <div class="alert alert-warning small">
+      <strong>These risk answers contradict the rest of the change:</strong>
+      <ul class="mb-2">${contradictions.map(contradiction => html`<li>${contradiction.message}</li>`)}</ul>
+      <div class="form-check mb-0">
+        <input id="${checkboxId}" type="checkbox" class="form-check-input">
+        <label for="${checkboxId}" class="form-check-label">I have reviewed these answers and they are correct</label>
+      </div>
+    </div>
+  `;
+  
+  const checkbox = document.getElementById(checkboxId);
+  checkbox.checked = isRiskConsistencyAcknowledged(changeRequestData);
+  checkbox.addEventListener('change', () => acknowledgeRiskConsistency(checkbox.checked));
+}
+
+/**
+ * Check that a risk level override is justified
+ * @param {Object} riskAssessment - Risk assessment
+ * @returns {string|null} - Error message, or null when there is no override or it is justified
+ */
+function getRiskOverrideError(riskAssessment) {
+  if (riskAssessment.overrideLevel &&
+      (riskAssessment.overrideJustification || '').trim().length < MIN_OVERRIDE_JUSTIFICATION_LENGTH) {
+    return `Please justify the risk level override in at least ${MIN_OVERRIDE_JUSTIFICATION_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validateRiskAndNext() {
+  const riskAssessment = changeRequestData.riskAssessment;
+  
+  // An edited change keeps its risk level unless it is reassessed
+  const keepsEditedRisk = changeRequestData.editingChangeId && riskAssessment.riskLevel;
+  if (riskAssessment.totalScore === 0 && !keepsEditedRisk) {
+    showNotification('error', 'Please calculate the risk score before proceeding');
+    return;
+  }
+  
+  const overrideError = getRiskOverrideError(riskAssessment);
+  if (overrideError) {
+    showNotification('error', overrideError);
+    return;
+  }
+  
+  // Use our robust tab switching function instead of direct Bootstrap access
+  switchTab('impacted-assets');
+}
+
+/**
+ * Search for assets using Freshservice API
+ */
+function searchAssets(e) {
+  const searchTerm = e.target.value.trim();
+  if (searchTerm.length < 2) return;
+
+  // Show loading indicator
+  const resultsContainer = document.getElementById('asset-results');
+  resultsContainer.innerHTML = '<div class="text-center p-3"><div class="spinner-border spinner-border-sm" role="status"></div> Loading...</div>';
+  resultsContainer.style.display = 'block';
+  
+  // Results come back tagged with type 'asset' or 'service'
+  invokeServer('searchCatalog', { term: searchTerm })
+    .then(function(data) {
+      displayAssetResults('asset-results', data.results || [], selectAsset);
+    })
+    .catch(function(error) {
+      console.error('Combined asset/service search failed:', error);
+      displayAssetResults('asset-results', [], selectAsset);
+      handleErr(getApiErrorMessage(error, 'Asset search failed'));
+    });
+}
+
+function displayAssetResults(containerId, results, selectionCallback) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+  container.style.display = results.length ? 'block' : 'none';
+  
+  if (results.length === 0) {
+    container.innerHTML = '<div class="list-group-item search-result-item no-results">No results found</div>';
+    container.style.display = 'block';
+    return;
+  }
+  
+  results.forEach(result => {
+    const resultItem = document.createElement('div');
+    resultItem.className = 'list-group-item search-result-item d-flex flex-column search-item-hover';
+    
+    // Create a container for name and type badge
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'd-flex justify-content-between align-items-center w-100';
+    
+    // Name with proper styling
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'fw-bold';
+    nameDiv.textContent = result.name || result.display_name || 'Unnamed';
+    headerDiv.appendChild(nameDiv);
+    
+    // Type badge - different colors for asset vs service
+    const typeDiv = document.createElement('div');
+    const isAsset = result.type === 'asset';
+    typeDiv.innerHTML = html`<span class="badge ${isAsset ? 'bg-success' : 'bg-warning text-dark'}">${isAsset ? 'Asset' : 'Service'}</span>`;
+    headerDiv.appendChild(typeDiv);
+    
+    resultItem.appendChild(headerDiv);
+    
+    // Additional information based on asset type
+    const detailsContainer = document.createElement('div');
+    detailsContainer.className = 'mt-2 d-flex flex-wrap gap-2';
+    
+    // Different badges for different properties
+    if (result.asset_type_name) {
+      const typeBadge = document.createElement('span');
+      typeBadge.className = 'badge bg-light text-dark border';
+      typeBadge.innerHTML = html`<i class="fas fa-tag me-1"></i>${result.asset_type_name}`;
+      detailsContainer.appendChild(typeBadge);
+    }
+    
+    if (result.product_name) {
+      const productBadge = document.createElement('span');
+      productBadge.className = 'badge bg-light text-dark border';
+      productBadge.innerHTML = html`<i class="fas fa-box me-1"></i>${result.product_name}`;
+      detailsContainer.appendChild(productBadge);
+    }
+    
+    if (result.department_name) {
+      const deptBadge = document.createElement('span');
+      deptBadge.className = 'badge bg-light text-dark border';
+      deptBadge.innerHTML = html`<i class="fas fa-building me-1"></i>${result.department_name}`;
+      detailsContainer.appendChild(deptBadge);
+    }
+    
+    if (result.location_name) {
+      const locBadge = document.createElement('span');
+      locBadge.className = 'badge bg-light text-dark border';
+      locBadge.innerHTML = html`<i class="fas fa-map-marker-alt me-1"></i>${result.location_name}`;
+      detailsContainer.appendChild(locBadge);
+    }
+    
+    // Service-specific badges
+    if (!isAsset && result.category_name) {
+      const categoryBadge = document.createElement('span');
+      categoryBadge.className = 'badge bg-light text-dark border';
+      categoryBadge.innerHTML = html`<i class="fas fa-folder me-1"></i>${result.category_name}`;
+      detailsContainer.appendChild(categoryBadge);
+    }
+    
+    // Status badge with appropriate color
+    if (result.status) {
+      const statusBadge = document.createElement('span');
+      let statusClass = 'bg-secondary';
+      
+      if (result.status.toLowerCase().includes('active') || 
+          result.status.toLowerCase().includes('in use')) {
+        statusClass = 'bg-success';
+      } else if (result.status.toLowerCase().includes('retired') || 
+                result.status.toLowerCase().includes('end')) {
+        statusClass = 'bg-danger';
+      } else if (result.status.toLowerCase().includes('pending')) {
+        statusClass = 'bg-warning text-dark';
+      }
+      
+      statusBadge.className = `badge ${statusClass}`;
+      statusBadge.innerHTML = html`<i class="fas fa-circle me-1"></i>${result.status}`;
+      detailsContainer.appendChild(statusBadge);
+    }
+    
+    // Only add details container if we have any badges
+    if (detailsContainer.children.length > 0) {
+      resultItem.appendChild(detailsContainer);
+    }
+    
+    resultItem.addEventListener('click', () => selectionCallback(result));
+    container.appendChild(resultItem);
+  });
+}
+
+function selectAsset(asset) {
+  // Check if asset already exists in the selected list
+  if (changeRequestData.selectedAssets.some(item => item.id === asset.id && item.type === asset.type)) {
+    showNotification('error', 'This asset has already been added');
+    return;
+  }
+  
+  // Add to the selected assets list
+  changeRequestData.selectedAssets.push(asset);
+  renderSelectedAssets();
+  
+  // Clear the search
+  document.getElementById('asset-results').style.display = 'none';
+  document.getElementById('asset-search').value = '';
+  
+  // Save to data storage
+  saveCurrentData();
+}
+
+function renderSelectedAssets() {
+  try {
+    const container = document.getElementById('selected-assets');
+    if (!container) {
+      console.warn('Selected assets container not found');
+      return;
+    }
+    
+    container.innerHTML = '';
+    
+    // Check if we have valid asset data
+    if (!Array.isArray(changeRequestData.selectedAssets) || changeRequestData.selectedAssets.length === 0) {
+      container.innerHTML = '<div class="empty-message text-secondary">No assets selected</div>';
+      return;
+    }
+    
+    // Create elements for each asset
+    changeRequestData.selectedAssets.forEach((asset, index) => {
+      if (!asset || typeof asset !== 'object') {
+        console.warn(`Invalid asset data at index ${index}`);
+        return; // Skip invalid asset
+      }
+      
+      // Safely get asset properties
+      const assetName = asset.name || 'Unnamed Asset';
+      const assetType = asset.type || 'unknown';
+      const isAsset = assetType === 'asset';
+      
+      const assetItem = document.createElement('div');
+      assetItem.className = 'asset-item mb-2 p-2 border rounded bg-light';
+      
+      const headerDiv = document.createElement('div');
+      headerDiv.className = 'd-flex justify-content-between align-items-center';
+      
+      const nameSpan = document.createElement('span');
+      nameSpan.className = 'fw-bold';
+      nameSpan.textContent = assetName;
+      
+      const badgeSpan = document.createElement('span');
+      badgeSpan.className = `badge ${isAsset ? 'bg-success' : 'bg-warning text-dark'} me-2`;
+      badgeSpan.textContent = isAsset ? 'Asset' : 'Service';
+      
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn btn-sm btn-outline-danger remove-asset';
+      removeBtn.innerHTML = '✕';
+      removeBtn.dataset.index = index;
+      
+      headerDiv.appendChild(nameSpan);
+      
+      const badgesDiv = document.createElement('div');
+      badgesDiv.className = 'd-flex align-items-center';
+      badgesDiv.appendChild(badgeSpan);
+      badgesDiv.appendChild(removeBtn);
+      
+      headerDiv.appendChild(badgesDiv);
+      assetItem.appendChild(headerDiv);
+      
+      // Add details if available
+      const detailsContainer = document.createElement('div');
+      detailsContainer.className = 'd-flex flex-wrap gap-2 mt-2';
+      let hasDetails = false;
+      
+      if (asset.asset_type_name) {
+        hasDetails = true;
+        const badge = document.createElement('span');
+        badge.className = 'badge bg-light text-dark border';
+        badge.innerHTML = html`<i class="fas fa-tag me-1"></i>${asset.asset_type_name}`;
+        detailsContainer.appendChild(badge);
+      }
+      
+      if (asset.product_name) {
+        hasDetails = true;
+        const badge = document.createElement('span');
+        badge.className = 'badge bg-light text-dark border';
+        badge.innerHTML = html`<i class="fas fa-box me-1"></i>${asset.product_name}`;
+        detailsContainer.appendChild(badge);
+      }
+      
+      if (asset.location_name) {
+        hasDetails = true;
+        const badge = document.createElement('span');
+        badge.className = 'badge bg-light text-dark border';
+        badge.innerHTML = html`<i class="fas fa-map-marker-alt me-1"></i>${asset.location_name}`;
+        detailsContainer.appendChild(badge);
+      }
+      
+      if (hasDetails) {
+        assetItem.appendChild(detailsContainer);
+      }
+      
+      container.appendChild(assetItem);
+    });
+    
+    // Add event listeners to remove buttons
+    document.querySelectorAll('.remove-asset').forEach(button => {
+      button.addEventListener('click', function() {
+        try {
+          const index = parseInt(this.dataset.index, 10);
+          if (!isNaN(index) && index >= 0 && index < changeRequestData.selectedAssets.length) {
+            changeRequestData.selectedAssets.splice(index, 1);
+            renderSelectedAssets();
+            saveCurrentData().catch(err => console.error('Error saving after asset removal:', err));
+          }
+        } catch (e) {
+          console.error('Error removing asset:', e);
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Error rendering selected assets:', error);
+  }
+  
+  renderDependencyTree();
+  scheduleAffectedUsersEstimate();
+}
+
+/**
+ * Check whether an asset or service is already an impacted item of the change
+ * @param {Object} item - Asset or service
+ * @returns {boolean} - True when it is selected
+ */
+function isItemSelected(item) {
+  return changeRequestData.selectedAssets.some(selected => selected.id === item.id && selected.type === item.type);
+}
+
+/**
+ * Load the CMDB relationships of a selected asset into assetRelationships
+ * @param {number} displayId - Asset display ID
+ */
+async function loadAssetRelationships(displayId) {
+  assetRelationships[displayId] = { status: 'loading', related: [], truncated: false, error: null };
+  
+  try {
+    const result = await invokeServer('getAssetRelationships', { display_id: displayId });
+    assetRelationships[displayId] = { status: 'loaded', related: result.related || [], truncated: Boolean(result.truncated), error: null };
+  } catch (error) {
+    console.error(`Failed to load the relationships of asset ${displayId}:`, error);
+    assetRelationships[displayId] = {
+      status: 'failed',
+      related: [],
+      truncated: false,
+      error: getApiErrorMessage(error, 'Relationships could not be loaded')
+    };
+  }
+  
+  renderDependencyTree();
+}
+
+/**
+ * Show the upstream and downstream assets of each selected asset, loading
+ * relationships that have not been fetched yet
+ */
+function renderDependencyTree() {
+  const container = document.getElementById('asset-dependencies');
+  if (!container) return;
+  
+  // Services come from the service catalog and have no CMDB relationships
+  const assets = changeRequestData.selectedAssets.filter(item => item && item.type === 'asset' && getItemDisplayId(item));
+  if (assets.length === 0) {
+    container.innerHTML = '<div class="empty-message text-secondary">Select an asset to see what depends on it</div>';
+    return;
+  }
+  
+  assets.forEach(asset => {
+    const displayId = getItemDisplayId(asset);
+    if (!assetRelationships[displayId]) {
+      loadAssetRelationships(displayId);
+    }
+  });
+  
+  container.innerHTML = html`${assets.map(asset => {
+    const displayId = getItemDisplayId(asset);
+    const relationships = assetRelationships[displayId];
+    // Upstream assets first, since they are the ones a failure would spread to
+    const related = relationships.related.slice().sort((a, b) =>
+      (a.direction === b.direction ? 0 : (a.direction === 'upstream' ? -1 : 1)));
+    const addable = related.filter(entry => !isItemSelected(entry.item));
+    
+    let children;
+    if (relationships.status === 'loading') {
+      children = html`<div class="small text-secondary"><span class="spinner-border spinner-border-sm me-1" role="status"></span> Loading relationships...</div>`;
+    } else if (relationships.status === 'failed') {
+      children = html`
+        <div class="small text-danger">
+          ${relationships.error}
+          <button type="button" class="btn btn-link btn-sm p-0 ms-1" data-action="retry" data-display-id="${displayId}">Retry</button>
+        </div>
+      `;
+    } else if (related.length === 0) {
+      children = html`<div class="small text-secondary">No related assets in the CMDB</div>`;
+    } else {
+      children = html`
+        <ul class="dependency-tree list-unstyled mb-0">
+          ${related.map((entry, index) => html`
+            <li class="d-flex justify-content-between align-items-center py-1">
+              <span>
+                <i class="fas ${entry.direction === 'upstream' ? 'fa-arrow-up' : 'fa-arrow-down'} text-secondary me-1" title="${entry.direction === 'upstream' ? 'Upstream' : 'Downstream'}"></i>
+                <span class="text-secondary small">${entry.relation}</span> ${entry.item.name || entry.item.display_name || 'Unnamed'}
+              </span>
+              ${isItemSelected(entry.item)
+                ? html`<span class="badge bg-success">Added</span>`
+                : html`<button type="button" class="btn btn-sm btn-outline-primary" data-action="add" data-display-id="${displayId}" data-index="${relationships.related.indexOf(entry)}">Add</button>`}
+            </li>
+          `)}
+        </ul>
+        ${relationships.truncated ? html`<div class="small text-secondary">Only the first related assets are shown</div>` : ''}
+      `;
+    }
+    
+    return html`
+      <div class="dependency-node mb-3">
+        <div class="d-flex justify-content-between align-items-center mb-1">
+          <span class="fw-bold"><i class="fas fa-sitemap me-1"></i>${asset.name || 'Unnamed Asset'}</span>
+          ${addable.length > 1 ? html`<button type="button" class="btn btn-sm btn-outline-primary" data-action="add-all" data-display-id="${displayId}">Add all ${addable.length}</button>` : ''}
+        </div>
+        ${children}
+      </div>
+    `;
+  })}`;
+}
+
+/**
+ * Handle the add and retry buttons of the dependency tree
+ * @param {Event} e - Click event
+ */
+function handleDependencyClick(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+  
+  const displayId = parseInt(button.dataset.displayId, 10);
+  const relationships = assetRelationships[displayId];
+  if (!relationships) return;
+  
+  if (button.dataset.action === 'retry') {
+    loadAssetRelationships(displayId);
+    renderDependencyTree();
+    return;
+  }
+  
+  const entries = button.dataset.action === 'add-all'
+    ? relationships.related
+    : [relationships.related[parseInt(button.dataset.index, 10)]];
+  const items = entries.filter(entry => entry && !isItemSelected(entry.item)).map(entry => entry.item);
+  if (items.length === 0) return;
+  
+  changeRequestData.selectedAssets.push(...items);
+  renderSelectedAssets();
+  saveCurrentData();
+  showNotification('success', items.length === 1
+    ? `${items[0].name || 'The related asset'} was added to the impacted assets`
+    : `${items.length} related assets were added to the impacted assets`);
+}
+
+/**
+ * Set up the attachment drop zone and file picker
+ */
+function setupAttachmentArea() {
+  const dropzone = document.getElementById('attachment-dropzone');
+  const fileInput = document.getElementById('attachment-input');
+  
+  document.getElementById('attachment-limits').textContent =
+    `Up to ${ATTACHMENT_LIMITS.maxFiles} files, ${formatFileSize(ATTACHMENT_LIMITS.maxFileSize)} each and ${formatFileSize(ATTACHMENT_LIMITS.maxTotalSize)} in total. ` +
+    `Allowed types: ${ATTACHMENT_LIMITS.allowedExtensions.join(', ')}`;
+  
+  document.getElementById('attachment-browse').addEventListener('click', () => fileInput.click());
+  
+  fileInput.addEventListener('change', function() {
+    addAttachmentFiles(this.files);
+    // Allow the same file to be picked again after removal
+    this.value = '';
+  });
+  
+  dropzone.addEventListener('dragover', function(e) {
+    e.preventDefault();
+    dropzone.classList.add('dragover');
+  });
+  
+  dropzone.addEventListener('dragleave', function() {
+    dropzone.classList.remove('dragover');
+  });
+  
+  dropzone.addEventListener('drop', function(e) {
+    e.preventDefault();
+    dropzone.classList.remove('dragover');
+    addAttachmentFiles(e.dataTransfer.files);
+  });
+}
+
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${bytes} B`;
+}
+
+/**
+ * Check a file against the attachment limits
+ * @param {File} file - File to check
+ * @param {number} totalSize - Size of the attachments already queued
+ * @returns {string|null} - Reason the file is rejected, or null if it is allowed
+ */
+function validateAttachment(file, totalSize) {
+  const extension = (file.name.split('.').pop() || '').toLowerCase();
+  
+  if (!ATTACHMENT_LIMITS.allowedExtensions.includes(extension)) {
+    return `${file.name}: file type .${extension} is not allowed`;
+  }
+  
+  if (file.size > ATTACHMENT_LIMITS.maxFileSize) {
+    return `${file.name}: larger than ${formatFileSize(ATTACHMENT_LIMITS.maxFileSize)}`;
+  }
+  
+  if (totalSize + file.size > ATTACHMENT_LIMITS.maxTotalSize) {
+    return `${file.name}: attachments would exceed ${formatFileSize(ATTACHMENT_LIMITS.maxTotalSize)} in total`;
+  }
+  
+  return null;
+}
+
+/**
+ * Queue files for upload with the change
+ * @param {FileList} fileList - Files chosen or dropped by the user
+ */
+function addAttachmentFiles(fileList) {
+  const attachments = changeRequestData.attachments;
+  const errors = [];
+  
+  Array.from(fileList || []).forEach(file => {
+    // A file re-added after reopening a draft fills in its saved entry
+    const savedEntry = attachments.find(attachment =>
+      !pendingFiles[attachment.id] && attachment.name === file.name && attachment.size === file.size);
+    if (savedEntry) {
+      pendingFiles[savedEntry.id] = file;
+      return;
+    }
+    
+    if (attachments.length >= ATTACHMENT_LIMITS.maxFiles) {
+      errors.push(`${file.name}: no more than ${ATTACHMENT_LIMITS.maxFiles} attachments are allowed`);
+      return;
+    }
+    
+    const totalSize = attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+    const error = validateAttachment(file, totalSize);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    attachments.push({
+      id,
+      name: file.name,
+      size: file.size,
+      type: file.type || 'application/octet-stream'
+    });
+    pendingFiles[id] = file;
+  });
+  
+  if (errors.length > 0) {
+    showNotification('error', errors.join('. '));
+  }
+  
+  renderAttachments();
+  saveCurrentData();
+}
+
+function removeAttachment(attachmentId) {
+  changeRequestData.attachments = changeRequestData.attachments.filter(attachment => attachment.id !== attachmentId);
+  delete pendingFiles[attachmentId];
+  
+  renderAttachments();
+  saveCurrentData();
+}
+
+function renderAttachments() {
+  const container = document.getElementById('attachment-list');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  (changeRequestData.attachments || []).forEach(attachment => {
+    const file = pendingFiles[attachment.id];
+    const isImage = attachment.type.startsWith('image/');
+    
+    const item = document.createElement('div');
+    item.className = 'attachment-item d-flex align-items-center gap-2 p-2 mb-2 border rounded bg-light';
+    
+    if (file && isImage) {
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'attachment-thumbnail';
+      thumbnail.src = URL.createObjectURL(file);
+      thumbnail.alt = attachment.name;
+      thumbnail.onload = () => URL.revokeObjectURL(thumbnail.src);
+      item.appendChild(thumbnail);
+    } else {
+      const icon = document.createElement('i');
+      icon.className = `fas ${isImage ? 'fa-file-image' : 'fa-file-alt'} fa-lg text-secondary`;
+      item.appendChild(icon);
+    }
+    
+    const details = document.createElement('div');
+    details.className = 'flex-grow-1';
+    details.innerHTML = html`<div class="fw-bold">${attachment.name}</div><div class="small text-secondary">${formatFileSize(attachment.size)}</div>`;
+    item.appendChild(details);
+    
+    // Files from a reopened draft have to be added again before they can be uploaded
+    if (!file) {
+      const missingBadge = document.createElement('span');
+      missingBadge.className = 'badge bg-warning text-dark';
+      missingBadge.textContent = 'Re-add file to upload';
+      item.appendChild(missingBadge);
+    }
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn-sm btn-outline-danger';
+    removeBtn.innerHTML = '✕';
+    removeBtn.addEventListener('click', () => removeAttachment(attachment.id));
+    item.appendChild(removeBtn);
+    
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Read a file as base64 so it can be passed to the serverless upload
+ * @param {File} file - File to read
+ * @returns {Promise<string>} - Base64 file content
+ */
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Upload attachments to a change, one file per request
+ * @param {number} changeId - Change ID
+ * @param {Array} attachments - Attachment metadata with a queued file
+ * @returns {Promise<Array>} - One result per attachment: { attachment, status, error }
+ */
+async function uploadChangeAttachments(changeId, attachments) {
+  const results = [];
+  
+  for (const attachment of attachments) {
+    const file = pendingFiles[attachment.id];
+    if (!file) {
+      results.push({ attachment, status: 'failed', error: 'File is no longer available. Please attach it in Freshservice.' });
+      continue;
+    }
+    
+    try {
+      const content = await readFileAsBase64(file);
+      if (content.length >= ATTACHMENT_LIMITS.maxPayloadSize) {
+        throw { status: 413 };
+      }
+      await invokeServer('uploadChangeAttachment', {
+        change_id: changeId,
+        file: {
+          name: attachment.name,
+          type: attachment.type,
+          content
+        }
+      });
+      results.push({ attachment, status: 'uploaded' });
+    } catch (error) {
+      console.error(`Failed to upload ${attachment.name} to change ${changeId}:`, error);
+      results.push({ attachment, status: 'failed', error: getAttachmentUploadError(error) });
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Describe why an attachment upload failed
+ * @param {Object} error - Error from the upload invocation
+ * @returns {string} - Error message
+ */
+function getAttachmentUploadError(error) {
+  const message = String((error && (error.message || error.response)) || '');
+  if ((error && error.status === 413) || /too large|payload (size|limit)/i.test(message)) {
+    return `File too large to upload from the app, the limit is ${formatFileSize(ATTACHMENT_LIMITS.maxFileSize)}. Please attach it in Freshservice.`;
+  }
+  return getApiErrorMessage(error, 'Upload failed');
+}
+
+/**
+ * Build a key for the scheduling conflicts of the current window and assets, so
+ * an acknowledgement only covers the exact situation the agent reviewed
+ * @param {Object} data - Change request data
+ * @param {Array} conflicts - Conflicting changes
+ * @returns {string} - Conflict signature
+ */
+function getConflictSignature(data, conflicts) {
+  const itemIds = data.selectedAssets.map(getItemDisplayId).filter(Boolean).sort((a, b) => a - b);
+  const changeIds = conflicts.map(conflict => conflict.id).sort((a, b) => a - b);
+  return [data.plannedStart, data.plannedEnd, itemIds.join(','), changeIds.join(',')].join('|');
+}
+
+/**
+ * Check for other changes scheduled on the same assets before showing the summary
+ */
+async function reviewChangeRequest() {
+  if (changeRequestData.selectedAssets.length === 0 || !changeRequestData.plannedStart || !changeRequestData.plannedEnd) {
+    showSummary();
+    return;
+  }
+  
+  const submitButton = document.getElementById('submit-change');
+  submitButton.disabled = true;
+  submitButton.innerHTML = '<span class="spinner-border spinner-border-sm me-1" role="status"></span> Checking schedule...';
+  
+  try {
+    const result = await invokeServer('findChangeConflicts', {
+      planned_start: new Date(changeRequestData.plannedStart).toISOString(),
+      planned_end: new Date(changeRequestData.plannedEnd).toISOString(),
+      display_ids: changeRequestData.selectedAssets.map(getItemDisplayId).filter(Boolean),
+      exclude_change_id: changeRequestData.editingChangeId
+    });
+    const conflicts = result.conflicts || [];
+    
+    if (result.truncated) {
+      showNotification('warning', 'Too many changes to check them all, so only the first ones were checked for conflicts with this window');
+    } else if (result.skipped > 0) {
+      showNotification('warning', `${result.skipped} change${result.skipped === 1 ? '' : 's'} in this window could not be loaded, so they were not checked for conflicts`);
+    }
+    
+    const signature = getConflictSignature(changeRequestData, conflicts);
+    const acknowledgement = changeRequestData.conflictAcknowledgement;
+    if (conflicts.length === 0 || (acknowledgement && acknowledgement.signature === signature)) {
+      showSummary();
+      return;
+    }
+    
+    pendingConflicts = { conflicts, signature };
+    await showConflictWarning(conflicts);
+  } catch (error) {
+    console.error('Error checking scheduling conflicts:', error);
+    showNotification('warning', getApiErrorMessage(error, 'Could not check for scheduling conflicts'));
+    showSummary();
+  } finally {
+    submitButton.disabled = false;
+    submitButton.textContent = 'Submit Change Request';
+  }
+}
+
+/**
+ * List conflicting changes in the scheduling conflict modal
+ * @param {Array} conflicts - Conflicting changes
+ */
+async function showConflictWarning(conflicts) {
+  const list = document.getElementById('conflict-list');
+  const rows = await Promise.all(conflicts.map(async conflict => html`
+    <tr>
+      <td><a href="${await getChangeUrl(conflict.id)}" target="_blank" rel="noopener">CHN-${conflict.id}</a><div class="small text-secondary">${conflict.subject || ''}</div></td>
+      <td>${conflict.owner || 'Unassigned'}</td>
+      <td>${formatDateTime(conflict.planned_start_date)} - ${formatDateTime(conflict.planned_end_date)}</td>
+      <td>${conflict.items.map(item => item.name || `#${item.display_id}`).join(', ')}</td>
+    </tr>
+  `));
+  
+  list.innerHTML = html`
+    <table class="table table-sm align-middle">
+      <thead>
+        <tr><th>Change</th><th>Owner</th><th>Planned Window</th><th>Shared Assets</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('conflict-modal')).show();
+}
+
+function hideConflictWarning() {
+  const modal = bootstrap.Modal.getInstance(document.getElementById('conflict-modal'));
+  if (modal) {
+    modal.hide();
+  }
+}
+
+/**
+ * Record that the agent accepted the scheduling conflicts and continue to the summary
+ */
+function acknowledgeConflicts() {
+  if (!pendingConflicts) return;
+  
+  changeRequestData.conflictAcknowledgement = {
+    signature: pendingConflicts.signature,
+    changeIds: pendingConflicts.conflicts.map(conflict => conflict.id),
+    acknowledgedAt: new Date().toISOString()
+  };
+  pendingConflicts = null;
+  saveCurrentData();
+  
+  // Open the summary once the conflict modal is gone so the two backdrops do not overlap
+  document.getElementById('conflict-modal').addEventListener('hidden.bs.modal', showSummary, { once: true });
+  hideConflictWarning();
+}
+
+/**
+ * Send the agent back to the planned window to move it away from the conflicts
+ */
+function adjustWindowForConflicts() {
+  pendingConflicts = null;
+  hideConflictWarning();
+  switchTab('change-details');
+  document.getElementById('planned-start').focus();
+}
+
+/**
+ * Get the acknowledged scheduling conflicts that still match the current window and assets
+ * @param {Object} data - Change request data
+ * @returns {Array} - IDs of the acknowledged conflicting changes
+ */
+function getAcknowledgedConflictIds(data) {
+  const acknowledgement = data.conflictAcknowledgement;
+  if (!acknowledgement || !Array.isArray(acknowledgement.changeIds)) return [];
+  
+  const stillCurrent = acknowledgement.signature === getConflictSignature(data, acknowledgement.changeIds.map(id => ({ id })));
+  return stillCurrent ? acknowledgement.changeIds : [];
+}
+
+function showSummary() {
+  if (changeRequestData.selectedAssets.length === 0) {
+    showNotification('error', 'Please select at least one impacted asset');
+    return;
+  }
+  
+  const missingFiles = (changeRequestData.attachments || []).filter(attachment => !pendingFiles[attachment.id]);
+  if (missingFiles.length > 0) {
+    showNotification('error', `Please re-add or remove attachments that still have to be uploaded: ${missingFiles.map(attachment => attachment.name).join(', ')}`);
+    return;
+  }
+  
+  const affectedUsersNote = describeAffectedUsersSuggestion(changeRequestData);
+  const summaryContent = document.getElementById('summary-content');
+  
+  // Generate summary HTML with Bootstrap styling
+  summaryContent.innerHTML = html`
+    ${changeRequestData.editingChangeId ? html`<div id="edit-summary"></div>` : ''}
+    <div class="summary-section mb-4">
+      <h5>Change Details</h5>
+      <hr>
+      <div class="row">
+        <div class="col-md-6">
+          <p><strong>Requester:</strong> ${changeRequestData.requester.first_name} ${changeRequestData.requester.last_name}</p>
+          <p><strong>Agent (Technical SME):</strong> ${changeRequestData.agent.first_name} ${changeRequestData.agent.last_name}</p>
+          <p><strong>Change Type:</strong> ${changeRequestData.changeType}</p>
+          <p><strong>Lead Time:</strong> ${changeRequestData.leadTime}</p>
+        </div>
+        <div class="col-md-6">
+          <p><strong>Planned Start:</strong> ${formatDateTime(changeRequestData.plannedStart)}</p>
+          <p><strong>Planned End:</strong> ${formatDateTime(changeRequestData.plannedEnd)}</p>
+          ${getAcknowledgedConflictIds(changeRequestData).length > 0 ? html`<p class="text-warning"><strong>Acknowledged Conflicts:</strong> ${getAcknowledgedConflictIds(changeRequestData).map(id => `CHN-${id}`).join(', ')}</p>` : ''}
+        </div>
+      </div>
+      
+      <h6 class="mt-3">Implementation Plan</h6>
+      ${changeRequestData.implementationSteps ? formatPlanStepsHtml(changeRequestData.implementationSteps) : html`<div class="text-secondary">${formatRichText(changeRequestData.implementationPlan || 'Not provided')}</div>`}
+      
+      <h6 class="mt-3">Backout (Recovery) Plan</h6>
+      <div class="text-secondary">${formatRichText(changeRequestData.backoutPlan || 'Not provided')}</div>
+      
+      <h6 class="mt-3">Validation Plan</h6>
+      <div class="text-secondary">${formatRichText(changeRequestData.validationPlan || 'Not provided')}</div>
+    </div>
+    
+    <div class="summary-section mb-4">
+      <h5>Risk Assessment</h5>
+      <hr>
+      <div class="row">
+        <div class="col-md-6">
+          <p><strong>Risk Score:</strong> ${changeRequestData.riskAssessment.totalScore}</p>
+          <p><strong>Calculated Level:</strong> <span class="badge ${getRiskBadgeClass(changeRequestData.riskAssessment.computedLevel)}">${changeRequestData.riskAssessment.computedLevel || changeRequestData.riskAssessment.riskLevel}</span></p>
+        </div>
+        <div class="col-md-6">
+          <p><strong>Risk Level:</strong> <span class="badge ${getRiskBadgeClass(changeRequestData.riskAssessment.riskLevel)}">${changeRequestData.riskAssessment.riskLevel}</span>${changeRequestData.riskAssessment.overrideLevel ? html` <span class="text-secondary small">(overridden)</span>` : ''}</p>
+        </div>
+      </div>
+      ${affectedUsersNote ? html`<p><strong>Affected Users Estimate:</strong> ${affectedUsersNote}</p>` : ''}
+      ${(changeRequestData.riskAssessment.criticalReasons || []).length > 0 ? html`
+      <p class="mb-1"><strong>Rated High because:</strong></p>
+      <ul>${changeRequestData.riskAssessment.criticalReasons.map(reason => html`<li>${reason}</li>`)}</ul>
+      ` : ''}
+      ${changeRequestData.riskAssessment.overrideLevel ? html`
+      <h6 class="mt-3">Override Justification</h6>
+      <div class="text-secondary">${formatRichText(changeRequestData.riskAssessment.overrideJustification)}</div>
+      ` : ''}
+      <div id="summary-consistency" class="mt-3 hidden"></div>
+    </div>
+    
+    <div class="summary-section">
+      <h5>Impacted Assets (${changeRequestData.selectedAssets.length})</h5>
+      <hr>
+      <ul class="list-group">
+        ${changeRequestData.selectedAssets.map(asset => html`<li class="list-group-item">${asset.name} <span class="badge bg-secondary">${asset.type}</span></li>`)}
+      </ul>
+    </div>
+    
+    ${changeRequestData.editingChangeId ? '' : html`
+    <div class="summary-section mt-4">
+      <h5>Approvals</h5>
+      <hr>
+      <div id="approval-summary"><span class="spinner-border spinner-border-sm me-1" role="status"></span> Resolving approvers...</div>
+    </div>
+    `}
+    
+    ${changeRequestData.attachments.length > 0 ? html`
+    <div class="summary-section mt-4">
+      <h5>Attachments (${changeRequestData.attachments.length})</h5>
+      <hr>
+      <ul class="list-group">
+        ${changeRequestData.attachments.map(attachment => html`<li class="list-group-item">${attachment.name} <span class="text-secondary small">${formatFileSize(attachment.size)}</span></li>`)}
+      </ul>
+    </div>
+    ` : ''}
+  `;
+  
+  renderRiskConsistency('summary-consistency');
+  
+  pendingApprovalPlan = null;
+  pendingApprovalSummary = null;
+  if (changeRequestData.editingChangeId) {
+    renderEditSummary();
+  } else {
+    pendingApprovalSummary = renderApprovalSummary();
+  }
+  setSubmitting(false);
+  
+  // Show the Bootstrap modal
+  const modalElement = document.getElementById('confirmation-modal');
+  const confirmationModal = new bootstrap.Modal(modalElement);
+  confirmationModal.show();
+}
+
+function closeModal() {
+  const modalElement = document.getElementById('confirmation-modal');
+  const modal = bootstrap.Modal.getInstance(modalElement);
+  if (modal) {
+    modal.hide();
+  }
+}
+
+/**
+ * Collect the summary of a change request in the order it is exported
+ * @param {Object} data - Change request data
+ * @returns {Object} - Labelled summary sections
+ */
+function buildSummaryModel(data) {
+  const risk = data.riskAssessment || {};
+  const personName = person => (person ? `${person.first_name || ''} ${person.last_name || ''}`.trim() : 'Not selected');
+  const affectedUsersNote = describeAffectedUsersSuggestion(data);
+  
+  return {
+    title: buildChangeSubject(data),
+    details: [
+      ['Requester', personName(data.requester)],
+      ['Agent (Technical SME)', personName(data.agent)],
+      ['Change Type', changeTypeLabels[data.changeType] || data.changeType],
+      ['Lead Time', data.leadTime],
+      ['Planned Start', data.plannedStart ? formatDateTime(data.plannedStart) : 'Not set'],
+      ['Planned End', data.plannedEnd ? formatDateTime(data.plannedEnd) : 'Not set']
+    ],
+    plans: [
+      ['Implementation Plan', data.implementationPlan],
+      ['Backout (Recovery) Plan', data.backoutPlan],
+      ['Validation Plan', data.validationPlan]
+    ],
+    riskAnswers: getApplicableRiskQuestions(data.changeType).map(question => {
+      const option = findRiskOption(question, risk[getRiskAnswerKey(question)]);
+      return [question.text, option ? `${option.label} (${option.score})` : 'Not answered'];
+    }),
+    risk: [
+      ['Risk Score', risk.totalScore || 0],
+      ['Calculated Level', risk.computedLevel || risk.riskLevel || 'Not assessed'],
+      ['Risk Level', `${risk.riskLevel || 'Not assessed'}${risk.overrideLevel ? ' (overridden)' : ''}`]
+    ].concat(risk.overrideLevel ? [['Override Justification', risk.overrideJustification]] : [])
+      .concat(affectedUsersNote ? [['Affected Users Estimate', affectedUsersNote]] : []),
+    criticalReasons: risk.criticalReasons || [],
+    assets: data.selectedAssets.map(asset => `${asset.name || asset.display_name || 'Unnamed'} (${asset.type === 'service' ? 'Service' : 'Asset'})`),
+    attachments: (data.attachments || []).map(attachment => `${attachment.name} (${formatFileSize(attachment.size)})`),
+    conflicts: getAcknowledgedConflictIds(data).map(id => `CHN-${id}`),
+    approvers: pendingApprovalPlan && pendingApprovalPlan.rule
+      ? (pendingApprovalPlan.autoApprove ? ['Auto-approved'] : pendingApprovalPlan.approvers.map(approver => approver.name))
+      : []
+  };
+}
+
+/**
+ * Render the change request summary as Markdown for wikis and chat
+ * @param {Object} data - Change request data
+ * @returns {string} - Markdown document
+ */
+function buildSummaryMarkdown(data) {
+  const model = buildSummaryModel(data);
+  const list = items => (items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '- None');
+  const fields = pairs => pairs.map(([label, value]) => `- **${label}:** ${value}`).join('\n');
+  
+  const sections = [
+    `# ${model.title}`,
+    `## Change Details\n\n${fields(model.details)}`,
+    ...model.plans.map(([label, text]) => `### ${label}\n\n${text || 'Not provided'}`),
+    `## Risk Assessment\n\n${fields(model.risk)}`,
+    `### Answers\n\n${fields(model.riskAnswers)}`
+  ];
+  if (model.criticalReasons.length > 0) sections.push(`### Rated High Because\n\n${list(model.criticalReasons)}`);
+  sections.push(`## Impacted Assets\n\n${list(model.assets)}`);
+  if (model.conflicts.length > 0) sections.push(`## Acknowledged Scheduling Conflicts\n\n${list(model.conflicts)}`);
+  if (model.approvers.length > 0) sections.push(`## Approvers\n\n${list(model.approvers)}`);
+  if (model.attachments.length > 0) sections.push(`## Attachments\n\n${list(model.attachments)}`);
+  
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Export the full change request data with a schema version
+ * @param {Object} data - Change request data
+ * @returns {string} - JSON document
+ */
+function buildSummaryJson(data) {
+  return JSON.stringify({
+    schemaVersion: SUMMARY_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    changeRequest: data
+  }, null, 2);
+}
+
+/**
+ * Render the change request summary as a standalone page for printing
+ * @param {Object} data - Change request data
+ * @returns {Object} - HTML document as safe markup
+ */
+function buildSummaryPrintHtml(data) {
+  const model = buildSummaryModel(data);
+  const list = items => html`<ul>${items.length > 0 ? items.map(item => html`<li>${item}</li>`) : html`<li>None</li>`}</ul>`;
+  const fields = pairs => html`<table>${pairs.map(([label, value]) => html`<tr><th>${label}</th><td>${value}</td></tr>`)}</table>`;
+  
+  return html`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${model.title}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #000; margin: 2cm; line-height: 1.4; }
+  h1 { font-size: 20pt; } h2 { font-size: 14pt; border-bottom: 1px solid #999; margin-top: 24pt; } h3 { font-size: 12pt; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; border: 1px solid #ccc; padding: 4pt 6pt; }
+  th { width: 30%; background: #f3f3f3; }
+  .plan { border: 1px solid #ccc; padding: 6pt; }
+  section { page-break-inside: avoid; }
+  @media print { body { margin: 0; } a { color: #000; } }
+</style>
+</head>
+<body>
+<h1>${model.title}</h1>
+<section><h2>Change Details</h2>${fields(model.details)}</section>
+${model.plans.map(([label, text]) => html`<section><h3>${label}</h3><div class="plan">${formatRichText(text || 'Not provided')}</div></section>
+`)}
+<section><h2>Risk Assessment</h2>${fields(model.risk)}<h3>Answers</h3>${fields(model.riskAnswers)}</section>
+${model.criticalReasons.length > 0 ? html`<section><h3>Rated High Because</h3>${list(model.criticalReasons)}</section>` : ''}
+<section><h2>Impacted Assets</h2>${list(model.assets)}</section>
+${model.conflicts.length > 0 ? html`<section><h2>Acknowledged Scheduling Conflicts</h2>${list(model.conflicts)}</section>` : ''}
+${model.approvers.length > 0 ? html`<section><h2>Approvers</h2>${list(model.approvers)}</section>` : ''}
+${model.attachments.length > 0 ? html`<section><h2>Attachments</h2>${list(model.attachments)}</section>` : ''}
+<p><small>Exported ${new Date().toLocaleString()}</small></p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Download text as a file
+ * @param {string} fileName - File name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export the change request summary shown in the summary modal
+ * @param {string} format - 'markdown', 'json' or 'html'
+ */
+function exportSummary(format) {
+  const baseName = `change-request-${toDateKey(new Date())}`;
+  
+  try {
+    if (format === 'markdown') {
+      downloadFile(`${baseName}.md`, buildSummaryMarkdown(changeRequestData), 'text/markdown');
+    } else if (format === 'json') {
+      downloadFile(`${baseName}.json`, buildSummaryJson(changeRequestData), 'application/json');
+    } else if (format === 'html') {
+      downloadFile(`${baseName}.html`, String(buildSummaryPrintHtml(changeRequestData)), 'text/html');
+    }
+  } catch (error) {
+    console.error(`Error exporting summary as ${format}:`, error);
+    showNotification('error', 'Failed to export the summary');
+  }
+}
+
+/**
+ * Build a change subject from the change type and impacted assets
+ * @param {Object} data - Change request data
+ * @returns {string} - Change subject
+ */
+function buildChangeSubject(data) {
+  const typeLabel = changeTypeLabels[data.changeType] || 'Change';
+  const assetNames = (data.selectedAssets || [])
+    .map(asset => asset.name || asset.display_name)
+    .filter(Boolean);
+
+  if (assetNames.length === 0) {
+    return typeLabel;
+  }
+
+  // Keep the subject readable when many assets are selected
+  const shownNames = assetNames.slice(0, 3).join(', ');
+  const remaining = assetNames.length - 3;
+  return remaining > 0
+    ? `${typeLabel}: ${shownNames} and ${remaining} more`
+    : `${typeLabel}: ${shownNames}`;
+}
+
+/**
+ * Convert plain text plan content to HTML for Freshservice rich text fields
+ * @param {string} text - Plain text
+ * @returns {Object} - HTML content as safe markup
+ */
+function formatPlanHtml(text) {
+  return formatRichText(text || 'Not provided');
+}
+
+/**
+ * Render plan steps as a numbered table
+ * @param {Array} steps - Plan steps
+ * @returns {Object} - HTML table as safe markup
+ */
+function formatPlanStepsHtml(steps) {
+  const rows = steps.map((step, index) => html`
+      <tr>
+        <td>${index + 1}</td>
+        <td>${step.description}</td>
+        <td>${step.owner}</td>
+        <td>${formatDuration(step.durationMinutes)}</td>
+        <td>${step.checkpoint ? 'Go/no-go' : ''}</td>
+      </tr>`);
+  
+  return html`
+    <table class="table table-sm" border="1" cellpadding="4" cellspacing="0">
+      <thead>
+        <tr><th>#</th><th>Step</th><th>Owner</th><th>Duration</th><th>Checkpoint</th></tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    <p><strong>Total Duration:</strong> ${formatDuration(getPlanStepsDuration(steps))}</p>
+  `;
+}
+
+/**
+ * Render the implementation plan as a step table or as formatted text
+ * @param {Object} data - Change request data
+ * @returns {Object} - HTML content as safe markup
+ */
+function formatImplementationPlanHtml(data) {
+  return data.implementationSteps && data.implementationSteps.length > 0
+    ? formatPlanStepsHtml(data.implementationSteps)
+    : formatPlanHtml(data.implementationPlan);
+}
+
+/**
+ * Build the change description shown on the Freshservice change
+ * @param {Object} data - Change request data
+ * @returns {Object} - HTML description as safe markup
+ */
+function buildChangeDescription(data) {
+  const risk = data.riskAssessment || {};
+  const conflictIds = getAcknowledgedConflictIds(data);
+  const assets = (data.selectedAssets || [])
+    .map(asset => html`<li>${asset.name || asset.display_name || 'Unnamed'} (${asset.type === 'service' ? 'Service' : 'Asset'})</li>`);
+
+  return html`
+    <p><strong>Change Type:</strong> ${changeTypeLabels[data.changeType] || data.changeType}</p>
+    <p><strong>Lead Time:</strong> ${data.leadTime || ''}</p>
+    ${data.clonedFromChangeId ? html`<p><strong>Cloned From:</strong> CHN-${data.clonedFromChangeId}</p>` : ''}
+    <p><strong>Risk:</strong> ${risk.riskLevel || 'Not assessed'} (score ${risk.totalScore || 0})</p>
+    ${risk.overrideLevel ? html`<p><strong>Risk Override:</strong> calculated ${risk.computedLevel}, overridden to ${risk.overrideLevel}. Justification: ${risk.overrideJustification}</p>` : ''}
+    <p><strong>Impacted Assets:</strong></p>
+    <ul>${assets.length > 0 ? assets : html`<li>None</li>`}</ul>
+    ${conflictIds.length > 0 ? html`<p><strong>Scheduling Conflicts:</strong> acknowledged overlap with ${conflictIds.map(id => `CHN-${id}`).join(', ')} on the same assets</p>` : ''}
+    <p><em>${APP_CHANGE_MARKER}</em></p>
+  `;
+}
+
+/**
+ * Build the private note that records the full risk assessment on the change
+ * @param {Object} data - Change request data
+ * @returns {Object} - HTML note body as safe markup
+ */
+function buildRiskNoteHtml(data) {
+  const risk = data.riskAssessment || {};
+  const rows = getApplicableRiskQuestions(data.changeType).map(question => {
+    const option = findRiskOption(question, risk[getRiskAnswerKey(question)]);
+    const weight = getRiskQuestionWeight(question);
+    const score = option ? Math.round(option.score * weight * 10) / 10 : 0;
+    return html`
+      <tr>
+        <td>${question.text}</td>
+        <td>${option ? option.label : 'Not answered'}</td>
+        <td>${option ? option.score : ''}</td>
+        <td>${weight}</td>
+        <td>${score}</td>
+      </tr>`;
+  });
+  const criticalReasons = risk.criticalReasons || [];
+  const contradictions = checkRiskConsistency(data);
+  const affectedUsersNote = describeAffectedUsersSuggestion(data);
+  
+  return html`
+    <h3>Risk Assessment</h3>
+    <table border="1" cellpadding="4" cellspacing="0">
+      <thead>
+        <tr><th>Question</th><th>Answer</th><th>Score</th><th>Weight</th><th>Weighted Score</th></tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    <p><strong>Total Score:</strong> ${risk.totalScore || 0}</p>
+    <p><strong>Calculated Level:</strong> ${risk.computedLevel || risk.riskLevel || 'Not assessed'}</p>
+    ${criticalReasons.length > 0 ? html`<p><strong>Rated High because:</strong></p><ul>${criticalReasons.map(reason => html`<li>${reason}</li>`)}</ul>` : ''}
+    ${risk.overrideLevel ? html`<p><strong>Overridden to:</strong> ${risk.overrideLevel}</p><p><strong>Justification:</strong> ${risk.overrideJustification}</p>` : ''}
+    ${affectedUsersNote ? html`<p><strong>Affected Users Estimate:</strong> ${affectedUsersNote}</p>` : ''}
+    ${contradictions.length > 0 ? html`<p><strong>Contradictions reviewed before submitting:</strong></p><ul>${contradictions.map(contradiction => html`<li>${contradiction.message}</li>`)}</ul>` : ''}
+    <p><strong>Risk Level:</strong> ${risk.riskLevel || 'Not assessed'}</p>
+    <p><strong>Explanation:</strong> ${appConfig.riskQuestionnaire.explanations[risk.riskLevel] || ''}</p>
+  `;
+}
+
+/**
+ * Post the risk assessment breakdown as a private note on the change
+ * @param {number} changeId - Change ID
+ * @param {string} body - Note body from buildRiskNoteHtml
+ * @returns {Promise<Object>} - { status, error }
+ */
+async function postRiskAssessmentNote(changeId, body) {
+  try {
+    await invokeServer('createChangeNote', { change_id: changeId, body: String(body), private: true });
+    return { status: 'posted' };
+  } catch (error) {
+    console.error(`Failed to post the risk assessment note on change ${changeId}:`, error);
+    return { status: 'failed', error: getApiErrorMessage(error, 'Posting the risk assessment note failed') };
+  }
+}
+
+/**
+ * Convert a datetime-local value to an ISO date for the API
+ * @param {string} value - Date input value
+ * @returns {string|null} - ISO date, or null when empty
+ */
+function toIsoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Find the risk question whose answer sets the Freshservice impact field
+ * @param {string} changeType - Change type key
+ * @returns {Object|undefined} - Question marked with mapsTo: 'impact'
+ */
+function getImpactQuestion(changeType) {
+  return getApplicableRiskQuestions(changeType).find(question => question.mapsTo === 'impact');
+}
+
+/**
+ * Map change request data to a Freshservice change payload
+ * @param {Object} data - Change request data
+ * @returns {Object} - Payload for POST /api/v2/changes
+ */
+function buildChangePayload(data) {
+  const risk = data.riskAssessment || {};
+  const riskValue = freshserviceRiskLevels[risk.riskLevel] || freshserviceRiskLevels.Low;
+
+  // Answers of the question mapped to impact (1-3) line up with Freshservice impact
+  // Low/Medium/High. Without an answer the impact follows the risk level.
+  const impactQuestion = getImpactQuestion(data.changeType);
+  const impactAnswer = impactQuestion ? parseInt(risk[getRiskAnswerKey(impactQuestion)], 10) : NaN;
+  const impactValue = impactAnswer ? Math.min(Math.max(impactAnswer, 1), 3) : riskValue;
+
+  // Emergency changes are always urgent, otherwise priority follows the risk level
+  const priorityValue = data.changeType === 'emergency' ? 4 : riskValue;
+
+  const implementationHtml = html`${formatImplementationPlanHtml(data)}<p><strong>Validation Plan:</strong></p>${formatPlanHtml(data.validationPlan)}`;
+
+  // Safe markup is sent as the plain HTML string
+  return {
+    subject: buildChangeSubject(data),
+    description: String(buildChangeDescription(data)),
+    requester_id: data.requester.id,
+    agent_id: data.agent.id,
+    change_type: freshserviceChangeTypes[data.changeType] || freshserviceChangeTypes.standard,
+    status: FRESHSERVICE_CHANGE_STATUS_OPEN,
+    priority: priorityValue,
+    impact: impactValue,
+    risk: riskValue,
+    planned_start_date: toIsoDate(data.plannedStart),
+    planned_end_date: toIsoDate(data.plannedEnd),
+    planning_fields: {
+      rollout_plan: {
+        description: String(implementationHtml)
+      },
+      backout_plan: {
+        description: String(formatPlanHtml(data.backoutPlan))
+      }
+    }
+  };
+}
+
+// Fields an edit can change, with the labels shown in the summary
+const EDITABLE_CHANGE_FIELDS = {
+  requester_id: 'Requester',
+  agent_id: 'Agent (Technical SME)',
+  change_type: 'Change type',
+  planned_start_date: 'Planned start',
+  planned_end_date: 'Planned end',
+  priority: 'Priority',
+  impact: 'Impact',
+  risk: 'Risk',
+  rollout_plan: 'Implementation and validation plans',
+  backout_plan: 'Backout plan',
+  assets: 'Impacted assets'
+};
+
+/**
+ * Get the Freshservice values of the fields an edit can change. The subject
+ * and description of an edited change are left as they are.
+ * @param {Object} data - Change request data
+ * @param {string} serviceLinkMode - One of SERVICE_LINK_MODES
+ * @returns {Object} - Values keyed like EDITABLE_CHANGE_FIELDS
+ */
+function buildEditableFields(data, serviceLinkMode) {
+  const payload = buildChangePayload({ ...data, requester: data.requester || {}, agent: data.agent || {} });
+  const assetIds = data.selectedAssets
+    .filter(item => item.type !== 'service' || serviceLinkMode === SERVICE_LINK_MODES.CONFIGURATION_ITEM)
+    .map(getItemDisplayId)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  
+  return {
+    requester_id: payload.requester_id || null,
+    agent_id: payload.agent_id || null,
+    change_type: payload.change_type,
+    planned_start_date: payload.planned_start_date,
+    planned_end_date: payload.planned_end_date,
+    priority: payload.priority,
+    impact: payload.impact,
+    risk: payload.risk,
+    rollout_plan: payload.planning_fields.rollout_plan.description,
+    backout_plan: payload.planning_fields.backout_plan.description,
+    assets: assetIds
+  };
+}
+
+/**
+ * Compare editable fields with the values the change had when it was opened
+ * @param {Object} fields - Current editable fields
+ * @param {Object} baseline - Editable fields when the change was opened
+ * @returns {Array} - Keys of the changed fields
+ */
+function getChangedFields(fields, baseline) {
+  return Object.keys(EDITABLE_CHANGE_FIELDS)
+    .filter(key => JSON.stringify(fields[key]) !== JSON.stringify(baseline[key]));
+}
+
+/**
+ * Build a PUT /api/v2/changes/{id} body holding only the changed fields
+ * @param {Object} fields - Current editable fields
+ * @param {Array} changedKeys - Keys of the changed fields
+ * @returns {Object} - Update payload
+ */
+function buildChangeUpdatePayload(fields, changedKeys) {
+  const payload = {};
+  
+  changedKeys.forEach(key => {
+    if (key === 'rollout_plan' || key === 'backout_plan') {
+      payload.planning_fields = payload.planning_fields || {};
+      payload.planning_fields[key] = { description: fields[key] };
+    } else if (key === 'assets') {
+      payload.assets = fields.assets.map(displayId => ({ display_id: displayId }));
+    } else {
+      payload[key] = fields[key];
+    }
+  });
+  
+  return payload;
+}
+
+/**
+ * Get the fields the current edit changes
+ * @returns {Promise<Object>} - { fields, changedKeys }
+ */
+async function getPendingEdit() {
+  const fields = buildEditableFields(changeRequestData, await getServiceLinkMode());
+  return { fields, changedKeys: getChangedFields(fields, changeRequestData.editBaseline || {}) };
+}
+
+/**
+ * List the fields an edit will change at the top of the summary
+ */
+async function renderEditSummary() {
+  const container = document.getElementById('edit-summary');
+  if (!container) return;
+  
+  const { changedKeys } = await getPendingEdit();
+  const newAttachments = changeRequestData.attachments.length;
+  container.innerHTML = html`
+    <div class="alert ${changedKeys.length > 0 || newAttachments > 0 ? 'alert-info' : 'alert-secondary'}">
+      <strong>Changes to CHN-${changeRequestData.editingChangeId}:</strong>
+      ${changedKeys.length > 0
+        ? html`<ul class="mb-0">${changedKeys.map(key => html`<li>${EDITABLE_CHANGE_FIELDS[key]}</li>`)}</ul>`
+        : ' no field changes'}
+      ${newAttachments > 0 ? html`<div>${newAttachments} new attachment${newAttachments === 1 ? '' : 's'}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Find the first approval rule matching the risk level and change type
+ * @param {Object} data - Change request data
+ * @returns {Object|null} - Matching rule
+ */
+function findApprovalRule(data) {
+  const riskLevel = data.riskAssessment.riskLevel;
+  return appConfig.approvalRules.find(rule =>
+    (!rule.riskLevels || rule.riskLevels.includes(riskLevel)) &&
+    (!rule.changeTypes || rule.changeTypes.includes(data.changeType))) || null;
+}
+
+/**
+ * Work out who will be asked to approve the change
+ * @param {Object} data - Change request data
+ * @returns {Promise<Object>} - { rule, autoApprove, approvers, groups, missing }
+ */
+async function resolveApprovalPlan(data) {
+  const rule = findApprovalRule(data);
+  if (!rule || rule.autoApprove) {
+    return { rule, autoApprove: Boolean(rule), approvers: [], groups: [], missing: [] };
+  }
+  
+  // The service owner is the agent in the Managed By field of each selected service
+  const ownerIds = rule.serviceOwners
+    ? data.selectedAssets
+      .filter(item => item.type === 'service')
+      .map(item => item.agent_id || item.managed_by)
+      .filter(Boolean)
+    : [];
+  
+  const result = await invokeServer('resolveApprovers', {
+    group_ids: rule.groups,
+    agent_ids: [...rule.agents, ...ownerIds]
+  });
+  
+  const approvers = (result.approvers || []).map(approver => {
+    const reasons = (result.groups || [])
+      .filter(group => group.member_ids.includes(approver.id))
+      .map(group => group.name);
+    if (rule.agents.includes(approver.id)) reasons.push('Named approver');
+    if (ownerIds.includes(approver.id)) reasons.push('Service owner');
+    return { ...approver, reasons };
+  });
+  
+  const missing = [...(result.missing || [])];
+  if (rule.serviceOwners && ownerIds.length === 0) {
+    missing.push('No selected service has an owner');
+  }
+  
+  return { rule, autoApprove: false, approvers, groups: result.groups || [], missing };
+}
+
+/**
+ * Show who will be asked to approve the change in the summary
+ */
+async function renderApprovalSummary() {
+  const container = document.getElementById('approval-summary');
+  if (!container) return;
+  
+  try {
+    pendingApprovalPlan = await resolveApprovalPlan(changeRequestData);
+  } catch (error) {
+    console.error('Error resolving approvers:', error);
+    pendingApprovalPlan = null;
+    container.innerHTML = html`<div class="alert alert-warning small">${getApiErrorMessage(error, 'Approvers could not be resolved')}. Approvals will have to be requested in Freshservice.</div>`;
+    return;
+  }
+  
+  const plan = pendingApprovalPlan;
+  let content;
+  if (!plan.rule) {
+    content = '<p class="text-secondary">No approval rule applies. Approvals follow your Freshservice workflow.</p>';
+  } else if (plan.autoApprove) {
+    content = html`<p><span class="badge bg-success">Auto-approved</span> ${plan.rule.name}</p>`;
+  } else {
+    content = html`
+      <p class="small text-secondary mb-2">Rule: ${plan.rule.name}</p>
+      <ul class="list-group">
+        ${plan.approvers.length > 0 ? plan.approvers.map(approver => html`
+          <li class="list-group-item">
+            ${approver.name} <span class="text-secondary small">${approver.email}</span>
+            <div class="small text-secondary">${approver.reasons.join(', ')}</div>
+          </li>
+        `) : html`<li class="list-group-item text-secondary">Nobody</li>`}
+      </ul>
+      ${plan.missing.length > 0 ? html`<div class="small text-warning mt-2">Not resolved: ${plan.missing.join(', ')}</div>` : ''}
+    `;
+  }
+  
+  container.innerHTML = content;
+}
+
+/**
+ * Request approval from every approver in the plan, or record an automatic approval
+ * @param {number} changeId - Change ID
+ * @param {Object} plan - Result of resolveApprovalPlan
+ * @returns {Promise<Array>} - One result per approver: { approver, status, error }
+ */
+async function requestChangeApprovals(changeId, plan) {
+  if (!plan || !plan.rule) return [];
+  
+  if (plan.autoApprove) {
+    try {
+      await invokeServer('createChangeNote', {
+        change_id: changeId,
+        body: String(html`<p>Auto-approved by the Change Request app under the approval rule "${plan.rule.name}".</p>`),
+        private: true
+      });
+    } catch (error) {
+      console.error(`Failed to record auto-approval on change ${changeId}:`, error);
+    }
+    return [];
+  }
+  
+  return requestApprovalsFrom(changeId, plan.approvers);
+}
+
+/**
+ * Request approval of a change from each of the given agents
+ * @param {number} changeId - Change ID
+ * @param {Array} approvers - Approvers from resolveApprovalPlan
+ * @returns {Promise<Array>} - One result per approver: { approver, status, error }
+ */
+async function requestApprovalsFrom(changeId, approvers) {
+  const results = [];
+  for (const approver of approvers) {
+    try {
+      await invokeServer('requestChangeApproval', { change_id: changeId, approver_id: approver.id });
+      results.push({ approver, status: 'requested' });
+    } catch (error) {
+      console.error(`Failed to request approval from ${approver.id} on change ${changeId}:`, error);
+      results.push({ approver, status: 'failed', error: getApiErrorMessage(error, 'Approval request failed') });
+    }
+  }
+  return results;
+}
+
+/**
+ * Save an edit to its Freshservice change, sending only the changed fields
+ */
+async function submitChangeEdit() {
+  const changeId = changeRequestData.editingChangeId;
+  const { fields, changedKeys } = await getPendingEdit();
+  
+  if (changedKeys.length === 0 && changeRequestData.attachments.length === 0) {
+    showNotification('info', `Nothing to save, CHN-${changeId} is unchanged`);
+    return;
+  }
+  
+  // The change may have moved on since it was opened
+  const current = await invokeServer('getChange', { change_id: changeId });
+  const lockReason = getEditLockReason(current.change);
+  if (lockReason) {
+    throw { message: lockReason };
+  }
+  
+  let change = current.change;
+  if (changedKeys.length > 0) {
+    const result = await invokeServer('updateChange', {
+      change_id: changeId,
+      payload: buildChangeUpdatePayload(fields, changedKeys)
+    });
+    change = result.change || change;
+  }
+  
+  const attachmentResults = await uploadChangeAttachments(changeId, changeRequestData.attachments);
+  const keptDraft = await settleSubmittedDraft(changeId, attachmentResults);
+  lastSubmission = {
+    change,
+    linkResults: [],
+    attachmentResults,
+    keptDraft,
+    updatedFields: changedKeys.map(key => EDITABLE_CHANGE_FIELDS[key])
+  };
+  
+  await showSubmissionResult(change);
+  
+  const failedUploads = attachmentResults.filter(result => result.status === 'failed').length;
+  if (failedUploads > 0) {
+    showNotification('warning', `CHN-${changeId} updated, but ${failedUploads} attachment${failedUploads === 1 ? '' : 's'} failed to upload. ${describeKeptDraft(keptDraft)}`);
+  } else {
+    showNotification('success', `CHN-${changeId} updated successfully!`);
+  }
+}
+
+/**
+ * Clear the submitted draft once its attachments are uploaded, or keep the ones
+ * that failed in a draft of their own
+ * @param {number} changeId - Change the draft was submitted to
+ * @param {Array} attachmentResults - Results of uploadChangeAttachments
+ * @returns {Promise<Object|null>} - { id, name } of the kept draft, or null when the draft was cleared or none could be kept
+ */
+async function settleSubmittedDraft(changeId, attachmentResults) {
+  const failed = attachmentResults.filter(result => result.status === 'failed').map(result => result.attachment);
+  if (failed.length === 0) {
+    await clearSavedData();
+    return null;
+  }
+  
+  return keepFailedAttachmentsDraft(changeId, failed);
+}
+
+/**
+ * Tell the agent where the attachments that failed to upload were kept
+ * @param {Object|null} keptDraft - { id, name } of the kept draft, or null when none was kept
+ * @returns {string} - Sentence for a notification
+ */
+function describeKeptDraft(keptDraft) {
+  if (!keptDraft) {
+    return 'Retry the failed uploads from the result, or add the files to the change in Freshservice.';
+  }
+  return `They were kept in the draft "${keptDraft.name}", re-attach the files there to try again.`;
+}
+
+/**
+ * Extract a readable message from a failed request
+ * @param {Object} error - Error returned by the request API
+ * @param {string} fallback - Message to use when nothing better is available
+ * @returns {string} - Error message
+ */
+function getApiErrorMessage(error, fallback) {
+  try {
+    if (error && error.response) {
+      const parsed = JSON.parse(error.response);
+      if (parsed && Array.isArray(parsed.errors) && parsed.errors.length > 0) {
+        return `${fallback}: ${parsed.errors.map(e => `${e.field ? e.field + ' ' : ''}${e.message}`).join('; ')}`;
+      }
+      if (parsed && parsed.description) {
+        return `${fallback}: ${parsed.description}`;
+      }
+    }
+  } catch (parseError) {
+    console.error('Error parsing API error response:', parseError);
+  }
+
+  // Errors rendered by the serverless functions carry their own message
+  if (error && typeof error.message === 'string' && error.message) {
+    return `${fallback}: ${error.message}`;
+  }
+
+  if (error && error.status) {
+    return `${fallback} (HTTP ${error.status})`;
+  }
+  return fallback;
+}
+
+/**
+ * Create a change in Freshservice from change request data
+ * @param {Object} data - Change request data
+ * @returns {Promise<Object>} - The created Freshservice change
+ */
+async function createChange(data) {
+  const payload = buildChangePayload(data);
+
+  try {
+    const response = await invokeServer('createChange', { payload });
+    return response.change;
+  } catch (error) {
+    console.error('Create change request failed:', error);
+    throw new Error(getApiErrorMessage(error, 'Failed to create change'));
+  }
+}
+
+/**
+ * Get how selected services should be attached to a change
+ * @returns {Promise<string>} - One of SERVICE_LINK_MODES
+ */
+async function getServiceLinkMode() {
+  try {
+    const iparams = await window.client.iparams.get('service_link_mode');
+    if (iparams && iparams.service_link_mode === SERVICE_LINK_MODES.NOTE) {
+      return SERVICE_LINK_MODES.NOTE;
+    }
+  } catch (error) {
+    console.error('Error reading service link mode:', error);
+  }
+  return SERVICE_LINK_MODES.CONFIGURATION_ITEM;
+}
+
+/**
+ * Get the identifier Freshservice uses to associate an item with a change
+ * @param {Object} item - Selected asset or service
+ * @returns {number|null} - Display ID of the item, or null when it has none
+ */
+function getItemDisplayId(item) {
+  // The internal ID is a different number, so it cannot stand in for a missing display ID
+  return item.display_id || null;
+}
+
+/**
+ * Associate selected assets and services with a change in one request. When
+ * that fails the items are linked one at a time so each failure can be
+ * reported individually.
+ * @param {number} changeId - Change ID
+ * @param {Array} items - Selected assets and services to link
+ * @param {Array} linkedIds - Display IDs already associated with the change
+ * @returns {Promise<Array>} - One result per item: { item, status, error }
+ */
+async function linkChangeItems(changeId, items, linkedIds = []) {
+  const serviceLinkMode = await getServiceLinkMode();
+  const currentIds = [...linkedIds];
+  const results = [];
+
+  const configurationItems = items.filter(item =>
+    item.type !== 'service' || serviceLinkMode === SERVICE_LINK_MODES.CONFIGURATION_ITEM);
+  const noteItems = items.filter(item => !configurationItems.includes(item));
+
+  // The assets list replaces the existing associations, so always send the full set
+  const linkAssets = displayIds => invokeServer('updateChange', {
+    change_id: changeId,
+    payload: {
+      assets: [...currentIds, ...displayIds].map(id => ({ display_id: id }))
+    }
+  });
+
+  configurationItems
+    .filter(item => !getItemDisplayId(item))
+    .forEach(item => results.push({ item, status: 'failed', error: 'No display ID to link it by' }));
+
+  let pendingItems = configurationItems.filter(getItemDisplayId);
+  if (pendingItems.length > 1) {
+    try {
+      await linkAssets(pendingItems.map(getItemDisplayId));
+      pendingItems.forEach(item => results.push({ item, status: 'linked' }));
+      pendingItems = [];
+    } catch (error) {
+      console.error(`Failed to link ${pendingItems.length} items to change ${changeId}, linking them one at a time:`, error);
+    }
+  }
+
+  for (const item of pendingItems) {
+    const displayId = getItemDisplayId(item);
+    try {
+      await linkAssets([displayId]);
+      currentIds.push(displayId);
+      results.push({ item, status: 'linked' });
+    } catch (error) {
+      console.error(`Failed to link ${item.name} to change ${changeId}:`, error);
+      results.push({ item, status: 'failed', error: getApiErrorMessage(error, 'Link failed') });
+    }
+  }
+
+  if (noteItems.length > 0) {
+    const serviceList = noteItems
+      .map(item => html`<li>${item.name || item.display_name || 'Unnamed'}${getItemDisplayId(item) ? html` (ID ${getItemDisplayId(item)})` : ''}</li>`);
+
+    try {
+      await invokeServer('createChangeNote', {
+        change_id: changeId,
+        body: String(html`<p><strong>Impacted services</strong></p><ul>${serviceList}</ul>`),
+        private: true
       });
-    });
+      noteItems.forEach(item => results.push({ item, status: 'recorded' }));
+    } catch (error) {
+      console.error(`Failed to record services on change ${changeId}:`, error);
+      const message = getApiErrorMessage(error, 'Note failed');
+      noteItems.forEach(item => results.push({ item, status: 'failed', error: message }));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Get the URL of a change in the Freshservice agent portal
+ * @param {number} changeId - Change ID
+ * @returns {Promise<string>} - Change URL
+ */
+async function getChangeUrl(changeId) {
+  try {
+    const iparams = await window.client.iparams.get('freshservice_domain');
+    if (iparams && iparams.freshservice_domain) {
+      return `https://${iparams.freshservice_domain}/a/changes/${changeId}`;
+    }
   } catch (error) {
-    console.error('Error rendering selected assets:', error);
+    console.error('Error reading Freshservice domain:', error);
   }
+  return `/a/changes/${changeId}`;
 }
 
-function showSummary() {
-  if (changeRequestData.selectedAssets.length === 0) {
-    showNotification('error', 'Please select at least one impacted asset');
+/**
+ * Show the created change in the confirmation modal
+ * @param {Object} change - The created Freshservice change
+ */
+async function showSubmissionResult(change) {
+  const changeUrl = await getChangeUrl(change.id);
+  const updatedFields = lastSubmission && lastSubmission.updatedFields;
+
+  document.getElementById('summary-content').innerHTML = html`
+    <div class="text-center py-4">
+      <div class="display-6 text-success mb-3"><i class="fas fa-check-circle"></i></div>
+      <h5>${updatedFields ? 'Change updated' : 'Change request submitted'}</h5>
+      <p class="mb-1">Freshservice change <strong>CHN-${change.id}</strong> has been ${updatedFields ? 'updated' : 'created'}.</p>
+      ${updatedFields && updatedFields.length > 0 ? html`<p class="small text-secondary mb-1">Updated: ${updatedFields.join(', ')}</p>` : ''}
+      <a href="${changeUrl}" target="_blank" rel="noopener noreferrer">Open CHN-${change.id} in Freshservice</a>
+    </div>
+    <div id="link-report"></div>
+    <div id="attachment-report"></div>
+    <div id="risk-note-report"></div>
+    <div id="approval-report"></div>
+  `;
+
+  renderLinkReport();
+  renderAttachmentReport();
+  renderRiskNoteReport();
+  renderApprovalReport();
+  setModalResultMode(true);
+}
+
+/**
+ * Render the per-item asset link report of the last submission
+ */
+function renderLinkReport() {
+  const container = document.getElementById('link-report');
+  if (!container || !lastSubmission || lastSubmission.linkResults.length === 0) {
     return;
   }
-  
-  const summaryContent = document.getElementById('summary-content');
-  
-  // Generate summary HTML with Bootstrap styling
-  summaryContent.innerHTML = `
-    <div class="summary-section mb-4">
-      <h5>Change Details</h5>
-      <hr>
-      <div class="row">
-        <div class="col-md-6">
-          <p><strong>Requester:</strong> ${changeRequestData.requester.first_name} ${changeRequestData.requester.last_name}</p>
-          <p><strong>Agent (Technical SME):</strong> ${changeRequestData.agent.first_name} ${changeRequestData.agent.last_name}</p>
-          <p><strong>Change Type:</strong> ${changeRequestData.changeType}</p>
-          <p><strong>Lead Time:</strong> ${changeRequestData.leadTime}</p>
-        </div>
-        <div class="col-md-6">
-          <p><strong>Planned Start:</strong> ${formatDateTime(changeRequestData.plannedStart)}</p>
-          <p><strong>Planned End:</strong> ${formatDateTime(changeRequestData.plannedEnd)}</p>
-        </div>
+
+  const statusBadges = {
+    'linked': html`<span class="badge bg-success">Linked</span>`,
+    'recorded': html`<span class="badge bg-info">Recorded in note</span>`,
+    'failed': html`<span class="badge bg-danger">Failed</span>`
+  };
+
+  const failedCount = lastSubmission.linkResults.filter(result => result.status === 'failed').length;
+
+  container.innerHTML = html`
+    <h6 class="mt-2">Impacted Assets</h6>
+    <ul class="list-group mb-3">
+      ${lastSubmission.linkResults.map(result => html`
+        <li class="list-group-item d-flex justify-content-between align-items-center">
+          <div>
+            ${result.item.name || result.item.display_name || 'Unnamed'}
+            <span class="badge bg-secondary ms-1">${result.item.type}</span>
+            ${result.error ? html`<div class="small text-danger">${result.error}</div>` : ''}
+          </div>
+          ${statusBadges[result.status]}
+        </li>
+      `)}
+    </ul>
+    ${failedCount > 0 ? html`
+      <div class="text-end">
+        <button id="retry-links" type="button" class="btn btn-outline-primary btn-sm">Retry ${failedCount} failed link${failedCount === 1 ? '' : 's'}</button>
       </div>
-      
-      <h6 class="mt-3">Implementation Plan</h6>
-      <p class="text-secondary">${changeRequestData.implementationPlan || 'Not provided'}</p>
-      
-      <h6 class="mt-3">Backout (Recovery) Plan</h6>
-      <p class="text-secondary">${changeRequestData.backoutPlan || 'Not provided'}</p>
-      
-      <h6 class="mt-3">Validation Plan</h6>
-      <p class="text-secondary">${changeRequestData.validationPlan || 'Not provided'}</p>
-    </div>
-    
-    <div class="summary-section mb-4">
-      <h5>Risk Assessment</h5>
-      <hr>
-      <div class="row">
-        <div class="col-md-6">
-          <p><strong>Risk Score:</strong> ${changeRequestData.riskAssessment.totalScore}</p>
-        </div>
-        <div class="col-md-6">
-          <p><strong>Risk Level:</strong> <span class="badge ${getRiskBadgeClass(changeRequestData.riskAssessment.riskLevel)}">${changeRequestData.riskAssessment.riskLevel}</span></p>
-        </div>
+    ` : ''}
+  `;
+
+  const retryButton = document.getElementById('retry-links');
+  if (retryButton) {
+    retryButton.addEventListener('click', retryFailedLinks);
+  }
+}
+
+/**
+ * Render the per-file attachment upload report of the last submission
+ */
+function renderAttachmentReport() {
+  const container = document.getElementById('attachment-report');
+  if (!container || !lastSubmission || lastSubmission.attachmentResults.length === 0) {
+    return;
+  }
+
+  const failedCount = lastSubmission.attachmentResults.filter(result => result.status === 'failed').length;
+
+  container.innerHTML = html`
+    <h6 class="mt-2">Attachments</h6>
+    <ul class="list-group mb-3">
+      ${lastSubmission.attachmentResults.map(result => html`
+        <li class="list-group-item d-flex justify-content-between align-items-center">
+          <div>
+            ${result.attachment.name}
+            <span class="text-secondary small ms-1">${formatFileSize(result.attachment.size)}</span>
+            ${result.error ? html`<div class="small text-danger">${result.error}</div>` : ''}
+          </div>
+          ${result.status === 'uploaded' ? html`<span class="badge bg-success">Uploaded</span>` : html`<span class="badge bg-danger">Failed</span>`}
+        </li>
+      `)}
+    </ul>
+    ${failedCount > 0 ? html`
+      <div class="text-end">
+        <button id="retry-uploads" type="button" class="btn btn-outline-primary btn-sm">Retry ${failedCount} failed upload${failedCount === 1 ? '' : 's'}</button>
       </div>
-    </div>
-    
-    <div class="summary-section">
-      <h5>Impacted Assets (${changeRequestData.selectedAssets.length})</h5>
-      <hr>
-      <ul class="list-group">
-        ${changeRequestData.selectedAssets.map(asset => `<li class="list-group-item">${asset.name} <span class="badge bg-secondary">${asset.type}</span></li>`).join('')}
-      </ul>
-    </div>
+    ` : ''}
   `;
-  
-  // Show the Bootstrap modal
-  const modalElement = document.getElementById('confirmation-modal');
-  const confirmationModal = new bootstrap.Modal(modalElement);
-  confirmationModal.show();
+
+  const retryButton = document.getElementById('retry-uploads');
+  if (retryButton) {
+    retryButton.addEventListener('click', retryFailedUploads);
+  }
 }
 
-function closeModal() {
-  const modalElement = document.getElementById('confirmation-modal');
-  const modal = bootstrap.Modal.getInstance(modalElement);
-  if (modal) {
-    modal.hide();
+/**
+ * Report a risk assessment note that could not be posted, with a retry
+ */
+function renderRiskNoteReport() {
+  const container = document.getElementById('risk-note-report');
+  const result = lastSubmission && lastSubmission.riskNoteResult;
+  if (!container || !result) {
+    return;
+  }
+
+  container.innerHTML = result.status === 'posted'
+    ? '<p class="small text-secondary">The risk assessment breakdown was added to the change as a private note.</p>'
+    : html`
+      <div class="alert alert-warning small d-flex justify-content-between align-items-center">
+        <span>${result.error}</span>
+        <button id="retry-risk-note" type="button" class="btn btn-outline-primary btn-sm">Retry</button>
+      </div>
+    `;
+
+  const retryButton = document.getElementById('retry-risk-note');
+  if (retryButton) {
+    retryButton.addEventListener('click', async () => {
+      retryButton.disabled = true;
+      lastSubmission.riskNoteResult = await postRiskAssessmentNote(lastSubmission.change.id, lastSubmission.riskNoteBody);
+      if (lastSubmission.riskNoteResult.status === 'posted') {
+        showNotification('success', 'Risk assessment note posted');
+      } else {
+        showNotification('error', 'The risk assessment note still could not be posted');
+      }
+      renderRiskNoteReport();
+    });
+  }
+}
+
+/**
+ * Render the approval requests of the last submission
+ */
+function renderApprovalReport() {
+  const container = document.getElementById('approval-report');
+  const results = lastSubmission && lastSubmission.approvalResults;
+  if (!container || !results || results.length === 0) {
+    return;
+  }
+
+  const failedCount = results.filter(result => result.status === 'failed').length;
+
+  container.innerHTML = html`
+    <h6 class="mt-2">Approval Requests</h6>
+    <ul class="list-group mb-3">
+      ${results.map(result => html`
+        <li class="list-group-item d-flex justify-content-between align-items-center">
+          <div>
+            ${result.approver.name}
+            ${result.error ? html`<div class="small text-danger">${result.error}</div>` : ''}
+          </div>
+          ${result.status === 'requested' ? html`<span class="badge bg-success">Requested</span>` : html`<span class="badge bg-danger">Failed</span>`}
+        </li>
+      `)}
+    </ul>
+    ${failedCount > 0 ? html`
+      <div class="text-end">
+        <button id="retry-approvals" type="button" class="btn btn-outline-primary btn-sm">Retry ${failedCount} failed approval request${failedCount === 1 ? '' : 's'}</button>
+      </div>
+    ` : ''}
+  `;
+
+  const retryButton = document.getElementById('retry-approvals');
+  if (retryButton) {
+    retryButton.addEventListener('click', retryFailedApprovals);
+  }
+}
+
+/**
+ * Retry the approval requests that failed during the last submission
+ */
+async function retryFailedApprovals() {
+  if (!lastSubmission) return;
+
+  const retryButton = document.getElementById('retry-approvals');
+  if (retryButton) retryButton.disabled = true;
+
+  const failed = lastSubmission.approvalResults.filter(result => result.status === 'failed');
+  const retryResults = await requestApprovalsFrom(lastSubmission.change.id, failed.map(result => result.approver));
+
+  lastSubmission.approvalResults = lastSubmission.approvalResults.map(result => {
+    if (result.status !== 'failed') return result;
+    return retryResults.find(retry => retry.approver === result.approver) || result;
+  });
+
+  const stillFailing = retryResults.filter(result => result.status === 'failed').length;
+  if (stillFailing > 0) {
+    showNotification('error', `${stillFailing} approval request${stillFailing === 1 ? '' : 's'} still failed`);
+  } else {
+    showNotification('success', 'All approvals are now requested');
+  }
+
+  renderApprovalReport();
+}
+
+/**
+ * Retry the attachment uploads that failed during the last submission
+ */
+async function retryFailedUploads() {
+  if (!lastSubmission) return;
+
+  const retryButton = document.getElementById('retry-uploads');
+  if (retryButton) {
+    retryButton.disabled = true;
+    retryButton.innerHTML = '<span class="spinner-border spinner-border-sm me-1" role="status"></span> Retrying...';
+  }
+
+  const failedAttachments = lastSubmission.attachmentResults
+    .filter(result => result.status === 'failed')
+    .map(result => result.attachment);
+
+  try {
+    const retryResults = await uploadChangeAttachments(lastSubmission.change.id, failedAttachments);
+
+    lastSubmission.attachmentResults = lastSubmission.attachmentResults.map(result => {
+      if (result.status !== 'failed') return result;
+      return retryResults.find(retry => retry.attachment === result.attachment) || result;
+    });
+
+    // Saving the kept draft later must not upload the same files again
+    const keptDraft = lastSubmission.keptDraft;
+    await updateKeptDraft(lastSubmission);
+
+    const stillFailing = retryResults.filter(result => result.status === 'failed').length;
+    if (stillFailing > 0) {
+      showNotification('error', `${stillFailing} attachment${stillFailing === 1 ? '' : 's'} still failed to upload`);
+    } else if (keptDraft && !lastSubmission.keptDraft) {
+      showNotification('success', `All attachments are now uploaded, so the draft "${keptDraft.name}" was removed`);
+    } else {
+      showNotification('success', 'All attachments are now uploaded');
+    }
+  } catch (error) {
+    handleErr(error);
   }
+
+  renderAttachmentReport();
+}
+
+/**
+ * Retry the asset links that failed during the last submission
+ */
+async function retryFailedLinks() {
+  if (!lastSubmission) return;
+
+  const retryButton = document.getElementById('retry-links');
+  if (retryButton) {
+    retryButton.disabled = true;
+    retryButton.innerHTML = '<span class="spinner-border spinner-border-sm me-1" role="status"></span> Retrying...';
+  }
+
+  const failedItems = lastSubmission.linkResults
+    .filter(result => result.status === 'failed')
+    .map(result => result.item);
+  const linkedIds = lastSubmission.linkResults
+    .filter(result => result.status === 'linked')
+    .map(result => getItemDisplayId(result.item));
+
+  try {
+    const retryResults = await linkChangeItems(lastSubmission.change.id, failedItems, linkedIds);
+
+    // Replace the failed entries with their retry outcome, keeping the original order
+    lastSubmission.linkResults = lastSubmission.linkResults.map(result => {
+      if (result.status !== 'failed') return result;
+      return retryResults.find(retry => retry.item === result.item) || result;
+    });
+
+    const stillFailing = retryResults.filter(result => result.status === 'failed').length;
+    if (stillFailing > 0) {
+      showNotification('error', `${stillFailing} asset link${stillFailing === 1 ? '' : 's'} still failed`);
+    } else {
+      showNotification('success', 'All impacted assets are now linked');
+    }
+  } catch (error) {
+    handleErr(error);
+  }
+
+  renderLinkReport();
+}
+
+/**
+ * Toggle the confirmation modal between review and result mode
+ * @param {boolean} showResult - Whether the modal shows a submission result
+ */
+function setModalResultMode(showResult) {
+  document.getElementById('edit-request').classList.toggle('hidden', showResult);
+  document.getElementById('confirm-submit').classList.toggle('hidden', showResult);
+  document.getElementById('new-request').classList.toggle('hidden', !showResult);
+}
+
+/**
+ * Disable the confirm button while a submission is in flight
+ * @param {boolean} submitting - Whether a submission is in progress
+ */
+function setSubmitting(submitting) {
+  const confirmButton = document.getElementById('confirm-submit');
+  confirmButton.disabled = submitting;
+  const label = changeRequestData.editingChangeId ? 'Save Changes' : 'Confirm & Submit';
+  confirmButton.innerHTML = submitting
+    ? '<span class="spinner-border spinner-border-sm me-1" role="status"></span> Submitting...'
+    : label;
 }
 
 async function submitChangeRequest() {
+  if (!isRiskConsistencyAcknowledged(changeRequestData)) {
+    showNotification('error', 'Please review the contradicting risk answers and confirm them before submitting');
+    return;
+  }
+  
+  setSubmitting(true);
+
   try {
-    // Here we would create the actual change request via the Freshservice API
-    // For now, we'll just simulate success
-    showNotification('success', 'Change request submitted successfully!');
-    
-    // Clear the saved draft after successful submission
-    await clearSavedData();
-    
-    // Close the modal
-    closeModal();
-    
-    // Reset form for new submission
-    resetForm();
+    if (changeRequestData.editingChangeId) {
+      await submitChangeEdit();
+      return;
+    }
+
+    const change = await createChange(changeRequestData);
+
+    const linkResults = await linkChangeItems(change.id, changeRequestData.selectedAssets);
+    const attachmentResults = await uploadChangeAttachments(change.id, changeRequestData.attachments);
+    const keptDraft = await settleSubmittedDraft(change.id, attachmentResults);
+    const riskNoteBody = buildRiskNoteHtml(changeRequestData);
+    const riskNoteResult = await postRiskAssessmentNote(change.id, riskNoteBody);
+    await pendingApprovalSummary;
+    const approvalResults = await requestChangeApprovals(change.id, pendingApprovalPlan);
+    lastSubmission = { change, linkResults, attachmentResults, keptDraft, riskNoteBody, riskNoteResult, approvalResults };
+
+    await showSubmissionResult(change);
+
+    const failedCount = linkResults.filter(result => result.status === 'failed').length;
+    const failedUploads = attachmentResults.filter(result => result.status === 'failed').length;
+    const failedApprovals = approvalResults.filter(result => result.status === 'failed').length;
+    if (failedCount > 0) {
+      showNotification('warning', `Change CHN-${change.id} created, but ${failedCount} asset link${failedCount === 1 ? '' : 's'} failed`);
+    } else if (failedUploads > 0) {
+      showNotification('warning', `Change CHN-${change.id} created, but ${failedUploads} attachment${failedUploads === 1 ? '' : 's'} failed to upload. ${describeKeptDraft(keptDraft)}`);
+    } else if (riskNoteResult.status === 'failed') {
+      showNotification('warning', `Change CHN-${change.id} created, but the risk assessment note could not be posted`);
+    } else if (failedApprovals > 0) {
+      showNotification('warning', `Change CHN-${change.id} created, but ${failedApprovals} approval request${failedApprovals === 1 ? '' : 's'} failed`);
+    } else {
+      showNotification('success', `Change request CHN-${change.id} submitted successfully!`);
+    }
   } catch (error) {
     handleErr(error);
+  } finally {
+    setSubmitting(false);
   }
 }
 
-function resetForm() {
-  // Create a new object rather than mutating the existing one
-  const newData = {
+/**
+ * Reset the form once a submission result has been dismissed
+ */
+function handleModalHidden() {
+  if (document.getElementById('new-request').classList.contains('hidden')) {
+    return;
+  }
+
+  setModalResultMode(false);
+  lastSubmission = null;
+
+  // Reset form for new submission
+  resetForm();
+  
+  // The submitted or updated change belongs in the list now
+  loadMyChanges(true);
+}
+
+/**
+ * Create change request data for an empty form
+ * @returns {Object} - Change request data with nothing filled in
+ */
+function createEmptyChangeRequestData() {
+  return {
     requester: null,
     agent: null,
     changeType: 'standard',
@@ -1849,19 +6896,24 @@ function resetForm() {
     plannedStart: '',
     plannedEnd: '',
     implementationPlan: '',
+    implementationSteps: null,
     backoutPlan: '',
     validationPlan: '',
-    riskAssessment: {
-      businessImpact: 0,
-      affectedUsers: 0,
-      complexity: 0,
-      testing: 0,
-      rollback: 0,
-      totalScore: 0,
-      riskLevel: ''
-    },
-    selectedAssets: []
+    riskAssessment: createEmptyRiskAssessment(),
+    selectedAssets: [],
+    attachments: [],
+    conflictAcknowledgement: null,
+    riskConsistencyAcknowledgement: null,
+    affectedUsersEstimate: null,
+    clonedFromChangeId: null,
+    editingChangeId: null,
+    editBaseline: null
   };
+}
+
+function resetForm() {
+  // Create a new object rather than mutating the existing one
+  const newData = createEmptyChangeRequestData();
   
   // Replace the current data with the new object
   Object.keys(newData).forEach(key => {
@@ -1880,22 +6932,124 @@ function resetForm() {
   
   document.getElementById('planned-start').value = '';
   document.getElementById('planned-end').value = '';
+  updateLeadTimeFeedback();
+  updateFreezeFeedback();
   document.getElementById('implementation-plan').value = '';
+  renderPlanSteps();
   document.getElementById('backout-plan').value = '';
   document.getElementById('validation-plan').value = '';
+  updatePlanLintFeedback();
   
-  const riskRadios = document.querySelectorAll('.risk-options input[type="radio"]');
-  riskRadios.forEach(radio => {
-    radio.checked = false;
-  });
+  renderRiskQuestionnaire();
   
   document.getElementById('risk-result').classList.add('hidden');
   document.getElementById('selected-assets').innerHTML = '';
+  renderDependencyTree();
+  
+  Object.keys(pendingFiles).forEach(id => delete pendingFiles[id]);
+  renderAttachments();
+  
+  document.getElementById('clone-report').classList.add('hidden');
+  updateEditModeBanner();
   
   // Switch back to the first tab
   switchTab('change-details');
 }
 
+// Safe rendering. Everything inserted as HTML, in the page or on a
+// Freshservice change, is built with the html tag below: interpolated values
+// are escaped unless they are markup built by html or formatRichText, so
+// names, plans and API fields always show as text.
+const SAFE_HTML = Symbol('safeHtml');
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} value - Text to escape
+ * @returns {string} - HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Mark markup as safe to insert. Only for markup built from escaped values.
+ * @param {string} markup - HTML
+ * @returns {Object} - Safe markup; String() or innerHTML gives the HTML back
+ */
+function markSafe(markup) {
+  return {
+    [SAFE_HTML]: true,
+    markup: String(markup),
+    toString() {
+      return this.markup;
+    },
+    toJSON() {
+      return this.markup;
+    }
+  };
+}
+
+/**
+ * Turn an interpolated value into HTML: safe markup as it is, arrays joined,
+ * and anything else escaped
+ * @param {*} value - Interpolated value
+ * @returns {string} - HTML
+ */
+function renderHtmlValue(value) {
+  if (value === undefined || value === null || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+  if (value[SAFE_HTML]) return value.markup;
+  return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes every interpolated value
+ * @example element.innerHTML = html`<strong>${requester.first_name}</strong>`;
+ * @returns {Object} - Safe markup
+ */
+function html(strings, ...values) {
+  return markSafe(strings.reduce((markup, string, index) =>
+    markup + string + (index < values.length ? renderHtmlValue(values[index]) : ''), ''));
+}
+
+/**
+ * Render plain text with the little formatting the app allows: line breaks,
+ * paragraphs, and lists from lines starting with "-", "*" or "1.".
+ * Everything else in the text is escaped.
+ * @param {string} text - Plain text
+ * @returns {Object} - Safe markup
+ */
+function formatRichText(text) {
+  const blocks = [];
+  let current = null;
+  
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const bullet = line.match(/^\s*[-*\u2022]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const item = bullet || numbered;
+    const tag = item ? (bullet ? 'ul' : 'ol') : 'p';
+    
+    if (!item && !line.trim()) {
+      current = null;
+      return;
+    }
+    if (!current || current.tag !== tag) {
+      current = { tag, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(item ? item[1] : line);
+  });
+  
+  return html`${blocks.map(block => (block.tag === 'p'
+    ? html`<p>${block.lines.map((line, index) => (index > 0 ? html`<br>${line}` : line))}</p>`
+    : html`<${markSafe(block.tag)}>${block.lines.map(line => html`<li>${line}</li>`)}</${markSafe(block.tag)}>`))}`;
+}
+
 function formatDateTime(dateTimeString) {
   if (!dateTimeString) return '';
   const date = new Date(dateTimeString);
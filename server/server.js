@@ -0,0 +1,803 @@
+/**
+ * Change Request App - serverless functions
+ * All Freshservice API traffic goes through the server methods below so auth,
+ * pagination, rate limit retries and response parsing live in one place.
+ */
+
+const PAGE_SIZE = 30;
+
+// Retry settings for HTTP 429 responses
+const MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 5000;
+
+// Mirrors ATTACHMENT_LIMITS.maxFileSize in app/scripts/app.js
+const MAX_ATTACHMENT_BYTES = 4 * 1024 * 1024;
+
+// Changes are listed newest first in pages of up to 100
+const CHANGE_PAGE_SIZE = 100;
+const CHANGE_MAX_PAGES = 5;
+
+// Overlapping changes whose associated assets are looked up, a few at a time
+const MAX_CONFLICT_CANDIDATES = 25;
+const CONFLICT_LOOKUP_CONCURRENCY = 5;
+
+// Related assets looked up one by one for a CMDB relationship listing
+const MAX_RELATED_ASSETS = 25;
+
+// Requesters are counted per department or location in pages of 100. 3 pages
+// are enough to tell the "more than 200 users" risk answer apart.
+const HEADCOUNT_PAGE_SIZE = 100;
+const HEADCOUNT_MAX_PAGES = 3;
+
+// API calls one affected-user estimate may make. Each department or location
+// takes one lookup for its name and up to HEADCOUNT_MAX_PAGES for its headcount.
+const MAX_HEADCOUNT_CALLS = 32;
+
+// Department and location headcounts counted at the same time
+const HEADCOUNT_CONCURRENCY = 3;
+
+// Freshservice change status of changes that no longer need a maintenance window
+const CHANGE_STATUS_CLOSED = 6;
+
+// Mirrors APP_CHANGE_MARKER in app/scripts/app.js, written into the description of every change the app creates
+const APP_CHANGE_MARKER = 'Submitted with the Change Request app';
+
+// Pages of changes scanned per call when listing an agent's changes
+const MY_CHANGES_PAGES_PER_CALL = 3;
+
+// Changes loaded at the same time to check whether the app created them
+const MY_CHANGES_LOOKUP_CONCURRENCY = 5;
+
+// Request template and response key for each kind of person search
+const PEOPLE_SEARCH = {
+  requester: { template: 'getRequesters', key: 'requesters', maxPages: 3 },
+  agent: { template: 'getAgents', key: 'agents', maxPages: 3 }
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Map items through an async function, running a limited number at a time
+ * @param {Array} items - Items to map
+ * @param {number} limit - Most calls in flight at once
+ * @param {Function} mapper - Async function called with each item and its index
+ * @returns {Promise<Array>} - Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Build the Basic auth header for the Freshservice API
+ * @param {Object} iparams - Installation parameters
+ * @returns {string} - Authorization header value
+ */
+function getAuthHeader(iparams) {
+  return `Basic ${Buffer.from(`${iparams.api_key}:X`).toString('base64')}`;
+}
+
+/**
+ * Turn a failed Freshservice response into a { status, message } error
+ * @param {Object} error - Error with status and raw response body
+ * @param {string} action - What was being attempted, for the message
+ * @returns {Object} - Normalized error
+ */
+function normalizeError(error, action) {
+  const status = (error && error.status) || 500;
+  let message = `${action} failed (HTTP ${status})`;
+
+  try {
+    const parsed = JSON.parse((error && error.response) || '{}');
+    if (Array.isArray(parsed.errors) && parsed.errors.length > 0) {
+      message = `${action} failed: ${parsed.errors.map(e => `${e.field ? e.field + ' ' : ''}${e.message}`).join('; ')}`;
+    } else if (parsed.description) {
+      message = `${action} failed: ${parsed.description}`;
+    }
+  } catch (parseError) {
+    console.error(`Could not parse error response for ${action}:`, parseError);
+  }
+
+  return { status, message };
+}
+
+/**
+ * Run a request, waiting and retrying when Freshservice rate limits the app
+ * @param {Function} request - Returns a promise that rejects with { status, headers, response }
+ * @param {string} action - What is being attempted, for logs and errors
+ * @returns {Promise<Object>} - Resolved value of the request
+ */
+async function withRateLimitRetry(request, action) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (error && error.status === 429 && attempt < MAX_ATTEMPTS) {
+        const retryAfter = parseInt(error.headers && error.headers['retry-after'], 10);
+        const delay = Math.min(retryAfter > 0 ? retryAfter * 1000 : DEFAULT_RETRY_DELAY_MS * attempt, MAX_RETRY_DELAY_MS);
+        console.warn(`${action} was rate limited, retrying in ${delay}ms (attempt ${attempt} of ${MAX_ATTEMPTS})`);
+        await sleep(delay);
+        continue;
+      }
+      console.error(`${action} failed:`, error);
+      throw normalizeError(error, action);
+    }
+  }
+}
+
+/**
+ * Invoke a request template and parse its JSON response
+ * @param {string} templateName - Name of the template in config/requests.json
+ * @param {Object} options - Template options (context, body, path_suffix)
+ * @returns {Promise<Object>} - Parsed response body
+ */
+async function invokeFreshservice(templateName, options = {}) {
+  const data = await withRateLimitRetry(() => $request.invokeTemplate(templateName, options), templateName);
+  return data && data.response ? JSON.parse(data.response) : {};
+}
+
+/**
+ * Load consecutive pages of a Freshservice list endpoint
+ * @param {string} templateName - Name of the template in config/requests.json
+ * @param {string} key - Response property holding the list
+ * @param {string} encodedQuery - Encoded query parameter value
+ * @param {number} maxPages - Maximum number of pages to load
+ * @param {number} perPage - Items per page
+ * @returns {Promise<Array>} - Items from all loaded pages
+ */
+async function fetchPages(templateName, key, encodedQuery, maxPages, perPage = PAGE_SIZE) {
+  let results = [];
+
+  for (let page = 1; page <= maxPages; page++) {
+    const data = await invokeFreshservice(templateName, {
+      path_suffix: `?query=${encodedQuery}&page=${page}&per_page=${perPage}`
+    });
+    const items = Array.isArray(data[key]) ? data[key] : [];
+    results = results.concat(items);
+
+    // A short page means there is nothing more to load
+    if (items.length < perPage) break;
+  }
+
+  return results;
+}
+
+/**
+ * Count the requesters matching a filter, up to HEADCOUNT_MAX_PAGES pages
+ * @param {string} filter - Requester filter such as department_id:12
+ * @returns {Promise<Object>} - { count, atLeast }, atLeast when the count stopped at the page limit
+ */
+async function countRequesters(filter) {
+  const requesters = await fetchPages('getRequesters', 'requesters', encodeURIComponent(`"${filter}"`), HEADCOUNT_MAX_PAGES, HEADCOUNT_PAGE_SIZE);
+  return { count: requesters.length, atLeast: requesters.length >= HEADCOUNT_MAX_PAGES * HEADCOUNT_PAGE_SIZE };
+}
+
+/**
+ * Check whether a change's planned window overlaps a time range
+ * @param {Object} change - Freshservice change
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {boolean} - True when the windows overlap
+ */
+function overlapsWindow(change, start, end) {
+  if (!change.planned_start_date || !change.planned_end_date) return false;
+  return new Date(change.planned_start_date) < end && new Date(change.planned_end_date) > start;
+}
+
+/**
+ * Get the display name of an agent, caching lookups for one request. The
+ * lookup itself is cached so concurrent callers share it.
+ * @param {number} agentId - Agent ID
+ * @param {Map} cache - Name lookups already started
+ * @returns {Promise<string>} - Agent name, or an empty string if unknown
+ */
+async function getAgentName(agentId, cache) {
+  if (!agentId) return '';
+  if (!cache.has(agentId)) {
+    cache.set(agentId, invokeFreshservice('getAgent', { context: { agent_id: agentId } })
+      .then(data => {
+        const agent = data.agent || {};
+        return `${agent.first_name || ''} ${agent.last_name || ''}`.trim();
+      })
+      .catch(error => {
+        console.error(`Could not look up agent ${agentId}:`, error);
+        return '';
+      }));
+  }
+  return cache.get(agentId);
+}
+
+/**
+ * Format a date as YYYY-MM-DD for a Freshservice filter query
+ * @param {Date} date - Date to format
+ * @returns {string} - UTC calendar date
+ */
+function toFilterDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * List the changes whose planned window may overlap a time range. The filter
+ * endpoint narrows them down by day; when it is unavailable the newest changes
+ * are scanned instead.
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Promise<Object>} - { changes, complete }, complete when no page limit was reached
+ */
+async function listChangesInWindow(start, end) {
+  // Filter dates are whole days, so the range is widened by a day on each side
+  const dayBefore = toFilterDate(new Date(start.getTime() - 24 * 60 * 60 * 1000));
+  const dayAfter = toFilterDate(new Date(end.getTime() + 24 * 60 * 60 * 1000));
+  const query = encodeURIComponent(`"planned_start_date:<'${dayAfter}' AND planned_end_date:>'${dayBefore}'"`);
+
+  try {
+    const changes = await fetchPages('filterChanges', 'changes', query, CHANGE_MAX_PAGES);
+    return { changes, complete: changes.length < CHANGE_MAX_PAGES * PAGE_SIZE };
+  } catch (error) {
+    if (error.status !== 400 && error.status !== 404) throw error;
+    console.warn('Changes could not be filtered by planned window, scanning the newest changes instead:', error);
+  }
+
+  let changes = [];
+  for (let page = 1; page <= CHANGE_MAX_PAGES; page++) {
+    const data = await invokeFreshservice('getChanges', {
+      path_suffix: `?page=${page}&per_page=${CHANGE_PAGE_SIZE}`
+    });
+    const items = Array.isArray(data.changes) ? data.changes : [];
+    changes = changes.concat(items);
+
+    if (items.length < CHANGE_PAGE_SIZE) return { changes, complete: true };
+  }
+  return { changes, complete: false };
+}
+
+/**
+ * Load one page of the changes an agent requested or owns, newest first. The
+ * filter endpoint returns only their changes; when it is unavailable the page
+ * comes from the full change list and the caller keeps the agent's changes.
+ * @param {number} userId - Agent ID
+ * @param {number} page - Page number
+ * @param {Object} source - { filtered }, switched off for the rest of the call once filtering fails
+ * @returns {Promise<Object>} - { changes, last }, last when there are no more pages
+ */
+async function getMyChangesPage(userId, page, source) {
+  if (source.filtered) {
+    try {
+      const query = encodeURIComponent(`"requester_id:${userId} OR agent_id:${userId}"`);
+      const data = await invokeFreshservice('filterChanges', {
+        path_suffix: `?query=${query}&page=${page}&per_page=${PAGE_SIZE}`
+      });
+      const changes = Array.isArray(data.changes) ? data.changes : [];
+      return { changes, last: changes.length < PAGE_SIZE };
+    } catch (error) {
+      if (error.status !== 400 && error.status !== 404) throw error;
+      console.warn('Changes could not be filtered by agent, scanning all changes instead:', error);
+      source.filtered = false;
+    }
+  }
+
+  const data = await invokeFreshservice('getChanges', {
+    path_suffix: `?page=${page}&per_page=${CHANGE_PAGE_SIZE}`
+  });
+  const changes = Array.isArray(data.changes) ? data.changes : [];
+  return { changes, last: changes.length < CHANGE_PAGE_SIZE };
+}
+
+/**
+ * Check whether the app created a change, loading the change when the list
+ * did not include its description
+ * @param {Object} change - Freshservice change from the list
+ * @returns {Promise<boolean>} - True when the description has the app marker
+ */
+async function isAppCreatedChange(change) {
+  let description = change.description_text || change.description;
+  if (description === undefined) {
+    const data = await invokeFreshservice('getChange', { context: { change_id: change.id } });
+    description = data.change && (data.change.description_text || data.change.description);
+  }
+  return String(description || '').includes(APP_CHANGE_MARKER);
+}
+
+/**
+ * Run a server method handler and render its result or error
+ * @param {Function} handler - Returns the data to render
+ */
+async function respond(handler) {
+  try {
+    renderData(null, await handler());
+  } catch (error) {
+    console.error('Server method failed:', error);
+    renderData({
+      status: (error && error.status) || 500,
+      message: (error && error.message) || 'Unexpected error'
+    });
+  }
+}
+
+function badRequest(message) {
+  return { status: 400, message };
+}
+
+exports = {
+  /**
+   * Search requesters or agents by name or email
+   * @param {Object} args - { type: 'requester' | 'agent', term }
+   */
+  searchPeople: async function(args) {
+    await respond(async () => {
+      const search = PEOPLE_SEARCH[args.type];
+      const term = String(args.term || '').trim();
+      if (!search) throw badRequest(`Unknown people search type: ${args.type}`);
+      if (term.length < 2) return { results: [] };
+
+      const people = await fetchPages(search.template, search.key, encodeURIComponent(`"${term}"`), search.maxPages);
+
+      // The API query is loose, so keep only people whose name or email matches
+      const lowerTerm = term.toLowerCase();
+      const results = people.filter(person => {
+        const fullName = `${person.first_name || ''} ${person.last_name || ''}`.toLowerCase();
+        const email = (person.primary_email || person.email || '').toLowerCase();
+        return fullName.includes(lowerTerm) || email.includes(lowerTerm);
+      });
+
+      return { results };
+    });
+  },
+
+  /**
+   * Search assets and services by name, tagging each result with its type
+   * @param {Object} args - { term }
+   */
+  searchCatalog: async function(args) {
+    await respond(async () => {
+      const term = String(args.term || '').trim();
+      if (term.length < 2) return { results: [] };
+
+      const encodedQuery = encodeURIComponent(`"~[name|display_name]:'${term}'"`);
+
+      // One failing source should not hide the results of the other
+      const [assets, services] = await Promise.all([
+        fetchPages('getAssets', 'assets', encodedQuery, 2).catch(error => {
+          console.error('Asset search failed:', error);
+          return [];
+        }),
+        fetchPages('getServices', 'services', encodedQuery, 2).catch(error => {
+          console.error('Service search failed:', error);
+          return [];
+        })
+      ]);
+
+      return {
+        results: [
+          ...assets.map(item => ({ ...item, type: 'asset' })),
+          ...services.map(item => ({ ...item, type: 'service' }))
+        ]
+      };
+    });
+  },
+
+  /**
+   * List the assets related to an asset in the CMDB. Upstream assets are the
+   * primary of a relationship with the asset, such as an application that
+   * depends on it; downstream assets are the secondary. Relationships to
+   * people, departments and software are skipped.
+   * @param {Object} args - { display_id }
+   */
+  getAssetRelationships: async function(args) {
+    await respond(async () => {
+      const displayId = parseInt(args.display_id, 10);
+      if (!displayId) throw badRequest('An asset display ID is required');
+
+      const [relationshipData, typeData] = await Promise.all([
+        invokeFreshservice('getAssetRelationships', { context: { display_id: displayId } }),
+        invokeFreshservice('getRelationshipTypes')
+      ]);
+      const relationshipTypes = new Map((typeData.relationship_types || []).map(type => [type.id, type]));
+
+      const links = (Array.isArray(relationshipData.relationships) ? relationshipData.relationships : [])
+        .map(relationship => {
+          const upstream = !(relationship.primary_type === 'asset' && relationship.primary_id === displayId);
+          const type = relationshipTypes.get(relationship.relationship_type_id) || {};
+          return {
+            direction: upstream ? 'upstream' : 'downstream',
+            relation: (upstream ? type.upstream_relation : type.downstream_relation) || 'Related to',
+            itemType: upstream ? relationship.primary_type : relationship.secondary_type,
+            itemId: upstream ? relationship.primary_id : relationship.secondary_id
+          };
+        })
+        .filter(link => link.itemType === 'asset' && link.itemId !== displayId);
+
+      // Relationships only name the related asset's display ID, so each one is loaded on its own
+      const truncated = links.length > MAX_RELATED_ASSETS;
+      const related = [];
+      for (const link of links.slice(0, MAX_RELATED_ASSETS)) {
+        try {
+          const data = await invokeFreshservice('getAsset', { context: { display_id: link.itemId } });
+          if (!data.asset) continue;
+          related.push({ direction: link.direction, relation: link.relation, item: { ...data.asset, type: 'asset' } });
+        } catch (error) {
+          console.error(`Could not load related asset ${link.itemId}:`, error);
+        }
+      }
+
+      return { related, truncated };
+    });
+  },
+
+  /**
+   * Count the people in departments and locations for an affected-user
+   * estimate. Lookups beyond the MAX_HEADCOUNT_CALLS budget are skipped.
+   * @param {Object} args - { department_ids, location_ids }
+   */
+  estimateAffectedUsers: async function(args) {
+    await respond(async () => {
+      const idsOf = values => [...new Set((Array.isArray(values) ? values : []).map(value => parseInt(value, 10)).filter(Boolean))];
+      const lookups = [
+        ...idsOf(args.department_ids).map(id => ({ kind: 'department', id, template: 'getDepartment', context: { department_id: id } })),
+        ...idsOf(args.location_ids).map(id => ({ kind: 'location', id, template: 'getLocation', context: { location_id: id } }))
+      ];
+      const maxLookups = Math.floor(MAX_HEADCOUNT_CALLS / (1 + HEADCOUNT_MAX_PAGES));
+
+      const counted = await mapWithConcurrency(lookups.slice(0, maxLookups), HEADCOUNT_CONCURRENCY, async lookup => {
+        const label = lookup.kind === 'department' ? 'Department' : 'Location';
+        try {
+          const [data, headcount] = await Promise.all([
+            invokeFreshservice(lookup.template, { context: lookup.context }),
+            countRequesters(`${lookup.kind}_id:${lookup.id}`)
+          ]);
+          const record = data[lookup.kind] || {};
+          return { kind: lookup.kind, id: lookup.id, name: record.name || `${label} ${lookup.id}`, ...headcount };
+        } catch (error) {
+          console.error(`Could not count the people in ${lookup.kind} ${lookup.id}:`, error);
+          return null;
+        }
+      });
+
+      return { sources: counted.filter(Boolean), skipped: Math.max(lookups.length - maxLookups, 0) };
+    });
+  },
+
+  /**
+   * Get a location by ID
+   * @param {Object} args - { location_id }
+   */
+  getLocation: async function(args) {
+    await respond(async () => {
+      if (!args.location_id) throw badRequest('A location ID is required');
+
+      const data = await invokeFreshservice('getLocation', {
+        context: { location_id: args.location_id }
+      });
+      return { location: data.location || null };
+    });
+  },
+
+  /**
+   * Get a requester by ID
+   * @param {Object} args - { requester_id }
+   */
+  getRequester: async function(args) {
+    await respond(async () => {
+      if (!args.requester_id) throw badRequest('A requester ID is required');
+
+      const data = await invokeFreshservice('getRequesterDetails', {
+        context: { requester_id: args.requester_id }
+      });
+      return { requester: data.requester || null };
+    });
+  },
+
+  /**
+   * Get a change with its requester and agent
+   * @param {Object} args - { change_id }
+   */
+  getChange: async function(args) {
+    await respond(async () => {
+      if (!args.change_id) throw badRequest('A change ID is required');
+
+      const data = await invokeFreshservice('getChange', {
+        context: { change_id: args.change_id }
+      });
+      const change = data.change;
+      if (!change) throw { status: 404, message: `Change ${args.change_id} was not found` };
+
+      // Deactivated people can no longer be looked up, which should not stop the change from loading
+      const [requester, agent] = await Promise.all([
+        change.requester_id
+          ? invokeFreshservice('getRequesterDetails', { context: { requester_id: change.requester_id } })
+            .then(result => result.requester || null)
+            .catch(() => null)
+          : null,
+        change.agent_id
+          ? invokeFreshservice('getAgent', { context: { agent_id: change.agent_id } })
+            .then(result => result.agent || null)
+            .catch(() => null)
+          : null
+      ]);
+
+      return { change, requester, agent };
+    });
+  },
+
+  /**
+   * Create a change
+   * @param {Object} args - { payload }
+   */
+  createChange: async function(args) {
+    await respond(async () => {
+      if (!args.payload) throw badRequest('A change payload is required');
+
+      const data = await invokeFreshservice('createChange', {
+        body: JSON.stringify(args.payload)
+      });
+      if (!data.change || !data.change.id) {
+        throw { status: 502, message: 'Freshservice did not return the created change' };
+      }
+      return { change: data.change };
+    });
+  },
+
+  /**
+   * Update fields of a change
+   * @param {Object} args - { change_id, payload }
+   */
+  updateChange: async function(args) {
+    await respond(async () => {
+      if (!args.change_id || !args.payload) throw badRequest('A change ID and payload are required');
+
+      const data = await invokeFreshservice('updateChange', {
+        context: { change_id: args.change_id },
+        body: JSON.stringify(args.payload)
+      });
+      return { change: data.change || null };
+    });
+  },
+
+  /**
+   * Add a note to a change
+   * @param {Object} args - { change_id, body, private }
+   */
+  createChangeNote: async function(args) {
+    await respond(async () => {
+      if (!args.change_id || !args.body) throw badRequest('A change ID and note body are required');
+
+      const data = await invokeFreshservice('createChangeNote', {
+        context: { change_id: args.change_id },
+        body: JSON.stringify({
+          body: args.body,
+          private: args.private !== false
+        })
+      });
+      return { note: data.note || data.conversation || null };
+    });
+  },
+
+  /**
+   * List the app-created changes an agent requested or owns, newest first.
+   * Scans a few pages per call and returns where to continue. Changes the
+   * caller already knows the origin of are not loaded again.
+   * @param {Object} args - { user_id, page, statuses, from, to, known_origins }, known_origins maps change IDs to whether the app created them
+   * @returns {Object} - { changes, next_page, origins }, origins covering every change that was checked
+   */
+  listMyChanges: async function(args) {
+    await respond(async () => {
+      const userId = parseInt(args.user_id, 10);
+      if (!userId) throw badRequest('A user ID is required');
+
+      const statuses = (args.statuses || []).map(status => parseInt(status, 10)).filter(Boolean);
+      const from = args.from ? new Date(args.from) : null;
+      const to = args.to ? new Date(args.to) : null;
+      const firstPage = parseInt(args.page, 10) || 1;
+      const knownOrigins = args.known_origins && typeof args.known_origins === 'object' ? args.known_origins : {};
+
+      const candidates = [];
+      const source = { filtered: true };
+      let nextPage = null;
+      for (let page = firstPage; page < firstPage + MY_CHANGES_PAGES_PER_CALL; page++) {
+        const { changes, last } = await getMyChangesPage(userId, page, source);
+
+        for (const change of changes) {
+          const role = change.requester_id === userId ? 'requester' : change.agent_id === userId ? 'owner' : null;
+          if (!role) continue;
+          if (statuses.length > 0 && !statuses.includes(change.status)) continue;
+          if (from && (!change.planned_end_date || new Date(change.planned_end_date) < from)) continue;
+          if (to && (!change.planned_start_date || new Date(change.planned_start_date) > to)) continue;
+          candidates.push({ change, role });
+        }
+
+        if (last) {
+          nextPage = null;
+          break;
+        }
+        nextPage = page + 1;
+      }
+
+      // Only changes of unknown origin are loaded for their description, a few at a time
+      const origins = {};
+      await mapWithConcurrency(candidates, MY_CHANGES_LOOKUP_CONCURRENCY, async ({ change }) => {
+        origins[change.id] = typeof knownOrigins[change.id] === 'boolean'
+          ? knownOrigins[change.id]
+          : await isAppCreatedChange(change);
+      });
+
+      const results = candidates
+        .filter(({ change }) => origins[change.id])
+        .map(({ change, role }) => ({
+          id: change.id,
+          subject: change.subject,
+          status: change.status,
+          risk: change.risk,
+          planned_start_date: change.planned_start_date,
+          planned_end_date: change.planned_end_date,
+          role
+        }));
+
+      return { changes: results, next_page: nextPage, origins };
+    });
+  },
+
+  /**
+   * Find open changes scheduled in an overlapping window that touch any of the given items
+   * @param {Object} args - { planned_start, planned_end, display_ids, exclude_change_id }
+   */
+  findChangeConflicts: async function(args) {
+    await respond(async () => {
+      const start = new Date(args.planned_start);
+      const end = new Date(args.planned_end);
+      const displayIds = (args.display_ids || []).map(id => parseInt(id, 10)).filter(Boolean);
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) throw badRequest('A planned start and end are required');
+      if (displayIds.length === 0) return { conflicts: [], truncated: false, skipped: 0 };
+
+      const listed = await listChangesInWindow(start, end);
+      const candidates = listed.changes.filter(change =>
+        change.status !== CHANGE_STATUS_CLOSED &&
+        String(change.id) !== String(args.exclude_change_id || '') &&
+        overlapsWindow(change, start, end));
+
+      // The list does not include associated assets, so each candidate is loaded on its own
+      const truncated = !listed.complete || candidates.length > MAX_CONFLICT_CANDIDATES;
+      const agentNames = new Map();
+      let skipped = 0;
+      const conflicts = await mapWithConcurrency(candidates.slice(0, MAX_CONFLICT_CANDIDATES), CONFLICT_LOOKUP_CONCURRENCY, async candidate => {
+        let data;
+        try {
+          data = await invokeFreshservice('getChange', { context: { change_id: candidate.id } });
+        } catch (error) {
+          // A change that cannot be loaded is left out rather than failing the whole check
+          console.error(`Could not load change ${candidate.id} to check for conflicts:`, error);
+          skipped++;
+          return null;
+        }
+        const change = data.change || candidate;
+        const items = (Array.isArray(change.assets) ? change.assets : [])
+          .filter(asset => displayIds.includes(asset.display_id));
+        if (items.length === 0) return null;
+
+        return {
+          id: change.id,
+          subject: change.subject,
+          status: change.status,
+          planned_start_date: change.planned_start_date,
+          planned_end_date: change.planned_end_date,
+          owner: await getAgentName(change.agent_id, agentNames),
+          items: items.map(asset => ({ display_id: asset.display_id, name: asset.name }))
+        };
+      });
+
+      return { conflicts: conflicts.filter(Boolean), truncated, skipped };
+    });
+  },
+
+  /**
+   * Look up approver agents, expanding agent groups into their members
+   * @param {Object} args - { agent_ids, group_ids }
+   */
+  resolveApprovers: async function(args) {
+    await respond(async () => {
+      const groups = [];
+      const missing = [];
+      const agentIds = new Set((args.agent_ids || []).map(id => parseInt(id, 10)).filter(Boolean));
+
+      for (const groupId of (args.group_ids || []).map(id => parseInt(id, 10)).filter(Boolean)) {
+        try {
+          const data = await invokeFreshservice('getGroup', { context: { group_id: groupId } });
+          const group = data.group || {};
+          const memberIds = Array.isArray(group.members) ? group.members : [];
+          groups.push({ id: groupId, name: group.name || `Group ${groupId}`, member_ids: memberIds });
+          memberIds.forEach(id => agentIds.add(id));
+        } catch (error) {
+          console.error(`Could not load approver group ${groupId}:`, error);
+          missing.push(`Group ${groupId}`);
+        }
+      }
+
+      const approvers = [];
+      for (const agentId of agentIds) {
+        try {
+          const data = await invokeFreshservice('getAgent', { context: { agent_id: agentId } });
+          const agent = data.agent || {};
+          approvers.push({
+            id: agentId,
+            name: `${agent.first_name || ''} ${agent.last_name || ''}`.trim() || `Agent ${agentId}`,
+            email: agent.email || ''
+          });
+        } catch (error) {
+          console.error(`Could not load approver ${agentId}:`, error);
+          missing.push(`Agent ${agentId}`);
+        }
+      }
+
+      return { approvers, groups, missing };
+    });
+  },
+
+  /**
+   * Request approval of a change from an agent
+   * @param {Object} args - { change_id, approver_id }
+   */
+  requestChangeApproval: async function(args) {
+    await respond(async () => {
+      if (!args.change_id || !args.approver_id) throw badRequest('A change ID and approver ID are required');
+
+      const data = await invokeFreshservice('createChangeApproval', {
+        context: { change_id: args.change_id },
+        body: JSON.stringify({ approver_id: args.approver_id })
+      });
+      return { approval: data.approval || null };
+    });
+  },
+
+  /**
+   * Upload a single attachment to a change as a multipart request.
+   * The request templates only send string bodies, so this uses fetch directly.
+   * @param {Object} args - { change_id, file: { name, type, content }, iparams }
+   */
+  uploadChangeAttachment: async function(args) {
+    await respond(async () => {
+      const changeId = parseInt(args.change_id, 10);
+      const file = args.file || {};
+      if (!changeId || !file.name || !file.content) {
+        throw badRequest('A change ID and file content are required');
+      }
+
+      const content = Buffer.from(file.content, 'base64');
+      if (content.length > MAX_ATTACHMENT_BYTES) {
+        throw { status: 413, message: `${file.name} is larger than the allowed attachment size` };
+      }
+
+      await withRateLimitRetry(async () => {
+        const form = new FormData();
+        form.append('attachments[]', new Blob([content], { type: file.type || 'application/octet-stream' }), file.name);
+
+        const response = await fetch(`https://${args.iparams.freshservice_domain}/api/v2/changes/${changeId}`, {
+          method: 'PUT',
+          headers: {
+            Authorization: getAuthHeader(args.iparams)
+          },
+          body: form
+        });
+
+        if (!response.ok) {
+          throw {
+            status: response.status,
+            headers: { 'retry-after': response.headers.get('retry-after') },
+            response: await response.text()
+          };
+        }
+      }, `Uploading ${file.name}`);
+
+      return { change_id: changeId, name: file.name };
+    });
+  }
+};
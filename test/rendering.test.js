@@ -0,0 +1,355 @@
+/**
+ * Rendering tests for app/scripts/app.js. Hostile names, plans and API values
+ * are rendered into app/index.html in jsdom, and the result must show them as
+ * text without creating elements, attributes or event handlers from them.
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const APP_DIR = path.join(__dirname, '..', 'app');
+const INDEX_HTML = fs.readFileSync(path.join(APP_DIR, 'index.html'), 'utf8');
+const APP_SCRIPT = new vm.Script(fs.readFileSync(path.join(APP_DIR, 'scripts', 'app.js'), 'utf8'), { filename: 'app.js' });
+
+// Markup that becomes live when it reaches innerHTML unescaped
+const IMG_PAYLOAD = '<img src=x onerror=alert(1)>';
+const SCRIPT_PAYLOAD = '"><script>alert(2)</script>';
+const QUOTE_PAYLOAD = '" onmouseover="alert(3)" data-x="\' onfocus=\'alert(4)\' autofocus=\'';
+const PAYLOADS = [IMG_PAYLOAD, SCRIPT_PAYLOAD, QUOTE_PAYLOAD];
+
+let openWindows = [];
+
+afterEach(() => {
+  openWindows.forEach(window => window.close());
+  openWindows = [];
+});
+
+/**
+ * Load index.html and app.js into a new jsdom window, with stand-ins for the
+ * Freshworks client and Bootstrap
+ * @returns {Object} - jsdom window
+ */
+function loadApp() {
+  const dom = new JSDOM(INDEX_HTML, { runScripts: 'outside-only', url: 'https://example.freshservice.com/' });
+  const window = dom.window;
+  openWindows.push(window);
+  
+  class Modal {
+    static getInstance() { return null; }
+    static getOrCreateInstance() { return new Modal(); }
+    show() {}
+    hide() {}
+  }
+  window.bootstrap = { Modal };
+  window.client = {
+    request: { invoke: async () => ({ response: {} }) },
+    db: {
+      get: async () => { throw { status: 404 }; },
+      set: async () => ({}),
+      delete: async () => ({})
+    },
+    iparams: { get: async () => ({}) },
+    interface: { trigger: async () => ({}) }
+  };
+  // Run as a script, like the page does, so its top-level constants stay reachable from window.eval
+  APP_SCRIPT.runInContext(dom.getInternalVMContext());
+  return window;
+}
+
+/**
+ * Build a person whose every text field is hostile
+ * @param {number} id - Person ID
+ * @returns {Object} - Requester or agent
+ */
+function hostilePerson(id) {
+  return {
+    id,
+    first_name: IMG_PAYLOAD,
+    last_name: SCRIPT_PAYLOAD,
+    email: QUOTE_PAYLOAD,
+    primary_email: QUOTE_PAYLOAD,
+    job_title: IMG_PAYLOAD,
+    location_name: SCRIPT_PAYLOAD,
+    manager_name: QUOTE_PAYLOAD,
+    department_names: [IMG_PAYLOAD]
+  };
+}
+
+/**
+ * Build a hostile asset or service
+ * @param {number} displayId - Display ID
+ * @param {string} type - 'asset' or 'service'
+ * @returns {Object} - Catalog item
+ */
+function hostileItem(displayId, type = 'asset') {
+  return {
+    id: displayId,
+    display_id: displayId,
+    type,
+    name: IMG_PAYLOAD,
+    asset_type_name: SCRIPT_PAYLOAD,
+    asset_tag: QUOTE_PAYLOAD,
+    location_name: IMG_PAYLOAD,
+    department_name: SCRIPT_PAYLOAD,
+    description: QUOTE_PAYLOAD
+  };
+}
+
+/**
+ * Fill the form data with hostile values
+ * @param {Object} window - jsdom window
+ * @returns {Object} - The app's changeRequestData
+ */
+function fillHostileChangeRequest(window) {
+  const data = window.eval('changeRequestData');
+  const plan = `${IMG_PAYLOAD}\n${SCRIPT_PAYLOAD}\n\n- ${QUOTE_PAYLOAD}\n- step`;
+  
+  Object.assign(data, {
+    requester: hostilePerson(1),
+    agent: hostilePerson(2),
+    changeType: 'standard',
+    leadTime: IMG_PAYLOAD,
+    plannedStart: '2030-03-04T10:00',
+    plannedEnd: '2030-03-04T12:00',
+    implementationPlan: plan,
+    backoutPlan: plan,
+    validationPlan: plan,
+    selectedAssets: [hostileItem(11), hostileItem(12, 'service')],
+    attachments: [{ id: 'a1', name: QUOTE_PAYLOAD, type: 'text/plain', size: 10 }]
+  });
+  data.riskAssessment.riskLevel = 'Medium';
+  data.riskAssessment.overrideLevel = 'Medium';
+  data.riskAssessment.overrideJustification = SCRIPT_PAYLOAD;
+  window.eval('pendingFiles').a1 = new window.File(['x'], 'a.txt');
+  return data;
+}
+
+/**
+ * Assert that rendered markup holds no element or handler taken from a payload
+ * @param {Object} root - Element or document holding the rendered output
+ */
+function assertInert(root) {
+  const elements = [...root.querySelectorAll('*')];
+  assert.ok(elements.length > 0 || root.textContent.length > 0, 'nothing was rendered');
+  
+  const live = elements.filter(element => ['SCRIPT', 'IMG', 'IFRAME', 'OBJECT', 'EMBED'].includes(element.tagName));
+  assert.deepStrictEqual(live.map(element => element.outerHTML), []);
+  
+  const handlers = elements.flatMap(element => [...element.attributes]
+    .filter(attribute => /^on/i.test(attribute.name) || attribute.name === 'autofocus')
+    .map(attribute => `${element.tagName} ${attribute.name}`));
+  assert.deepStrictEqual(handlers, []);
+}
+
+/**
+ * Assert that payloads appear as plain text
+ * @param {Object} root - Element holding the rendered output
+ * @param {Array} payloads - Payloads that must be shown verbatim
+ */
+function assertShownAsText(root, payloads = PAYLOADS) {
+  payloads.forEach(payload => assert.ok(root.textContent.includes(payload), `${payload} is not shown as text`));
+}
+
+test('html escapes interpolated text in content and attributes', () => {
+  const window = loadApp();
+  const html = window.eval('html');
+  const container = window.document.createElement('div');
+  
+  PAYLOADS.forEach(payload => {
+    container.innerHTML = html`<div class="item" title="${payload}" data-value='${payload}'>${payload}</div>`;
+    assertInert(container);
+  
+    const item = container.querySelector('.item');
+    assert.strictEqual(container.children.length, 1);
+    assert.strictEqual(item.getAttribute('title'), payload);
+    assert.strictEqual(item.getAttribute('data-value'), payload);
+    assert.strictEqual(item.textContent, payload);
+  });
+});
+
+test('html escapes arrays and keeps nested html fragments', () => {
+  const window = loadApp();
+  const html = window.eval('html');
+  const container = window.document.createElement('div');
+  
+  container.innerHTML = html`<ul>${PAYLOADS.map(payload => html`<li>${payload}</li>`)}</ul>${PAYLOADS}`;
+  
+  assertInert(container);
+  assert.strictEqual(container.querySelectorAll('li').length, PAYLOADS.length);
+  assertShownAsText(container);
+});
+
+test('formatRichText keeps only paragraphs, line breaks and lists', () => {
+  const window = loadApp();
+  const formatRichText = window.eval('formatRichText');
+  const container = window.document.createElement('div');
+  
+  container.innerHTML = formatRichText([
+    IMG_PAYLOAD,
+    SCRIPT_PAYLOAD,
+    '',
+    `- ${QUOTE_PAYLOAD}`,
+    '* <b>bold</b>',
+    '',
+    '1. <a href="javascript:alert(5)">link</a>',
+    '2. <style>body { display: none }</style>'
+  ].join('\n'));
+  
+  assertInert(container);
+  const tags = new Set([...container.querySelectorAll('*')].map(element => element.tagName));
+  assert.deepStrictEqual([...tags].filter(tag => !['P', 'BR', 'UL', 'OL', 'LI'].includes(tag)), []);
+  assert.ok(tags.has('BR') && tags.has('UL') && tags.has('OL'));
+  assertShownAsText(container, [...PAYLOADS, '<b>bold</b>', '<a href="javascript:alert(5)">link</a>']);
+});
+
+test('showSummary renders hostile form data as text', () => {
+  const window = loadApp();
+  fillHostileChangeRequest(window);
+  
+  window.eval('showSummary()');
+  
+  const summary = window.document.getElementById('summary-content');
+  assertInert(summary);
+  assertShownAsText(summary);
+});
+
+test('renderApprovalSummary renders hostile approvers and errors as text', async () => {
+  const window = loadApp();
+  fillHostileChangeRequest(window);
+  window.eval('showSummary()');
+  window.eval('appConfig').approvalRules = [
+    { name: IMG_PAYLOAD, riskLevels: null, changeTypes: null, groups: [7], agents: [3], serviceOwners: false, autoApprove: false }
+  ];
+  window.client.request.invoke = async () => ({
+    response: {
+      approvers: [{ id: 3, name: IMG_PAYLOAD, email: QUOTE_PAYLOAD }],
+      groups: [{ id: 7, name: SCRIPT_PAYLOAD, member_ids: [3] }],
+      missing: [QUOTE_PAYLOAD]
+    }
+  });
+  
+  await window.eval('renderApprovalSummary()');
+  
+  const summary = window.document.getElementById('approval-summary');
+  assertInert(summary);
+  assertShownAsText(summary);
+  
+  window.client.request.invoke = async () => { throw { status: 500, message: SCRIPT_PAYLOAD }; };
+  await window.eval('renderApprovalSummary()');
+  
+  assertInert(summary);
+  assertShownAsText(summary, [SCRIPT_PAYLOAD]);
+});
+
+test('showConflictWarning renders hostile conflicts as text', async () => {
+  const window = loadApp();
+  
+  await window.eval('showConflictWarning')([{
+    id: 41,
+    subject: IMG_PAYLOAD,
+    owner: SCRIPT_PAYLOAD,
+    planned_start_date: '2030-03-04T10:00:00Z',
+    planned_end_date: '2030-03-04T12:00:00Z',
+    items: [{ display_id: 11, name: QUOTE_PAYLOAD }, { display_id: 12, name: IMG_PAYLOAD }]
+  }]);
+  
+  const list = window.document.getElementById('conflict-list');
+  assertInert(list);
+  assertShownAsText(list);
+});
+
+test('displaySearchResults renders hostile people as text', () => {
+  const window = loadApp();
+  
+  window.eval('displaySearchResults')('requester-results', [hostilePerson(1), hostilePerson(2)], () => {});
+  
+  const results = window.document.getElementById('requester-results');
+  assertInert(results);
+  assertShownAsText(results);
+});
+
+test('displayAssetResults renders hostile assets and services as text', () => {
+  const window = loadApp();
+  
+  window.eval('displayAssetResults')('asset-results', [hostileItem(1), hostileItem(2, 'service')], () => {});
+  
+  const results = window.document.getElementById('asset-results');
+  assertInert(results);
+  assertShownAsText(results, [IMG_PAYLOAD, SCRIPT_PAYLOAD]);
+});
+
+test('selectRequester and selectAgent render hostile people as text', () => {
+  const window = loadApp();
+  
+  window.eval('selectRequester')(hostilePerson(1));
+  window.eval('selectAgent')(hostilePerson(2));
+  
+  ['selected-requester', 'selected-agent'].forEach(id => {
+    const selected = window.document.getElementById(id);
+    assertInert(selected);
+    assertShownAsText(selected, [IMG_PAYLOAD, SCRIPT_PAYLOAD]);
+  });
+});
+
+test('renderImportRows renders hostile records and results as text', () => {
+  const window = loadApp();
+  const data = fillHostileChangeRequest(window);
+  const record = JSON.parse(JSON.stringify(data));
+  
+  window.testImportRows = [
+    { number: 1, data: record, errors: [IMG_PAYLOAD], warnings: [], result: null },
+    { number: 2, data: record, errors: [], warnings: [SCRIPT_PAYLOAD], result: { status: 'failed', error: QUOTE_PAYLOAD } },
+    {
+      number: 3,
+      data: record,
+      errors: [],
+      warnings: [],
+      result: { status: 'created', change: { id: SCRIPT_PAYLOAD }, url: QUOTE_PAYLOAD, problems: [IMG_PAYLOAD] }
+    }
+  ];
+  window.eval('importRows = window.testImportRows; renderImportRows()');
+  
+  const rows = window.document.getElementById('import-rows');
+  assertInert(rows);
+  assertShownAsText(rows);
+  assert.strictEqual(rows.querySelector('a').getAttribute('href'), QUOTE_PAYLOAD);
+});
+
+test('renderDependencyTree renders hostile relationships as text', () => {
+  const window = loadApp();
+  const data = window.eval('changeRequestData');
+  const relationships = window.eval('assetRelationships');
+  
+  data.selectedAssets = [hostileItem(11), hostileItem(12)];
+  relationships[11] = {
+    status: 'loaded',
+    related: [
+      { direction: 'upstream', relation: SCRIPT_PAYLOAD, item: hostileItem(21) },
+      { direction: 'downstream', relation: QUOTE_PAYLOAD, item: hostileItem(22) }
+    ],
+    truncated: true,
+    error: null
+  };
+  relationships[12] = { status: 'failed', related: [], truncated: false, error: QUOTE_PAYLOAD };
+  
+  window.eval('renderDependencyTree()');
+  
+  const tree = window.document.getElementById('asset-dependencies');
+  assertInert(tree);
+  assertShownAsText(tree);
+});
+
+test('buildSummaryPrintHtml builds a page that shows hostile data as text', () => {
+  const window = loadApp();
+  const data = fillHostileChangeRequest(window);
+  
+  const page = String(window.eval('buildSummaryPrintHtml')(data));
+  const { document } = new JSDOM(page).window;
+  
+  assertInert(document.body);
+  assertShownAsText(document.body);
+});
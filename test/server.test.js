@@ -0,0 +1,271 @@
+/**
+ * Unit tests for the serverless helpers in server/server.js. The file is run in
+ * a sandbox that stands in for the Freshworks runtime: $request and renderData
+ * are stubs, and setTimeout resolves at once while recording the delay.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SERVER_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'server', 'server.js'), 'utf8');
+
+/**
+ * Load server.js into a fresh sandbox
+ * @param {Function} invokeTemplate - Stub for $request.invokeTemplate
+ * @returns {Object} - The sandbox, with the rendered results and recorded delays
+ */
+function loadServer(invokeTemplate = async () => ({ response: '{}' })) {
+  const sandbox = {
+    rendered: [],
+    delays: [],
+    console: { log() {}, warn() {}, error() {} },
+    Buffer,
+    $request: { invokeTemplate },
+    renderData: (error, data) => sandbox.rendered.push({ error, data }),
+    setTimeout: (callback, ms) => {
+      sandbox.delays.push(ms);
+      callback();
+    }
+  };
+  vm.createContext(sandbox);
+  vm.runInContext(SERVER_SOURCE, sandbox);
+  return sandbox;
+}
+
+/**
+ * Build a rate-limited response as $request rejects with it
+ * @param {string} retryAfter - Retry-After header value
+ * @returns {Object} - Rejection value
+ */
+function rateLimited(retryAfter) {
+  return { status: 429, headers: { 'retry-after': retryAfter }, response: '{}' };
+}
+
+test('withRateLimitRetry returns the first successful result', async () => {
+  const server = loadServer();
+  let calls = 0;
+  
+  const result = await server.withRateLimitRetry(async () => {
+    calls++;
+    return 'done';
+  }, 'Loading');
+  
+  assert.strictEqual(result, 'done');
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(server.delays, []);
+});
+
+test('withRateLimitRetry retries a 429 after the Retry-After delay', async () => {
+  const server = loadServer();
+  let calls = 0;
+  
+  const result = await server.withRateLimitRetry(async () => {
+    calls++;
+    if (calls === 1) throw rateLimited('2');
+    return 'done';
+  }, 'Loading');
+  
+  assert.strictEqual(result, 'done');
+  assert.strictEqual(calls, 2);
+  assert.deepStrictEqual(server.delays, [2000]);
+});
+
+test('withRateLimitRetry caps the delay and falls back to a growing default', async () => {
+  const server = loadServer();
+  let calls = 0;
+  
+  await server.withRateLimitRetry(async () => {
+    calls++;
+    if (calls === 1) throw rateLimited('60');
+    if (calls === 2) throw rateLimited(undefined);
+    return 'done';
+  }, 'Loading');
+  
+  assert.deepStrictEqual(server.delays, [5000, 2000]);
+});
+
+test('withRateLimitRetry gives up after three attempts', async () => {
+  const server = loadServer();
+  let calls = 0;
+  
+  await assert.rejects(
+    server.withRateLimitRetry(async () => {
+      calls++;
+      throw rateLimited('1');
+    }, 'Loading changes'),
+    { status: 429, message: 'Loading changes failed (HTTP 429)' }
+  );
+  assert.strictEqual(calls, 3);
+  assert.strictEqual(server.delays.length, 2);
+});
+
+test('withRateLimitRetry does not retry other errors and keeps the API message', async () => {
+  const server = loadServer();
+  let calls = 0;
+  
+  await assert.rejects(
+    server.withRateLimitRetry(async () => {
+      calls++;
+      throw { status: 400, response: JSON.stringify({ errors: [{ field: 'subject', message: 'is required' }] }) };
+    }, 'Creating change'),
+    { status: 400, message: 'Creating change failed: subject is required' }
+  );
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(server.delays, []);
+});
+
+test('fetchPages loads pages until a short page', async () => {
+  const suffixes = [];
+  const server = loadServer(async (templateName, options) => {
+    suffixes.push(options.path_suffix);
+    const page = suffixes.length;
+    const count = page < 3 ? 30 : 5;
+    return { response: JSON.stringify({ requesters: Array.from({ length: count }, (_, index) => ({ id: page * 100 + index })) }) };
+  });
+  
+  const results = await server.fetchPages('getRequesters', 'requesters', 'q', 10);
+  
+  assert.strictEqual(results.length, 65);
+  assert.deepStrictEqual(suffixes, [
+    '?query=q&page=1&per_page=30',
+    '?query=q&page=2&per_page=30',
+    '?query=q&page=3&per_page=30'
+  ]);
+});
+
+test('fetchPages stops at the page limit', async () => {
+  const suffixes = [];
+  const server = loadServer(async (templateName, options) => {
+    suffixes.push(options.path_suffix);
+    return { response: JSON.stringify({ requesters: Array.from({ length: 30 }, () => ({})) }) };
+  });
+  
+  const results = await server.fetchPages('getRequesters', 'requesters', 'q', 2);
+  
+  assert.strictEqual(results.length, 60);
+  assert.deepStrictEqual(suffixes, ['?query=q&page=1&per_page=30', '?query=q&page=2&per_page=30']);
+});
+
+test('fetchPages honours the page size', async () => {
+  const suffixes = [];
+  const server = loadServer(async (templateName, options) => {
+    suffixes.push(options.path_suffix);
+    return { response: JSON.stringify({ requesters: Array.from({ length: 100 }, () => ({})) }) };
+  });
+  
+  const results = await server.fetchPages('getRequesters', 'requesters', 'q', 2, 100);
+  
+  assert.strictEqual(results.length, 200);
+  assert.deepStrictEqual(suffixes, ['?query=q&page=1&per_page=100', '?query=q&page=2&per_page=100']);
+});
+
+test('fetchPages treats a missing list as an empty page', async () => {
+  let calls = 0;
+  const server = loadServer(async () => {
+    calls++;
+    return { response: JSON.stringify({}) };
+  });
+  
+  assert.deepStrictEqual(Array.from(await server.fetchPages('getRequesters', 'requesters', 'q', 3)), []);
+  assert.strictEqual(calls, 1);
+});
+
+test('respond renders the handler result', async () => {
+  const server = loadServer();
+  
+  await server.respond(async () => ({ ok: true }));
+  
+  assert.strictEqual(server.rendered.length, 1);
+  assert.strictEqual(server.rendered[0].error, null);
+  assert.deepStrictEqual({ ...server.rendered[0].data }, { ok: true });
+});
+
+test('respond renders thrown errors as { status, message }', async () => {
+  const server = loadServer();
+  
+  await server.respond(async () => {
+    throw server.badRequest('A change ID is required');
+  });
+  await server.respond(async () => {
+    throw new Error('Something broke');
+  });
+  await server.respond(async () => {
+    throw undefined;
+  });
+  
+  assert.deepStrictEqual(server.rendered.map(result => ({ ...result.error })), [
+    { status: 400, message: 'A change ID is required' },
+    { status: 500, message: 'Something broke' },
+    { status: 500, message: 'Unexpected error' }
+  ]);
+});
+
+test('mapWithConcurrency keeps the order and the concurrency limit', async () => {
+  const server = loadServer();
+  let running = 0;
+  let peak = 0;
+  
+  const results = await server.mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async value => {
+    running++;
+    peak = Math.max(peak, running);
+    await Promise.resolve();
+    running--;
+    return value * 10;
+  });
+  
+  assert.deepStrictEqual(Array.from(results), [10, 20, 30, 40, 50, 60, 70]);
+  assert.strictEqual(peak, 3);
+});
+
+test('estimateAffectedUsers stays within its API call budget', async () => {
+  let calls = 0;
+  const server = loadServer(async templateName => {
+    calls++;
+    if (templateName === 'getRequesters') {
+      return { response: JSON.stringify({ requesters: Array.from({ length: 100 }, () => ({})) }) };
+    }
+    return { response: JSON.stringify({ department: { name: 'Finance' }, location: { name: 'London' } }) };
+  });
+  
+  await server.exports.estimateAffectedUsers({
+    department_ids: [1, 2, 3, 4, 5, 6],
+    location_ids: [7, 8, 9, 10, 11, 12]
+  });
+  
+  const { error, data } = server.rendered[0];
+  assert.strictEqual(error, null);
+  assert.strictEqual(data.sources.length, 8);
+  assert.strictEqual(data.skipped, 4);
+  assert.deepStrictEqual({ ...data.sources[0] }, { kind: 'department', id: 1, name: 'Finance', count: 300, atLeast: true });
+  assert.ok(calls <= 32, `${calls} calls made`);
+});
+
+test('findChangeConflicts skips changes that cannot be loaded', async () => {
+  const plannedWindow = { planned_start_date: '2030-03-04T10:00:00Z', planned_end_date: '2030-03-04T12:00:00Z' };
+  const server = loadServer(async (templateName, options) => {
+    if (templateName === 'filterChanges') {
+      return { response: JSON.stringify({ changes: [1, 2, 3].map(id => ({ id, status: 1, ...plannedWindow })) }) };
+    }
+    if (templateName === 'getChange') {
+      const id = options.context.change_id;
+      if (id !== 1) throw { status: id === 2 ? 404 : 403, response: '{}' };
+      return { response: JSON.stringify({ change: { id, subject: 'Patch', ...plannedWindow, assets: [{ display_id: 11, name: 'Server' }] } }) };
+    }
+    return { response: JSON.stringify({}) };
+  });
+  
+  await server.exports.findChangeConflicts({
+    planned_start: '2030-03-04T11:00:00Z',
+    planned_end: '2030-03-04T13:00:00Z',
+    display_ids: [11]
+  });
+  
+  const { error, data } = server.rendered[0];
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(Array.from(data.conflicts, conflict => conflict.id), [1]);
+  assert.strictEqual(data.truncated, false);
+  assert.strictEqual(data.skipped, 2);
+});